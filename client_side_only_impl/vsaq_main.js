@@ -30,12 +30,15 @@
 goog.provide('vsaq');
 goog.provide('vsaq.Qpage');
 
+goog.require('goog.Promise');
 goog.require('goog.Uri');
+goog.require('goog.array');
 goog.require('goog.debug.Error');
 goog.require('goog.dom');
+goog.require('goog.dom.TagName');
 goog.require('goog.events');
 goog.require('goog.events.EventType');
-goog.require('goog.json');
+goog.require('goog.events.KeyCodes');
 goog.require('goog.net.XhrIo');
 goog.require('goog.object');
 goog.require('goog.storage.Storage');
@@ -44,7 +47,14 @@ goog.require('goog.string');
 goog.require('goog.string.path');
 goog.require('goog.structs');
 goog.require('vsaq.QpageBase');
+goog.require('vsaq.Questionnaire');
 goog.require('vsaq.QuestionnaireEditor');
+goog.require('vsaq.questionnaire.Outline');
+goog.require('vsaq.questionnaire.UnansweredNavigation');
+goog.require('vsaq.questionnaire.answers');
+goog.require('vsaq.questionnaire.compare');
+goog.require('vsaq.questionnaire.csv');
+goog.require('vsaq.questionnaire.report');
 goog.require('vsaq.utils');
 
 
@@ -61,10 +71,45 @@ vsaq.Qpage = function() {
   this.questionnaireID = '';
   this.questionnaire.setReadOnlyMode(this.isReadOnly);
 
+  /**
+   * The outline of the questionnaire, if the page has an element for it.
+   * @type {vsaq.questionnaire.Outline}
+   */
+  this.outline = null;
+  var outlineDom = goog.dom.getElement('_vsaq_outline');
+  if (outlineDom)
+    this.outline = new vsaq.questionnaire.Outline(this.questionnaire,
+        outlineDom);
+
+  /**
+   * The navigation through unanswered questions, if the page has an element
+   * for it.
+   * @type {vsaq.questionnaire.UnansweredNavigation}
+   */
+  this.unansweredNavigation = null;
+  var navigationDom = goog.dom.getElement('_vsaq_unanswered_navigation');
+  if (navigationDom)
+    this.unansweredNavigation = new vsaq.questionnaire.UnansweredNavigation(
+        this.questionnaire, navigationDom);
+
   var uploadAnswersDom = document.getElementById('answer_file');
   if (uploadAnswersDom)
     uploadAnswersDom.addEventListener('change',
         goog.bind(this.loadAnswersFromFile, this), false);
+  var uploadCsvDom = document.getElementById('answer_csv_file');
+  if (uploadCsvDom)
+    uploadCsvDom.addEventListener('change',
+        goog.bind(this.loadAnswersFromCsvFile, this), false);
+  var comparePreviousDom = document.getElementById('compare_previous_file');
+  var compareCurrentDom = document.getElementById('compare_current_file');
+  if (comparePreviousDom && compareCurrentDom) {
+    var compareAnswers = goog.bind(this.compareAnswerFiles, this,
+        comparePreviousDom, compareCurrentDom);
+    comparePreviousDom.addEventListener('change', compareAnswers, false);
+    compareCurrentDom.addEventListener('change', compareAnswers, false);
+  }
+  goog.events.listen(document, goog.events.EventType.KEYDOWN,
+      this.handleUndoKeys_, false, this);
 
   try {
     this.loadQuestionnaire();
@@ -77,6 +122,21 @@ vsaq.Qpage = function() {
   // The following event has direct effects on the template.
   goog.events.listen(downloadLink, goog.events.EventType.CLICK,
       goog.bind(this.checkQuestionnaireRequirements, this));
+
+  var reportLinks = {
+    'html': goog.dom.getElement('_vsaq_report_html'),
+    'md': goog.dom.getElement('_vsaq_report_markdown')
+  };
+  goog.object.forEach(reportLinks, function(link, format) {
+    if (link)
+      goog.events.listen(link, goog.events.EventType.CLICK,
+          goog.bind(this.updateReportUrl_, this, format));
+  }, this);
+
+  var csvLink = goog.dom.getElement('_vsaq_save_csv');
+  if (csvLink)
+    goog.events.listen(csvLink, goog.events.EventType.CLICK,
+        goog.bind(this.updateCsvUrl_, this));
 };
 goog.inherits(vsaq.Qpage,
               vsaq.QpageBase);
@@ -149,8 +209,7 @@ vsaq.Qpage.prototype.loadAnswersFromServer_ = function(id, server) {
         if (e.target.isSuccess()) {
           // Render the questionnaire's template.
           this.questionnaire.render();
-          this.questionnaire.setValues(
-              /** @type {!Object.<string, string>} */ (JSON.parse(text)));
+          this.importAnswers_(/** @type {!Object} */ (JSON.parse(text)));
         } else {
           alert('Couldn\'t load questionnaire answers!');
         }
@@ -166,17 +225,15 @@ vsaq.Qpage.prototype.loadAnswersFromServer_ = function(id, server) {
 vsaq.Qpage.prototype.updateStorage_ = function(data) {
   if (!this.questionnaireID)
     return;
-  var newStorageData = null;
+  var answers = {};
   var storageData = this.readStorage_();
-  if (storageData) {
-    storageData = /** @type {Object|null} */ (JSON.parse(storageData));
-    goog.object.extend(storageData, data);
-    newStorageData = goog.json.serialize(storageData);
-  } else {
-    newStorageData = goog.json.serialize(data);
-  }
+  if (storageData)
+    answers = vsaq.questionnaire.answers.parse(
+        /** @type {!Object} */ (JSON.parse(storageData))).answers;
+  goog.object.extend(answers, data);
 
-  this.storage.set(this.questionnaireID, newStorageData);
+  this.storage.set(this.questionnaireID,
+      vsaq.questionnaire.answers.exportAnswers(this.questionnaire, answers));
 };
 
 
@@ -216,6 +273,60 @@ vsaq.Qpage.prototype.sendUpdate = function() {
 };
 
 
+/**
+ * Updates the outline of the questionnaire and the navigation through
+ * unanswered questions after answers were loaded, as loading answers does not
+ * raise change events.
+ * @private
+ */
+vsaq.Qpage.prototype.updateNavigation_ = function() {
+  if (this.outline)
+    this.outline.render();
+  if (this.unansweredNavigation)
+    this.unansweredNavigation.render();
+};
+
+
+/**
+ * Imports exported answers, migrating them to the version of the template, and
+ * tells the user about answers that could not be mapped to a question.
+ * @param {!Object} data The parsed JSON of the exported answers.
+ * @return {?vsaq.questionnaire.answers.ImportResult} The result of the import,
+ *     or null if the answers could not be imported.
+ * @private
+ */
+vsaq.Qpage.prototype.importAnswers_ = function(data) {
+  var result;
+  try {
+    result = vsaq.questionnaire.answers.importAnswers(this.questionnaire, data);
+  } catch (err) {
+    alert('Loading the answers failed: ' + err.message);
+    return null;
+  }
+  this.updateNavigation_();
+
+  var messages = [];
+  var templateName = this.questionnaire.getTemplateInfo().name;
+  if (result.metadata && result.metadata.template &&
+      result.metadata.template != templateName) {
+    messages.push(goog.string.format(
+        'The answers were given for the questionnaire "%s".',
+        result.metadata.template));
+  } else if (result.templateChanged) {
+    messages.push('The answers were given for a different revision of this ' +
+        'questionnaire. Please review them.');
+  }
+  if (result.unmapped.length > 0) {
+    messages.push(goog.string.format('%d answer/s could not be mapped to a ' +
+        'question. They are kept, but not shown:\n', result.unmapped.length) +
+        result.unmapped.join('\n'));
+  }
+  if (messages.length > 0)
+    alert(messages.join('\n\n'));
+  return result;
+};
+
+
 /**
  * Read answers from a file.
  * @param {Event} evt The change event for the upload field.
@@ -225,16 +336,138 @@ vsaq.Qpage.prototype.loadAnswersFromFile = function(evt) {
   var reader = new FileReader();
   reader.onload = goog.bind(function(f) {
     return goog.bind(function(e) {
-      var answers = /** @type {!Object.<string, string>} */
-          (JSON.parse(e.target.result));
-      this.questionnaire.setValues(answers);
-      this.updateStorage_(answers);
+      var result = this.importAnswers_(
+          /** @type {!Object} */ (JSON.parse(e.target.result)));
+      if (result)
+        this.updateStorage_(result.answers);
     }, this);
   }, this)(answer_file);
   reader.readAsText(answer_file);
 };
 
 
+/**
+ * Read answers from a CSV file exported by `updateCsvUrl_`. Rows that can't be
+ * mapped to a question are reported to the user.
+ * @param {Event} evt The change event for the upload field.
+ */
+vsaq.Qpage.prototype.loadAnswersFromCsvFile = function(evt) {
+  var reader = new FileReader();
+  reader.onload = goog.bind(function(e) {
+    var result;
+    try {
+      result = vsaq.questionnaire.csv.importAnswers(this.questionnaire,
+          /** @type {string} */ (e.target.result));
+    } catch (err) {
+      alert('Loading the answers failed: ' + err.message);
+      return;
+    }
+    this.updateStorage_(result.answers);
+    this.updateDownloadAnswersUrl();
+    this.updateNavigation_();
+    if (result.unplacedRows.length > 0) {
+      alert(goog.string.format('%d row/s could not be loaded:\n',
+          result.unplacedRows.length) +
+          goog.array.map(result.unplacedRows, function(unplaced) {
+            return goog.string.format('Row %d (%s): %s', unplaced.row,
+                unplaced.id, unplaced.message);
+          }).join('\n'));
+    }
+  }, this);
+  reader.readAsText(evt.target.files[0]);
+};
+
+
+/**
+ * Compares the answers in two files once both are selected. The questionnaire
+ * then shows the current answers read-only, with the changed answers
+ * highlighted, and a summary of the changes is shown above it. Neither answer
+ * set is saved as draft.
+ * @param {!HTMLInputElement} previousInput The upload field for the previous
+ *     answers.
+ * @param {!HTMLInputElement} currentInput The upload field for the current
+ *     answers.
+ */
+vsaq.Qpage.prototype.compareAnswerFiles = function(previousInput,
+    currentInput) {
+  if (!previousInput.files[0] || !currentInput.files[0])
+    return;
+  goog.Promise.all([
+    vsaq.Qpage.readFile_(previousInput.files[0]),
+    vsaq.Qpage.readFile_(currentInput.files[0])
+  ]).then(function(texts) {
+    var comparison;
+    try {
+      comparison = vsaq.questionnaire.compare.compareAnswerSets(
+          this.questionnaire, /** @type {!Object} */ (JSON.parse(texts[0])),
+          /** @type {!Object} */ (JSON.parse(texts[1])));
+    } catch (err) {
+      alert('Comparing the answers failed: ' + err.message);
+      return;
+    }
+    // Changes can't be made anymore, and the draft must not be replaced.
+    this.isReadOnly = true;
+    this.updateNavigation_();
+    var summaryDom = goog.dom.getElement('_vsaq_compare_summary');
+    if (summaryDom) {
+      goog.dom.removeChildren(summaryDom);
+      summaryDom.appendChild(
+          vsaq.questionnaire.compare.renderSummary(comparison));
+    }
+  }, function(err) {
+    alert('Reading the answers failed: ' + err.message);
+  }, this);
+};
+
+
+/**
+ * Reads the text of a file.
+ * @param {!File} file The file.
+ * @return {!goog.Promise.<string>} The text of the file.
+ * @private
+ */
+vsaq.Qpage.readFile_ = function(file) {
+  return new goog.Promise(function(resolve, reject) {
+    var reader = new FileReader();
+    reader.onload = function(e) {
+      resolve(/** @type {string} */ (e.target.result));
+    };
+    reader.onerror = function() {
+      reject(reader.error || new Error('Could not read ' + file.name));
+    };
+    reader.readAsText(file);
+  });
+};
+
+
+/**
+ * Undoes changes of answers on Ctrl+Z and redoes them on Ctrl+Y or
+ * Ctrl+Shift+Z (or with Cmd instead of Ctrl). Within text fields, the browser
+ * undoes changes of the text instead.
+ * @param {!goog.events.BrowserEvent} e The keydown event.
+ * @private
+ */
+vsaq.Qpage.prototype.handleUndoKeys_ = function(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey)
+    return;
+  var target = /** @type {!Element} */ (e.target);
+  if (target.tagName == goog.dom.TagName.TEXTAREA ||
+      (target.tagName == goog.dom.TagName.INPUT &&
+       target.type != 'radio' && target.type != 'checkbox'))
+    return;
+
+  if (e.keyCode == goog.events.KeyCodes.Z && !e.shiftKey) {
+    this.questionnaire.undo();
+  } else if (e.keyCode == goog.events.KeyCodes.Y ||
+             e.keyCode == goog.events.KeyCodes.Z) {
+    this.questionnaire.redo();
+  } else {
+    return;
+  }
+  e.preventDefault();
+};
+
+
 /**
  * Handles required items and displays warnings if necessary.
  * @return {boolean} Whether all required items have been provided successfully.
@@ -251,6 +484,24 @@ vsaq.Qpage.prototype.handleRequiredItems = function() {
     }, this);
     alert(goog.string.format("You have %d mandatory question/s left unanswered."
         + " Please answer the question/s in red.", unfilled.length));
+    if (this.unansweredNavigation)
+      this.unansweredNavigation.first();
+    return false;
+  }
+  return true;
+};
+
+
+/**
+ * Validates the answers and displays a warning if some of them are invalid.
+ * @return {boolean} Whether all answers are valid.
+ */
+vsaq.Qpage.prototype.handleInvalidAnswers = function() {
+  var failures = this.questionnaire.validate();
+  if (failures.length > 0) {
+    alert(goog.string.format('You have %d invalid answer/s. Please correct ' +
+        'the answer/s as described below the question/s.', failures.length));
+    this.questionnaire.focusItem(failures[0].item);
     return false;
   }
   return true;
@@ -263,10 +514,11 @@ vsaq.Qpage.prototype.handleRequiredItems = function() {
  * @return {boolean} Whether the questionnaire can be submitted/state.
 */
 vsaq.Qpage.prototype.checkQuestionnaireRequirements = function(opt_event) {
-  var required_fields_filled = this.handleRequiredItems();
-  if (opt_event && !required_fields_filled)
+  var requirements_met =
+      this.handleRequiredItems() && this.handleInvalidAnswers();
+  if (opt_event && !requirements_met)
     opt_event.preventDefault();
-  return required_fields_filled;
+  return requirements_met;
 };
 
 
@@ -289,6 +541,58 @@ vsaq.Qpage.prototype.updateDownloadAnswersUrl = function() {
 };
 
 
+/**
+ * Points a link to a findings report of the current answers, so that following
+ * the link downloads the report.
+ * @param {string} format The format of the report, either "html" or "md".
+ * @param {!goog.events.BrowserEvent} e The click event of the link.
+ * @private
+ */
+vsaq.Qpage.prototype.updateReportUrl_ = function(format, e) {
+  var report, mimeType;
+  if (format == 'html') {
+    report = vsaq.questionnaire.report.toHtml(this.questionnaire);
+    mimeType = 'text/html';
+  } else {
+    report = vsaq.questionnaire.report.toMarkdown(this.questionnaire);
+    mimeType = 'text/markdown';
+  }
+  this.setDownloadUrl_(/** @type {!HTMLAnchorElement} */ (e.currentTarget),
+      report, mimeType, 'findings_' + this.questionnaireID + '.' + format);
+};
+
+
+/**
+ * Points a link to the answers as CSV, so that following the link downloads
+ * them.
+ * @param {!goog.events.BrowserEvent} e The click event of the link.
+ * @private
+ */
+vsaq.Qpage.prototype.updateCsvUrl_ = function(e) {
+  this.setDownloadUrl_(/** @type {!HTMLAnchorElement} */ (e.currentTarget),
+      vsaq.questionnaire.csv.exportAnswers(this.questionnaire), 'text/csv',
+      'answers_' + this.questionnaireID + '.csv');
+};
+
+
+/**
+ * Points a link to a file with the given content.
+ * @param {!HTMLAnchorElement} link The link.
+ * @param {string} content The content of the file.
+ * @param {string} mimeType The MIME type of the file.
+ * @param {string} fileName The name the file is saved as.
+ * @private
+ */
+vsaq.Qpage.prototype.setDownloadUrl_ = function(link, content, mimeType,
+    fileName) {
+  window.URL = window.URL || window.webkitURL;
+  if (goog.string.startsWith(link.href, 'blob:'))
+    window.URL.revokeObjectURL(link.href);
+  link.download = fileName;
+  link.href = window.URL.createObjectURL(new Blob([content], {type: mimeType}));
+};
+
+
 /**
  * Load the extension json then proceed with loading the questionnaire.
  * @param {!string} questionnaire_path The path to the questionnaire json.
@@ -327,6 +631,8 @@ vsaq.Qpage.prototype.loadQuestionnaire = function(opt_path, opt_extension) {
   var uri = new goog.Uri(document.location.search);
   this.questionnaire.setUnrolledMode(
       uri.getQueryData().get('unroll', '') == 'true');
+  this.questionnaire.setPaginatedMode(
+      uri.getQueryData().get('paginate', '') == 'true');
 
   if (opt_path) {
     // Remove file extensions and some characters from the path to create a
@@ -334,6 +640,8 @@ vsaq.Qpage.prototype.loadQuestionnaire = function(opt_path, opt_extension) {
     this.questionnaireID = goog.string.path.baseName(opt_path);
     this.questionnaireID = this.questionnaireID.replace(/\.[^/.]+$/, '');
     this.questionnaireID = this.questionnaireID.replace(/\//, '_');
+    this.questionnaire.setPrintMode(
+        uri.getQueryData().get('print', '') == 'true', this.questionnaireID);
     goog.net.XhrIo.send(opt_path,
         goog.bind(function(e) {
           var text = e.target.getResponseText();
@@ -359,6 +667,8 @@ vsaq.Qpage.prototype.loadQuestionnaire = function(opt_path, opt_extension) {
               } else {
                 this.questionnaire.setTemplate(template['questionnaire']);
               }
+              this.questionnaire.setTemplateInfo(this.questionnaireID,
+                  template['version'], template['migrations']);
             } catch (err) {
               alert('Error loading template: ' + err);
             }
@@ -370,10 +680,18 @@ vsaq.Qpage.prototype.loadQuestionnaire = function(opt_path, opt_extension) {
             // Load answers from localStorage (if available).
             var storageData = this.readStorage_();
             if (storageData) {
-              this.questionnaire.setValues(
-                  /** @type {!Object.<string, string>} */
-                  (JSON.parse(storageData)));
+              var result = this.importAnswers_(
+                  /** @type {!Object} */ (JSON.parse(storageData)));
+              // Keep the answers in the format of the current version.
+              if (result)
+                this.storage.set(this.questionnaireID,
+                    vsaq.questionnaire.answers.exportAnswers(
+                        this.questionnaire, result.answers));
+              // Restoring the draft is not a change that can be undone.
+              this.questionnaire.clearHistory();
               this.updateDownloadAnswersUrl();
+            } else {
+              this.updateNavigation_();
             }
 
             this.questionnaire.listen(
@@ -389,6 +707,12 @@ vsaq.Qpage.prototype.loadQuestionnaire = function(opt_path, opt_extension) {
               }
             }, this));
 
+            // Start each page in paginated mode at its top.
+            this.questionnaire.listen(vsaq.Questionnaire.PAGE_CHANGED,
+                function(e) {
+                  window.scrollTo(0, 0);
+                });
+
             this.scheduleNextUpdate(false);
 
           }
@@ -0,0 +1,176 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A bounded history of answer changes, so that changes can be
+ * undone and redone. Each entry holds the values of the changed items before
+ * and after the change.
+ */
+
+goog.provide('vsaq.questionnaire.AnswerHistory');
+goog.provide('vsaq.questionnaire.AnswerHistory.Entry');
+
+goog.require('goog.array');
+goog.require('goog.object');
+
+
+
+/**
+ * A history of answer changes.
+ * @param {number=} opt_maxLength The number of changes that can be undone.
+ *     Older changes are forgotten. Defaults to `DEFAULT_MAX_LENGTH`.
+ * @constructor
+ */
+vsaq.questionnaire.AnswerHistory = function(opt_maxLength) {
+  /**
+   * The number of changes that can be undone.
+   * @type {number}
+   * @private
+   */
+  this.maxLength_ = opt_maxLength ||
+      vsaq.questionnaire.AnswerHistory.DEFAULT_MAX_LENGTH;
+
+  /**
+   * The changes that can be undone, the latest last.
+   * @type {!Array.<!vsaq.questionnaire.AnswerHistory.Entry>}
+   * @private
+   */
+  this.undoStack_ = [];
+
+  /**
+   * The undone changes that can be redone, the latest undone last.
+   * @type {!Array.<!vsaq.questionnaire.AnswerHistory.Entry>}
+   * @private
+   */
+  this.redoStack_ = [];
+};
+
+
+/**
+ * A change of answers. `before` and `after` map the ids of the changed items to
+ * their values. `mergeKey` identifies changes that are merged into this one
+ * if they directly follow it.
+ * @typedef {{
+ *   before: !Object.<string, string>,
+ *   after: !Object.<string, string>,
+ *   mergeKey: string
+ * }}
+ */
+vsaq.questionnaire.AnswerHistory.Entry;
+
+
+/**
+ * The number of changes that can be undone, unless another one is passed.
+ * @type {number}
+ * @const
+ */
+vsaq.questionnaire.AnswerHistory.DEFAULT_MAX_LENGTH = 100;
+
+
+/**
+ * Records a change. Changes that can be redone are forgotten.
+ * @param {!Object.<string, string>} before The values of the changed items
+ *     before the change.
+ * @param {!Object.<string, string>} after The values of the changed items
+ *     after the change.
+ * @param {string=} opt_mergeKey If set, the change is merged into the latest
+ *     change if that has the same key, e.g. so that typing into a text field
+ *     is undone at once rather than character by character.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.record = function(before, after,
+    opt_mergeKey) {
+  var changedIds = goog.array.filter(goog.object.getKeys(after), function(id) {
+    return before[id] !== after[id];
+  });
+  if (!changedIds.length) return;
+
+  this.redoStack_ = [];
+  var latest = goog.array.peek(this.undoStack_);
+  if (opt_mergeKey && latest && latest.mergeKey == opt_mergeKey) {
+    goog.array.forEach(changedIds, function(id) {
+      if (!latest.before.hasOwnProperty(id))
+        latest.before[id] = before[id];
+      latest.after[id] = after[id];
+    });
+    return;
+  }
+
+  this.undoStack_.push({
+    before: goog.object.clone(before),
+    after: goog.object.clone(after),
+    mergeKey: opt_mergeKey || ''
+  });
+  if (this.undoStack_.length > this.maxLength_)
+    this.undoStack_.shift();
+};
+
+
+/**
+ * Returns the latest change and moves it to the changes that can be redone.
+ * @return {?vsaq.questionnaire.AnswerHistory.Entry} The change, or null if
+ *     there is nothing to undo.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.undo = function() {
+  var entry = this.undoStack_.pop();
+  if (!entry) return null;
+  this.redoStack_.push(entry);
+  // Changes recorded after an undo start a new entry.
+  var latest = goog.array.peek(this.undoStack_);
+  if (latest)
+    latest.mergeKey = '';
+  return entry;
+};
+
+
+/**
+ * Returns the latest undone change and moves it back to the changes that can
+ * be undone.
+ * @return {?vsaq.questionnaire.AnswerHistory.Entry} The change, or null if
+ *     there is nothing to redo.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.redo = function() {
+  var entry = this.redoStack_.pop();
+  if (!entry) return null;
+  entry.mergeKey = '';
+  this.undoStack_.push(entry);
+  return entry;
+};
+
+
+/**
+ * @return {boolean} Whether there is a change that can be undone.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.canUndo = function() {
+  return this.undoStack_.length > 0;
+};
+
+
+/**
+ * @return {boolean} Whether there is a change that can be redone.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.canRedo = function() {
+  return this.redoStack_.length > 0;
+};
+
+
+/**
+ * Forgets all changes.
+ */
+vsaq.questionnaire.AnswerHistory.prototype.clear = function() {
+  this.undoStack_ = [];
+  this.redoStack_ = [];
+};
@@ -0,0 +1,101 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.AnswerHistory.
+ */
+
+goog.provide('vsaq.questionnaire.AnswerHistoryTests');
+goog.setTestOnly('vsaq.questionnaire.AnswerHistoryTests');
+
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.AnswerHistory');
+
+var history;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  history = new vsaq.questionnaire.AnswerHistory(2);
+}
+
+
+/**
+ * Tests undoing and redoing changes.
+ */
+function testUndoRedo() {
+  assertFalse(history.canUndo());
+  assertNull(history.undo());
+
+  history.record({'a': ''}, {'a': 'yes'});
+  history.record({'b': 'x', 'c': ''}, {'b': 'x', 'c': 'checked'});
+  var entry = history.undo();
+  assertObjectEquals({'b': 'x', 'c': ''}, entry.before);
+  assertTrue(history.canRedo());
+  assertObjectEquals({'b': 'x', 'c': 'checked'}, history.redo().after);
+  assertFalse(history.canRedo());
+
+  // New changes can't be redone after an undo.
+  history.undo();
+  history.record({'d': ''}, {'d': 'no'});
+  assertFalse(history.canRedo());
+  assertObjectEquals({'d': 'no'}, history.undo().after);
+
+  // Changes without any changed value are not recorded.
+  history.record({'e': 'same'}, {'e': 'same'});
+  assertObjectEquals({'a': 'yes'}, history.undo().after);
+  assertFalse(history.canUndo());
+}
+
+
+/**
+ * Tests that only the latest changes are kept.
+ */
+function testMaxLength() {
+  history.record({'a': ''}, {'a': '1'});
+  history.record({'a': '1'}, {'a': '2'});
+  history.record({'a': '2'}, {'a': '3'});
+  assertEquals('2', history.undo().before['a']);
+  assertEquals('1', history.undo().before['a']);
+  assertNull(history.undo());
+}
+
+
+/**
+ * Tests merging changes with the same key.
+ */
+function testMerge() {
+  history = new vsaq.questionnaire.AnswerHistory();
+  history.record({'line': ''}, {'line': 'a'}, 'line');
+  history.record({'line': 'a'}, {'line': 'ab'}, 'line');
+  history.record({'other': ''}, {'other': 'x'}, 'other');
+  history.record({'line': 'ab'}, {'line': 'abc'}, 'line');
+
+  assertObjectEquals({'line': 'ab'}, history.undo().before);
+  assertObjectEquals({'other': ''}, history.undo().before);
+  var entry = history.undo();
+  assertObjectEquals({'line': ''}, entry.before);
+  assertObjectEquals({'line': 'ab'}, entry.after);
+
+  // Changes after an undo are not merged into the entry before it.
+  history.redo();
+  history.record({'line': 'ab'}, {'line': 'abd'}, 'line');
+  assertObjectEquals({'line': 'ab'}, history.undo().before);
+}
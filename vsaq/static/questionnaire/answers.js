@@ -0,0 +1,259 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Exports the answers of a questionnaire together with the name,
+ * version and a hash of its template, and imports them again. Templates can
+ * declare `migrations` for the changes made in each version, e.g.
+ *
+ *   "version": 3,
+ *   "migrations": [
+ *     {"version": 2, "type": "rename", "from": "old_id", "to": "new_id"},
+ *     {"version": 3, "type": "split", "from": "id", "to": ["id_a", "id_b"]}
+ *   ]
+ *
+ * When answers given for an older version are imported, the migrations of the
+ * later versions are applied to them. Answers exported before versions were
+ * recorded are passed through all "rename" and "split" migrations, which leave
+ * answers that are already current alone.
+ */
+
+goog.provide('vsaq.questionnaire.answers');
+goog.provide('vsaq.questionnaire.answers.ImportResult');
+goog.provide('vsaq.questionnaire.answers.Metadata');
+goog.provide('vsaq.questionnaire.answers.Migration');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.object');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.QuestionnaireError');
+
+
+/**
+ * Information about the template answers were given for. `hash` tells apart
+ * templates that were changed without changing their version (see
+ * `vsaq.Questionnaire.hashTemplate`).
+ * @typedef {{
+ *   template: string,
+ *   version: ?number,
+ *   hash: string
+ * }}
+ */
+vsaq.questionnaire.answers.Metadata;
+
+
+/**
+ * A change of a template, made in version `version` of it. `type` is one of
+ * <ul>
+ * <li>"rename": the item `from` was renamed to `to`.</li>
+ * <li>"remap": the values of the item `id` changed. `values` maps the old
+ *     values to the new ones.</li>
+ * <li>"split": the item `from` was split into the items listed in `to`, which
+ *     all get its answer.</li>
+ * </ul>
+ * @typedef {{
+ *   version: number,
+ *   type: string,
+ *   from: (string|undefined),
+ *   to: (string|!Array.<string>|undefined),
+ *   id: (string|undefined),
+ *   values: (!Object.<string, string>|undefined)
+ * }}
+ */
+vsaq.questionnaire.answers.Migration;
+
+
+/**
+ * The result of an import. `answers` are the imported answers after
+ * migration, `metadata` the information exported with them (null for answers
+ * exported without it) and `migrationCount` the number of migrations that
+ * changed them. `templateChanged` tells whether the answers were given for a
+ * different template or a different revision of it, i.e. whether the name or
+ * hash in the metadata differ. `unmapped` lists the ids of answers for which
+ * there is no item. These answers are kept, so they are exported again.
+ * @typedef {{
+ *   answers: !Object.<string, string>,
+ *   metadata: ?vsaq.questionnaire.answers.Metadata,
+ *   migrationCount: number,
+ *   templateChanged: boolean,
+ *   unmapped: !Array.<string>
+ * }}
+ */
+vsaq.questionnaire.answers.ImportResult;
+
+
+/**
+ * Returns the answers of a questionnaire as JSON, together with information
+ * about its template.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {!Object.<string, string>=} opt_answers The answers to export, if not
+ *     the ones of the questionnaire.
+ * @return {string} The JSON text.
+ */
+vsaq.questionnaire.answers.exportAnswers = function(questionnaire,
+    opt_answers) {
+  var templateInfo = questionnaire.getTemplateInfo();
+  return goog.json.serialize({
+    'template': templateInfo.name,
+    'version': templateInfo.version,
+    'hash': templateInfo.hash,
+    'answers': opt_answers || questionnaire.getValues()
+  });
+};
+
+
+/**
+ * Splits exported answers into the answers and the information about the
+ * template. Answers exported as plain dictionary, as done before the
+ * information was added, are accepted as well.
+ * @param {!Object} data The parsed JSON of the exported answers.
+ * @return {{answers: !Object.<string, string>,
+ *     metadata: ?vsaq.questionnaire.answers.Metadata}} The answers and the
+ *     information, or null if there is none.
+ */
+vsaq.questionnaire.answers.parse = function(data) {
+  // Answers are strings, so only exports with information have an object
+  // under this key.
+  if (!goog.isObject(data['answers']))
+    return {
+      answers: /** @type {!Object.<string, string>} */ (data),
+      metadata: null
+    };
+  var version = data['version'];
+  return {
+    answers: /** @type {!Object.<string, string>} */ (data['answers']),
+    metadata: {
+      template: String(data['template'] || ''),
+      version: goog.isDefAndNotNull(version) ? Number(version) : null,
+      hash: String(data['hash'] || '')
+    }
+  };
+};
+
+
+/**
+ * Applies the migrations of all versions after the one answers were given
+ * for, in the order of their versions.
+ * @param {!Object.<string, string>} answers The answers. They are not changed.
+ * @param {?number} version The version of the template the answers were given
+ *     for. If null, all "rename" and "split" migrations are applied. "remap"
+ *     migrations are skipped, as the values might already be current and a
+ *     chain of them could map them again.
+ * @param {!Array.<!vsaq.questionnaire.answers.Migration>} migrations The
+ *     migrations declared in the template.
+ * @return {{answers: !Object.<string, string>, migrationCount: number}} The
+ *     migrated answers and the number of migrations that changed them.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If a migration has an
+ *     unknown type.
+ */
+vsaq.questionnaire.answers.migrate = function(answers, version, migrations) {
+  var migrated = goog.object.clone(answers);
+  var migrationCount = 0;
+  var sortedMigrations = goog.array.clone(migrations);
+  goog.array.stableSort(sortedMigrations, function(a, b) {
+    return Number(a.version) - Number(b.version);
+  });
+  goog.array.forEach(sortedMigrations, function(migration) {
+    if (goog.isNull(version) ? migration.type == 'remap' :
+        Number(migration.version) <= version)
+      return;
+    if (vsaq.questionnaire.answers.applyMigration_(migrated, migration))
+      migrationCount++;
+  });
+  return {answers: migrated, migrationCount: migrationCount};
+};
+
+
+/**
+ * Applies a migration to answers.
+ * @param {!Object.<string, string>} answers The answers, which are changed.
+ * @param {!vsaq.questionnaire.answers.Migration} migration The migration.
+ * @return {boolean} Whether the answers changed.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If the migration has an
+ *     unknown type.
+ * @private
+ */
+vsaq.questionnaire.answers.applyMigration_ = function(answers, migration) {
+  switch (migration.type) {
+    case 'rename':
+      var from = /** @type {string} */ (migration.from);
+      if (!answers.hasOwnProperty(from)) return false;
+      answers[/** @type {string} */ (migration.to)] = answers[from];
+      delete answers[from];
+      return true;
+    case 'remap':
+      var id = /** @type {string} */ (migration.id);
+      var values = migration.values || {};
+      if (!answers.hasOwnProperty(id) || !values.hasOwnProperty(answers[id]))
+        return false;
+      answers[id] = values[answers[id]];
+      return true;
+    case 'split':
+      from = /** @type {string} */ (migration.from);
+      if (!answers.hasOwnProperty(from)) return false;
+      var value = answers[from];
+      delete answers[from];
+      goog.array.forEach(/** @type {!Array.<string>} */ (migration.to),
+          function(newId) {
+            answers[newId] = value;
+          });
+      return true;
+    default:
+      throw new vsaq.questionnaire.QuestionnaireError(
+          'Unknown migration type "' + migration.type + '" in version ' +
+          migration.version + '.');
+  }
+};
+
+
+/**
+ * Imports exported answers into a questionnaire, migrating them to the
+ * version of its template first.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {!Object} data The parsed JSON of the exported answers.
+ * @return {!vsaq.questionnaire.answers.ImportResult} The imported answers and
+ *     the ids of the answers that could not be mapped to an item.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If a migration of the
+ *     template has an unknown type.
+ */
+vsaq.questionnaire.answers.importAnswers = function(questionnaire, data) {
+  var parsed = vsaq.questionnaire.answers.parse(data);
+  var metadata = parsed.metadata;
+  var templateInfo = questionnaire.getTemplateInfo();
+  var migrations = /** @type {!Array.<!vsaq.questionnaire.answers.Migration>} */
+      (templateInfo.migrations);
+  var migration = vsaq.questionnaire.answers.migrate(parsed.answers,
+      metadata ? metadata.version : null, migrations);
+  var templateChanged = !!metadata &&
+      (!!metadata.template && metadata.template != templateInfo.name ||
+       !!metadata.hash && metadata.hash != templateInfo.hash);
+
+  questionnaire.setValues(migration.answers);
+  // Items in the rows of lists only exist once the answers are set.
+  var unmapped = goog.array.filter(goog.object.getKeys(migration.answers),
+      function(id) {
+        return !questionnaire.getItem(id);
+      });
+  return {
+    answers: migration.answers,
+    metadata: metadata,
+    migrationCount: migration.migrationCount,
+    templateChanged: templateChanged,
+    unmapped: unmapped
+  };
+};
@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.answers.
+ */
+
+goog.provide('vsaq.questionnaire.AnswersTests');
+goog.setTestOnly('vsaq.questionnaire.AnswersTests');
+
+goog.require('goog.dom');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.QuestionnaireError');
+goog.require('vsaq.questionnaire.answers');
+
+var MIGRATIONS;
+var QUESTIONNAIRE;
+var questionnaire;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  QUESTIONNAIRE = [{
+    type: 'block',
+    id: 'root',
+    text: 'Root',
+    items: [{
+      type: 'yesno',
+      id: 'tls',
+      text: 'Do you use TLS?',
+      yes: 'Yes',
+      no: 'No'
+    }, {
+      type: 'line',
+      id: 'provider',
+      text: 'Provider'
+    }, {
+      type: 'line',
+      id: 'region',
+      text: 'Region'
+    }]
+  }];
+  MIGRATIONS = [
+    {version: 3, type: 'split', from: 'location', to: ['provider', 'region']},
+    {version: 2, type: 'rename', from: 'encryption', to: 'tls'},
+    {version: 2, type: 'remap', id: 'tls', values: {'always': 'yes'}}
+  ];
+  questionnaire = new vsaq.Questionnaire(goog.dom.getElement('root'));
+  questionnaire.setTemplate(QUESTIONNAIRE);
+  questionnaire.setTemplateInfo('cloud', 3, MIGRATIONS);
+  questionnaire.render();
+}
+
+
+/**
+ * Tests that only the migrations of later versions are applied, in the order
+ * of their versions.
+ */
+function testMigrate() {
+  var answers = {'encryption': 'always', 'location': 'EU'};
+  var result = vsaq.questionnaire.answers.migrate(answers, 1, MIGRATIONS);
+  assertObjectEquals({'tls': 'yes', 'provider': 'EU', 'region': 'EU'},
+      result.answers);
+  assertEquals(3, result.migrationCount);
+  // The passed answers are not changed.
+  assertEquals('always', answers['encryption']);
+
+  result = vsaq.questionnaire.answers.migrate(answers, 2, MIGRATIONS);
+  assertObjectEquals({'encryption': 'always', 'provider': 'EU', 'region': 'EU'},
+      result.answers);
+  assertEquals(1, result.migrationCount);
+
+  result = vsaq.questionnaire.answers.migrate({'tls': 'no'}, null, MIGRATIONS);
+  assertObjectEquals({'tls': 'no'}, result.answers);
+  assertEquals(0, result.migrationCount);
+
+  // Values of answers without version might already be current, so they are
+  // not remapped.
+  result = vsaq.questionnaire.answers.migrate({'tls': 'always'}, null, [
+    {version: 2, type: 'remap', id: 'tls', values: {'always': 'sometimes'}},
+    {version: 3, type: 'remap', id: 'tls', values: {'sometimes': 'no'}}
+  ]);
+  assertObjectEquals({'tls': 'always'}, result.answers);
+  assertEquals(0, result.migrationCount);
+
+  var e = assertThrows(function() {
+    vsaq.questionnaire.answers.migrate(answers, null,
+        [{version: 2, type: 'delete', id: 'tls'}]);
+  });
+  assertTrue(e instanceof vsaq.questionnaire.QuestionnaireError);
+}
+
+
+/**
+ * Tests that answers are exported with the information about the template.
+ */
+function testExportAnswers() {
+  questionnaire.setValues({'tls': 'yes'});
+  var data = JSON.parse(
+      vsaq.questionnaire.answers.exportAnswers(questionnaire));
+  assertEquals('cloud', data['template']);
+  assertEquals(3, data['version']);
+  assertEquals(vsaq.Questionnaire.hashTemplate(QUESTIONNAIRE), data['hash']);
+  assertEquals(data['hash'], questionnaire.getTemplateInfo().hash);
+  assertEquals(40, data['hash'].length);
+  assertObjectEquals({'tls': 'yes'}, data['answers']);
+
+  QUESTIONNAIRE[0].items[1].text = 'Cloud provider';
+  assertNotEquals(data['hash'],
+      vsaq.Questionnaire.hashTemplate(QUESTIONNAIRE));
+}
+
+
+/**
+ * Tests importing answers of older versions and without version.
+ */
+function testImportAnswers() {
+  var result = vsaq.questionnaire.answers.importAnswers(questionnaire, {
+    'template': 'cloud',
+    'version': 2,
+    'hash': 'abc',
+    'answers': {'tls': 'no', 'location': 'US', 'backup': 'yes'}
+  });
+  assertObjectEquals(
+      {template: 'cloud', version: 2, hash: 'abc'}, result.metadata);
+  assertEquals(1, result.migrationCount);
+  assertTrue(result.templateChanged);
+  assertArrayEquals(['backup'], result.unmapped);
+  assertEquals('US', questionnaire.getItem('region').getValue());
+  assertEquals('no', questionnaire.getItem('tls').getValue());
+  // Answers that could not be mapped are not dropped.
+  assertEquals('yes', questionnaire.getValues()['backup']);
+
+  result = vsaq.questionnaire.answers.importAnswers(questionnaire, JSON.parse(
+      vsaq.questionnaire.answers.exportAnswers(questionnaire)));
+  assertFalse(result.templateChanged);
+
+  // Answers exported as plain dictionary go through all renames and splits.
+  result = vsaq.questionnaire.answers.importAnswers(questionnaire,
+      {'encryption': 'yes'});
+  assertNull(result.metadata);
+  assertEquals(1, result.migrationCount);
+  assertFalse(result.templateChanged);
+  assertArrayEquals([], result.unmapped);
+  assertEquals('yes', questionnaire.getItem('tls').getValue());
+}
@@ -46,11 +46,14 @@ goog.require('vsaq.questionnaire.templates');
  *     The auth param on `vsaq.questionnaire.items.BlockItem` only
  *     prevents that items are displayed to the user (hidden by display=none).
  * @param {?string=} opt_className Name of a CSS class to add to the block.
+ * @param {?Object.<string, number>=} opt_severityWeights The weight of each
+ *     severity of warnings in the risk score of the questionnaire (see
+ *     `vsaq.Questionnaire.prototype.getScore`). Only used on the root block.
  * @extends {vsaq.questionnaire.items.ContainerItem}
  * @constructor
  */
 vsaq.questionnaire.items.BlockItem = function(id, conditions, caption,
-    opt_auth, opt_className) {
+    opt_auth, opt_className, opt_severityWeights) {
   goog.base(this, id, conditions);
 
   /**
@@ -93,6 +96,13 @@ vsaq.questionnaire.items.BlockItem = function(id, conditions, caption,
   };
   this.addPropertyInformation('text', propertyInformation);
 
+  /**
+   * The weight of each severity of warnings in the risk score, overriding the
+   * defaults in `vsaq.Questionnaire.DEFAULT_SEVERITY_WEIGHTS`.
+   * @type {?Object.<string, number>}
+   */
+  this.severityWeights = opt_severityWeights || null;
+
   this.render();
 };
 goog.inherits(vsaq.questionnaire.items.BlockItem,
@@ -124,6 +134,30 @@ vsaq.questionnaire.items.BlockItem.prototype.render = function() {
  */
 vsaq.questionnaire.items.BlockItem.prototype.getUnansweredCount =
     function() {
+  return this.countQuestions_(true);
+};
+
+
+/**
+ * Returns the number of questions in the block, counted the same way as in
+ * `getUnansweredCount`.
+ * @return {number} The number of questions in the block.
+ */
+vsaq.questionnaire.items.BlockItem.prototype.getQuestionCount = function() {
+  return this.countQuestions_(false);
+};
+
+
+/**
+ * Counts the visible questions in the block and the blocks nested in it. The
+ * radio buttons directly in a block count as one question.
+ * @param {boolean} onlyUnanswered If true, only unanswered questions are
+ *     counted.
+ * @return {number} The number of questions.
+ * @private
+ */
+vsaq.questionnaire.items.BlockItem.prototype.countQuestions_ = function(
+    onlyUnanswered) {
   var count = 0, radioChecked = false, hasRadio = false;
 
   goog.array.forEach(this.containerItems, function(item) {
@@ -132,20 +166,20 @@ vsaq.questionnaire.items.BlockItem.prototype.getUnansweredCount =
       if (item.isChecked()) radioChecked = true;
       return;
     }
-    // If we come across a ValueItem that is visible and not answered,
+    // If we come across a ValueItem that is visible (and not answered),
     // increment the counter.
     if (item instanceof vsaq.questionnaire.items.ValueItem &&
         item.isVisible() &&
-        !item.isAnswered())
+        !(onlyUnanswered && item.isAnswered()))
       count++;
     // Finally, if we come across a Block, count everything in that block
     // recursively.
     if (item instanceof vsaq.questionnaire.items.BlockItem)
-      count += item.getUnansweredCount();
+      count += item.countQuestions_(onlyUnanswered);
   }, this);
 
-  // If there are radio buttons and none is checked, count as one.
-  if (hasRadio && !radioChecked) count++;
+  // If there are radio buttons (and none is checked), count as one.
+  if (hasRadio && !(onlyUnanswered && radioChecked)) count++;
 
   return count;
 };
@@ -165,7 +199,7 @@ vsaq.questionnaire.items.BlockItem.parse = function(questionStack) {
     throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
 
   return new vsaq.questionnaire.items.BlockItem(item.id, item.cond,
-      item.text, item.auth, item.className);
+      item.text, item.auth, item.className, item.severityWeights);
 };
 
 
@@ -178,6 +212,8 @@ vsaq.questionnaire.items.BlockItem.prototype.exportItem = function() {
     containerItems.push(item.exportItem());
   });
   exportProperties.set('items', containerItems);
+  if (this.severityWeights)
+    exportProperties.set('severityWeights', this.severityWeights);
   return exportProperties;
 };
 
@@ -0,0 +1,272 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Compares two sets of answers to the same questionnaire, e.g.
+ * the answers a vendor gave last year with the ones given this year. Changed
+ * answers are highlighted in the questionnaire, with the previous and current
+ * answer shown below the question, and a summary lists the changes together
+ * with the warnings that are shown only for one of the answer sets.
+ */
+
+goog.provide('vsaq.questionnaire.compare');
+goog.provide('vsaq.questionnaire.compare.Change');
+goog.provide('vsaq.questionnaire.compare.Comparison');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.dom.classlist');
+goog.require('goog.object');
+goog.require('goog.soy');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.answers');
+goog.require('vsaq.questionnaire.items.GroupItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.printview');
+goog.require('vsaq.questionnaire.report');
+goog.require('vsaq.questionnaire.templates');
+
+
+/**
+ * A question whose answer changed. The answers are HTML as returned by
+ * `vsaq.questionnaire.printview.getAnswerHtml`, and empty if the question was
+ * not answered or hidden.
+ * @typedef {{
+ *   id: string,
+ *   question: string,
+ *   previousAnswer: string,
+ *   currentAnswer: string
+ * }}
+ */
+vsaq.questionnaire.compare.Change;
+
+
+/**
+ * The differences between two answer sets. `triggeredWarnings` are the
+ * warnings shown only for the current answers, `resolvedWarnings` the ones
+ * shown only for the previous answers.
+ * @typedef {{
+ *   changes: !Array.<!vsaq.questionnaire.compare.Change>,
+ *   triggeredWarnings: !Array.<!vsaq.questionnaire.report.Finding>,
+ *   resolvedWarnings: !Array.<!vsaq.questionnaire.report.Finding>
+ * }}
+ */
+vsaq.questionnaire.compare.Comparison;
+
+
+/**
+ * Loads two answer sets into a questionnaire and highlights the answers that
+ * changed. The questionnaire shows the current answers and is made read-only.
+ * Both answer sets are migrated to the version of its template.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {!Object} previousData The parsed JSON of the previous answers.
+ * @param {!Object} currentData The parsed JSON of the current answers.
+ * @return {!vsaq.questionnaire.compare.Comparison} The differences.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If a migration of the
+ *     template has an unknown type.
+ */
+vsaq.questionnaire.compare.compareAnswerSets = function(questionnaire,
+    previousData, currentData) {
+  // The previous answers are loaded into a copy of the questionnaire that is
+  // never shown, so the visibility of its items can be checked.
+  var previous = new vsaq.Questionnaire(
+      goog.dom.createDom(goog.dom.TagName.DIV));
+  var templateInfo = questionnaire.getTemplateInfo();
+  previous.setTemplate(questionnaire.getTemplate());
+  previous.setTemplateInfo(templateInfo.name, templateInfo.version,
+      templateInfo.migrations);
+  previous.render();
+  vsaq.questionnaire.answers.importAnswers(previous, previousData);
+
+  questionnaire.setReadOnlyMode(true);
+  questionnaire.reset();
+  vsaq.questionnaire.answers.importAnswers(questionnaire, currentData);
+
+  var comparison = vsaq.questionnaire.compare.compare(previous, questionnaire);
+  vsaq.questionnaire.compare.highlightChanges(questionnaire, comparison);
+  return comparison;
+};
+
+
+/**
+ * Compares the answers of two questionnaires with the same template.
+ * @param {!vsaq.Questionnaire} previous The questionnaire with the previous
+ *     answers.
+ * @param {!vsaq.Questionnaire} current The questionnaire with the current
+ *     answers.
+ * @return {!vsaq.questionnaire.compare.Comparison} The differences. Changes
+ *     are listed in the order the questions appear in.
+ */
+vsaq.questionnaire.compare.compare = function(previous, current) {
+  var changes = [];
+  var addChange = function(id) {
+    var previousItem = previous.getItem(id);
+    var currentItem = current.getItem(id);
+    var previousAnswer = vsaq.questionnaire.compare.getAnswer_(previousItem);
+    var currentAnswer = vsaq.questionnaire.compare.getAnswer_(currentItem);
+    if (previousAnswer == currentAnswer) return;
+    changes.push({
+      id: id,
+      question: (currentItem || previousItem).text,
+      previousAnswer: previousAnswer,
+      currentAnswer: currentAnswer
+    });
+  };
+  goog.object.forEach(current.getItems(), function(item, id) {
+    if (vsaq.questionnaire.compare.isQuestion_(item))
+      addChange(id);
+  });
+  // Lists may have had more rows before.
+  goog.object.forEach(previous.getItems(), function(item, id) {
+    if (vsaq.questionnaire.compare.isQuestion_(item) && !current.getItem(id))
+      addChange(id);
+  });
+
+  var previousWarnings = vsaq.questionnaire.compare.getWarnings_(previous);
+  var currentWarnings = vsaq.questionnaire.compare.getWarnings_(current);
+  var isNotIn = function(warnings) {
+    return function(warning) {
+      return !goog.array.some(warnings, function(other) {
+        return other.id == warning.id;
+      });
+    };
+  };
+  return {
+    changes: changes,
+    triggeredWarnings: goog.array.filter(currentWarnings,
+        isNotIn(previousWarnings)),
+    resolvedWarnings: goog.array.filter(previousWarnings,
+        isNotIn(currentWarnings))
+  };
+};
+
+
+/**
+ * Checks whether an item is a question on its own, i.e. it has an answer and
+ * is not a choice of a group or a cell of a matrix.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {boolean} Whether the item is a question.
+ * @private
+ */
+vsaq.questionnaire.compare.isQuestion_ = function(item) {
+  if (item instanceof vsaq.questionnaire.items.GroupItem ||
+      item instanceof vsaq.questionnaire.items.MatrixItem)
+    return true;
+  return item instanceof vsaq.questionnaire.items.ValueItem &&
+      !(item.parentItem instanceof vsaq.questionnaire.items.GroupItem ||
+        item.parentItem instanceof vsaq.questionnaire.items.MatrixItem);
+};
+
+
+/**
+ * Returns the answer to a question as HTML. Hidden questions count as not
+ * answered.
+ * @param {?vsaq.questionnaire.items.Item} item The question, or null if the
+ *     questionnaire doesn't have it.
+ * @return {string} The answer, or the empty string if there is none.
+ * @private
+ */
+vsaq.questionnaire.compare.getAnswer_ = function(item) {
+  if (!item || !item.isVisible()) return '';
+  return vsaq.questionnaire.printview.getAnswerHtml(item);
+};
+
+
+/**
+ * Returns the visible warnings of a questionnaire.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @return {!Array.<!vsaq.questionnaire.report.Finding>} The warnings, in the
+ *     order they appear in.
+ * @private
+ */
+vsaq.questionnaire.compare.getWarnings_ = function(questionnaire) {
+  var warnings = [];
+  goog.array.forEach(vsaq.questionnaire.report.getFindings(questionnaire),
+      function(section) {
+        goog.array.extend(warnings, section.findings);
+      });
+  return warnings;
+};
+
+
+/**
+ * Highlights the questions whose answers changed and shows the previous and
+ * current answer below them.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire showing the
+ *     current answers.
+ * @param {!vsaq.questionnaire.compare.Comparison} comparison The differences.
+ */
+vsaq.questionnaire.compare.highlightChanges = function(questionnaire,
+    comparison) {
+  goog.array.forEach(comparison.changes, function(change) {
+    var item = questionnaire.getItem(change.id);
+    if (!item) return;
+    goog.dom.classlist.add(item.container,
+        goog.getCssName('vsaq-compare-changed'));
+    goog.dom.removeNode(goog.dom.getElementByClass(
+        goog.getCssName('vsaq-compare-answers'), item.container));
+    item.container.appendChild(goog.soy.renderAsElement(
+        vsaq.questionnaire.templates.compareAnswers,
+        vsaq.questionnaire.compare.getChangeData_(change)));
+  });
+};
+
+
+/**
+ * Renders a summary of the differences between two answer sets.
+ * @param {!vsaq.questionnaire.compare.Comparison} comparison The differences.
+ * @return {!Element} The summary.
+ */
+vsaq.questionnaire.compare.renderSummary = function(comparison) {
+  var getWarningData = function(warning) {
+    return {
+      id: warning.id,
+      name: warning.name,
+      severity: warning.severity,
+      textHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(warning.text)
+    };
+  };
+  return goog.soy.renderAsElement(vsaq.questionnaire.templates.compareSummary,
+      {
+        changes: goog.array.map(comparison.changes,
+            vsaq.questionnaire.compare.getChangeData_),
+        triggeredWarnings: goog.array.map(comparison.triggeredWarnings,
+            getWarningData),
+        resolvedWarnings: goog.array.map(comparison.resolvedWarnings,
+            getWarningData)
+      });
+};
+
+
+/**
+ * Returns the data of a change for the templates.
+ * @param {!vsaq.questionnaire.compare.Change} change The change.
+ * @return {!Object} The data.
+ * @private
+ */
+vsaq.questionnaire.compare.getChangeData_ = function(change) {
+  return {
+    id: change.id,
+    questionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(change.question),
+    previousAnswerHtml:
+        soydata.VERY_UNSAFE.ordainSanitizedHtml(change.previousAnswer),
+    currentAnswerHtml:
+        soydata.VERY_UNSAFE.ordainSanitizedHtml(change.currentAnswer)
+  };
+};
@@ -0,0 +1,178 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.compare.
+ */
+
+goog.provide('vsaq.questionnaire.CompareTests');
+goog.setTestOnly('vsaq.questionnaire.CompareTests');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.classlist');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.compare');
+
+var PREVIOUS_ANSWERS = {
+  'tls': 'yes',
+  'mfa': 'no',
+  'cloud': 'checked',
+  'firewall': 'checked',
+  'provider': 'ACME'
+};
+var CURRENT_ANSWERS = {
+  'template': 'test',
+  'version': null,
+  'hash': '',
+  'answers': {
+    'tls': 'no',
+    'mfa': 'yes',
+    'onprem': 'checked',
+    'firewall': 'checked',
+    'ids': 'checked',
+    'provider': 'ACME'
+  }
+};
+
+var questionnaire;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  var template = [{
+    type: 'block',
+    id: 'root',
+    text: 'Root',
+    items: [{
+      type: 'yesno',
+      id: 'tls',
+      text: 'Do you use TLS?',
+      yes: 'Yes',
+      no: 'No'
+    }, {
+      type: 'tip',
+      id: 'no_tls',
+      cond: 'tls/no',
+      warn: 'yes',
+      name: 'Missing TLS',
+      text: 'All traffic must be encrypted.'
+    }, {
+      type: 'yesno',
+      id: 'mfa',
+      text: 'Do you use MFA?',
+      yes: 'Yes',
+      no: 'No'
+    }, {
+      type: 'tip',
+      id: 'no_mfa',
+      cond: 'mfa/no',
+      warn: 'yes',
+      text: 'Accounts must be protected.'
+    }, {
+      type: 'radiogroup',
+      id: 'storage',
+      text: 'Where is data stored?',
+      defaultChoice: false,
+      choices: [{'cloud': 'In the cloud'}, {'onprem': 'On premise'}]
+    }, {
+      type: 'checkgroup',
+      id: 'controls',
+      text: 'Which controls are in place?',
+      defaultChoice: false,
+      choices: [{'firewall': 'Firewall'}, {'ids': 'Intrusion detection'}]
+    }, {
+      type: 'line',
+      id: 'provider',
+      text: 'Provider'
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(goog.dom.getElement('root'));
+  questionnaire.setTemplate(template);
+  questionnaire.render();
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  goog.dom.removeChildren(goog.dom.getElement('root'));
+}
+
+
+/**
+ * Tests that changed answers are listed with the texts of the choices, along
+ * with the warnings that are shown only for one of the answer sets.
+ */
+function testCompareAnswerSets() {
+  var comparison = vsaq.questionnaire.compare.compareAnswerSets(
+      questionnaire, PREVIOUS_ANSWERS, CURRENT_ANSWERS);
+
+  assertObjectEquals([
+    {id: 'tls', question: 'Do you use TLS?', previousAnswer: 'Yes',
+      currentAnswer: 'No'},
+    {id: 'mfa', question: 'Do you use MFA?', previousAnswer: 'No',
+      currentAnswer: 'Yes'},
+    {id: 'storage', question: 'Where is data stored?',
+      previousAnswer: 'In the cloud', currentAnswer: 'On premise'},
+    {id: 'controls', question: 'Which controls are in place?',
+      previousAnswer: 'Firewall',
+      currentAnswer: 'Firewall<br>Intrusion detection'}
+  ], comparison.changes);
+  var getIds = function(warnings) {
+    return goog.array.map(warnings, function(warning) {
+      return warning.id;
+    });
+  };
+  assertArrayEquals(['no_tls'], getIds(comparison.triggeredWarnings));
+  assertArrayEquals(['no_mfa'], getIds(comparison.resolvedWarnings));
+
+  // The questionnaire shows the current answers, with the changes highlighted.
+  assertEquals('ACME', questionnaire.getItem('provider').getValue());
+  var tls = questionnaire.getItem('tls').container;
+  assertTrue(goog.dom.classlist.contains(tls, 'vsaq-compare-changed'));
+  var answers = goog.dom.getElementByClass('vsaq-compare-answers', tls);
+  assertContains('Previously', goog.dom.getTextContent(answers));
+  var provider = questionnaire.getItem('provider').container;
+  assertFalse(goog.dom.classlist.contains(provider, 'vsaq-compare-changed'));
+}
+
+
+/**
+ * Tests the summary of the differences.
+ */
+function testRenderSummary() {
+  var summary = vsaq.questionnaire.compare.renderSummary(
+      vsaq.questionnaire.compare.compareAnswerSets(
+          questionnaire, PREVIOUS_ANSWERS, CURRENT_ANSWERS));
+  var text = goog.dom.getTextContent(summary);
+  assertContains('4 answers changed', text);
+  assertContains('Newly triggered warnings (1)', text);
+  assertContains('Missing TLS', text);
+  assertContains('Resolved warnings (1)', text);
+  assertContains('no_mfa', text);
+
+  summary = vsaq.questionnaire.compare.renderSummary(
+      vsaq.questionnaire.compare.compareAnswerSets(
+          questionnaire, PREVIOUS_ANSWERS, PREVIOUS_ANSWERS));
+  assertContains('No answers changed.', goog.dom.getTextContent(summary));
+}
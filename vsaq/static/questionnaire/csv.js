@@ -0,0 +1,310 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Exports the answers of a questionnaire as CSV and imports them
+ * again, for people who review answers in spreadsheets. There is one row per
+ * item that can have an answer, listing the blocks the item is in, the
+ * question, the id and type of the item, the answer as shown to the user and,
+ * for tips, the severity. Imported rows are mapped back to items by their id.
+ */
+
+goog.provide('vsaq.questionnaire.csv');
+goog.provide('vsaq.questionnaire.csv.ImportResult');
+goog.provide('vsaq.questionnaire.csv.UnplacedRow');
+
+goog.require('goog.array');
+goog.require('goog.html.utils');
+goog.require('goog.labs.format.csv');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.QuestionnaireError');
+goog.require('vsaq.questionnaire.items.BlockItem');
+goog.require('vsaq.questionnaire.items.GroupItem');
+goog.require('vsaq.questionnaire.items.ListItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.TipItem');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.items.YesNoItem');
+
+
+/**
+ * A row of an imported file that could not be mapped to an item. `row` is the
+ * number of the row in the file, starting at 1 for the header.
+ * @typedef {{
+ *   row: number,
+ *   id: string,
+ *   message: string
+ * }}
+ */
+vsaq.questionnaire.csv.UnplacedRow;
+
+
+/**
+ * The result of an import. `answers` are the imported answers in the format of
+ * `vsaq.Questionnaire.prototype.setValues`.
+ * @typedef {{
+ *   answers: !Object.<string, string>,
+ *   unplacedRows: !Array.<!vsaq.questionnaire.csv.UnplacedRow>
+ * }}
+ */
+vsaq.questionnaire.csv.ImportResult;
+
+
+/**
+ * The columns of exported files. Imports only need the id and answer columns.
+ * @enum {string}
+ */
+vsaq.questionnaire.csv.Column = {
+  BLOCK: 'Block',
+  QUESTION: 'Question',
+  ID: 'Id',
+  TYPE: 'Type',
+  ANSWER: 'Answer',
+  SEVERITY: 'Severity'
+};
+
+
+/**
+ * The order of the columns in exported files.
+ * @type {!Array.<vsaq.questionnaire.csv.Column>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.csv.COLUMNS_ = [
+  vsaq.questionnaire.csv.Column.BLOCK,
+  vsaq.questionnaire.csv.Column.QUESTION,
+  vsaq.questionnaire.csv.Column.ID,
+  vsaq.questionnaire.csv.Column.TYPE,
+  vsaq.questionnaire.csv.Column.ANSWER,
+  vsaq.questionnaire.csv.Column.SEVERITY
+];
+
+
+/**
+ * Separator between the captions of nested blocks in the block column.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.csv.BLOCK_SEPARATOR = ' > ';
+
+
+/**
+ * Returns the answers of a questionnaire as CSV.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @return {string} The CSV text, with a header row.
+ */
+vsaq.questionnaire.csv.exportAnswers = function(questionnaire) {
+  var rows = [vsaq.questionnaire.csv.COLUMNS_];
+  goog.object.forEach(questionnaire.getItems(), function(item) {
+    if (!(item instanceof vsaq.questionnaire.items.ValueItem ||
+          item instanceof vsaq.questionnaire.items.ListItem))
+      return;
+    // Default choices get new ids whenever the template is loaded.
+    if (item.parentItem instanceof vsaq.questionnaire.items.GroupItem &&
+        item.parentItem.defaultChoiceItem == item)
+      return;
+
+    rows.push([
+      vsaq.questionnaire.csv.getBlockPath_(item, questionnaire),
+      vsaq.questionnaire.csv.getQuestionText_(item),
+      item.id,
+      item.type,
+      vsaq.questionnaire.csv.getAnswerText_(item),
+      item instanceof vsaq.questionnaire.items.TipItem ? item.severity : ''
+    ]);
+  });
+
+  return goog.array.map(rows, function(row) {
+    return goog.array.map(row, vsaq.questionnaire.csv.formatField_).join(',');
+  }).join('\r\n') + '\r\n';
+};
+
+
+/**
+ * Returns the captions of the blocks an item is in, outermost first. The root
+ * block is left out.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire of the item.
+ * @return {string} The captions, without HTML.
+ * @private
+ */
+vsaq.questionnaire.csv.getBlockPath_ = function(item, questionnaire) {
+  var captions = [];
+  for (var parent = item.parentItem; parent; parent = parent.parentItem) {
+    if (parent instanceof vsaq.questionnaire.items.BlockItem &&
+        parent != questionnaire.getRootBlock())
+      captions.unshift(goog.html.utils.stripHtmlTags(parent.text));
+  }
+  return captions.join(vsaq.questionnaire.csv.BLOCK_SEPARATOR);
+};
+
+
+/**
+ * Returns the question of an item. For choices of groups and cells of matrices
+ * this is the question of the group or matrix.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {string} The question, without HTML.
+ * @private
+ */
+vsaq.questionnaire.csv.getQuestionText_ = function(item) {
+  var question = vsaq.questionnaire.csv.isChoice_(item) ?
+      item.parentItem : item;
+  return goog.html.utils.stripHtmlTags(question.text);
+};
+
+
+/**
+ * Returns whether an item is a choice of a group or a cell of a matrix.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {boolean} Whether the item is a choice.
+ * @private
+ */
+vsaq.questionnaire.csv.isChoice_ = function(item) {
+  return item.parentItem instanceof vsaq.questionnaire.items.GroupItem ||
+      item.parentItem instanceof vsaq.questionnaire.items.MatrixItem;
+};
+
+
+/**
+ * Returns the answer to a question as shown to the user, i.e. the text of
+ * checked choices, and the text of the selected answer of yes/no questions.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {string} The answer, without HTML.
+ * @private
+ */
+vsaq.questionnaire.csv.getAnswerText_ = function(item) {
+  if (vsaq.questionnaire.csv.isChoice_(item))
+    return item.isChecked() ? goog.html.utils.stripHtmlTags(item.text) : '';
+  var value = item.getValue();
+  if (item instanceof vsaq.questionnaire.items.YesNoItem) {
+    if (value == vsaq.questionnaire.items.YesNoItem.YES_VALUE)
+      return goog.html.utils.stripHtmlTags(item.yes);
+    if (value == vsaq.questionnaire.items.YesNoItem.NO_VALUE)
+      return goog.html.utils.stripHtmlTags(item.no);
+  }
+  return value == null ? '' : String(value);
+};
+
+
+/**
+ * Quotes a field if necessary. Fields that spreadsheets would read as formula
+ * are prefixed with an apostrophe, which is removed again when importing.
+ * @param {string} field The field.
+ * @return {string} The field as it is written to the file.
+ * @private
+ */
+vsaq.questionnaire.csv.formatField_ = function(field) {
+  if (/^[=+\-@]/.test(field))
+    field = '\'' + field;
+  if (/[",\r\n]/.test(field))
+    field = '"' + field.replace(/"/g, '""') + '"';
+  return field;
+};
+
+
+/**
+ * Maps the rows of a CSV file exported by `exportAnswers` back to the items of
+ * a questionnaire and sets the answers. Lists get the number of rows given in
+ * the file before the answers within the rows are set.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {string} text The CSV text.
+ * @return {!vsaq.questionnaire.csv.ImportResult} The imported answers and the
+ *     rows that could not be mapped to an item.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If the file has no id or
+ *     answer column.
+ * @throws {goog.labs.format.csv.ParseError} If the file is not valid CSV.
+ */
+vsaq.questionnaire.csv.importAnswers = function(questionnaire, text) {
+  var rows = goog.labs.format.csv.parse(text);
+  var header = rows.shift() || [];
+  var idColumn = goog.array.indexOf(header, vsaq.questionnaire.csv.Column.ID);
+  var answerColumn = goog.array.indexOf(header,
+      vsaq.questionnaire.csv.Column.ANSWER);
+  if (idColumn == -1 || answerColumn == -1)
+    throw new vsaq.questionnaire.QuestionnaireError(
+        'The file needs an "' + vsaq.questionnaire.csv.Column.ID +
+        '" and an "' + vsaq.questionnaire.csv.Column.ANSWER + '" column.');
+
+  var result = {answers: {}, unplacedRows: []};
+  var entries = [];
+  goog.array.forEach(rows, function(row, index) {
+    var id = goog.string.trim(row[idColumn] || '');
+    // Skip empty lines.
+    if (!id && !goog.string.trim(row.join(''))) return;
+    var answer = (row[answerColumn] || '').replace(/^'(?=[=+\-@])/, '');
+    entries.push({row: index + 2, id: id, answer: answer});
+  });
+
+  // Lists need to have their rows before the items in the rows can be found.
+  goog.array.forEach(entries, function(entry) {
+    var item = questionnaire.getItem(entry.id);
+    if (item instanceof vsaq.questionnaire.items.ListItem) {
+      item.setRowCount(Number(entry.answer) || 0);
+      result.answers[entry.id] = String(item.getValue());
+    }
+  });
+
+  goog.array.forEach(entries, function(entry) {
+    var item = questionnaire.getItem(entry.id);
+    if (item instanceof vsaq.questionnaire.items.ListItem) return;
+    var value = vsaq.questionnaire.csv.getValue_(item, entry.answer);
+    if (goog.isString(value)) {
+      result.answers[entry.id] = value;
+    } else {
+      result.unplacedRows.push({
+        row: entry.row,
+        id: entry.id,
+        message: item ? 'The answer "' + entry.answer + '" is not valid.' :
+            'There is no question with this id.'
+      });
+    }
+  });
+
+  questionnaire.setValues(result.answers);
+  return result;
+};
+
+
+/**
+ * Converts an answer as exported by `getAnswerText_` back into the value of
+ * an item.
+ * @param {?vsaq.questionnaire.items.Item} item The item.
+ * @param {string} answer The answer.
+ * @return {?string} The value, or null if the answer can't be set on the item.
+ * @private
+ */
+vsaq.questionnaire.csv.getValue_ = function(item, answer) {
+  if (!(item instanceof vsaq.questionnaire.items.ValueItem))
+    return null;
+  if (vsaq.questionnaire.csv.isChoice_(item))
+    return goog.string.trim(answer) ? 'checked' : '';
+  if (item instanceof vsaq.questionnaire.items.YesNoItem) {
+    var yesValue = vsaq.questionnaire.items.YesNoItem.YES_VALUE;
+    var noValue = vsaq.questionnaire.items.YesNoItem.NO_VALUE;
+    answer = goog.string.trim(answer);
+    if (!answer)
+      return '';
+    if (answer == goog.html.utils.stripHtmlTags(item.yes) || answer == yesValue)
+      return yesValue;
+    if (answer == goog.html.utils.stripHtmlTags(item.no) || answer == noValue)
+      return noValue;
+    return null;
+  }
+  return answer;
+};
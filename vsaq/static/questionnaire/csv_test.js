@@ -0,0 +1,151 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.csv.
+ */
+
+goog.provide('vsaq.questionnaire.CsvTests');
+goog.setTestOnly('vsaq.questionnaire.CsvTests');
+
+goog.require('goog.dom');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.QuestionnaireError');
+goog.require('vsaq.questionnaire.csv');
+
+var QUESTIONNAIRE;
+var questionnaire;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  QUESTIONNAIRE = [{
+    type: 'block',
+    id: 'root',
+    text: 'Root',
+    items: [{
+      type: 'block',
+      id: 'network',
+      text: 'Network <b>security</b>',
+      items: [{
+        type: 'yesno',
+        id: 'tls',
+        text: 'Do you use <i>TLS</i>?',
+        yes: 'Yes, always',
+        no: 'No'
+      }, {
+        type: 'tip',
+        id: 'no_tls',
+        warn: 'yes',
+        severity: 'high',
+        text: 'All traffic must be encrypted.',
+        why: 'Please explain.'
+      }, {
+        type: 'radiogroup',
+        id: 'storage',
+        text: 'Where is data stored?',
+        defaultChoice: true,
+        choices: [{'cloud': 'In the cloud'}, {'onprem': 'On premise'}]
+      }, {
+        type: 'line',
+        id: 'provider',
+        text: 'Provider'
+      }]
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(goog.dom.getElement('root'));
+  questionnaire.setTemplate(QUESTIONNAIRE);
+  questionnaire.render();
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  goog.dom.removeChildren(goog.dom.getElement('root'));
+}
+
+
+/**
+ * Tests exporting answers with the text shown to the user.
+ */
+function testExportAnswers() {
+  questionnaire.getItem('tls').setValue('yes');
+  questionnaire.getItem('no_tls').setValue('Only "internal", traffic');
+  questionnaire.getItem('cloud').setValue('checked');
+  questionnaire.getItem('provider').setValue('=HYPERLINK("x")');
+
+  assertEquals([
+    'Block,Question,Id,Type,Answer,Severity',
+    'Network security,Do you use TLS?,tls,yesno,"Yes, always",',
+    'Network security,All traffic must be encrypted.,no_tls,tip,' +
+        '"Only ""internal"", traffic",high',
+    'Network security,Where is data stored?,cloud,radio,In the cloud,',
+    'Network security,Where is data stored?,onprem,radio,,',
+    'Network security,Provider,provider,line,"\'=HYPERLINK(""x"")",',
+    ''
+  ].join('\r\n'), vsaq.questionnaire.csv.exportAnswers(questionnaire));
+}
+
+
+/**
+ * Tests that exported answers can be imported again.
+ */
+function testImportAnswers() {
+  questionnaire.getItem('tls').setValue('yes');
+  questionnaire.getItem('onprem').setValue('checked');
+  questionnaire.getItem('provider').setValue('=1+1');
+  var text = vsaq.questionnaire.csv.exportAnswers(questionnaire);
+  tearDown();
+  setUp();
+
+  var result = vsaq.questionnaire.csv.importAnswers(questionnaire, text);
+  assertEquals(0, result.unplacedRows.length);
+  assertEquals('yes', questionnaire.getItem('tls').getValue());
+  assertEquals('checked', questionnaire.getItem('onprem').getValue());
+  assertEquals('', questionnaire.getItem('cloud').getValue());
+  assertEquals('=1+1', questionnaire.getItem('provider').getValue());
+}
+
+
+/**
+ * Tests that rows which can't be mapped to an item are reported.
+ */
+function testImportAnswersUnplacedRows() {
+  var text = 'Id,Answer\r\n' +
+      'tls,no\r\n' +
+      '\r\n' +
+      'missing,x\r\n' +
+      'tls,maybe\r\n' +
+      'network,x\r\n';
+  var result = vsaq.questionnaire.csv.importAnswers(questionnaire, text);
+  assertEquals('no', result.answers['tls']);
+  assertObjectEquals([
+    {row: 4, id: 'missing', message: 'There is no question with this id.'},
+    {row: 5, id: 'tls', message: 'The answer "maybe" is not valid.'},
+    {row: 6, id: 'network', message: 'The answer "x" is not valid.'}
+  ], result.unplacedRows);
+
+  assertThrows(function() {
+    vsaq.questionnaire.csv.importAnswers(questionnaire, 'Question,Answer\r\n');
+  });
+}
@@ -0,0 +1,238 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A questionnaire item with an input field for dates.
+ */
+
+goog.provide('vsaq.questionnaire.items.DateItem');
+
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+goog.require('vsaq.questionnaire.utils.InvalidExpressionError');
+
+
+
+/**
+ * A question that allows the user to answer with a date, e.g. the date of the
+ * last penetration test. The value is stored in ISO 8601 format (YYYY-MM-DD).
+ * @param {string} id An ID uniquely identifying the question.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the item to be visible to the user.
+ * @param {string} caption The caption to show above the input field.
+ * @param {string=} opt_minDate The earliest allowed date (YYYY-MM-DD).
+ * @param {string=} opt_maxDate The latest allowed date (YYYY-MM-DD).
+ * @param {boolean=} opt_isRequired Iff true, the item value is required.
+ * @param {string=} opt_auth If "readonly", this ValueItem cannot be modified.
+ * @extends {vsaq.questionnaire.items.ValueItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.DateItem = function(id, conditions, caption,
+    opt_minDate, opt_maxDate, opt_isRequired, opt_auth) {
+  goog.base(this, id, conditions, caption, undefined, undefined, undefined,
+      opt_isRequired, undefined, opt_auth);
+
+  /**
+   * The html input element where the user can answer the question.
+   * @type {!HTMLInputElement}
+   * @private
+   */
+  this.dateBox_;
+
+  /**
+   * The earliest allowed date (YYYY-MM-DD).
+   * @type {string}
+   */
+  this.minDate = goog.string.makeSafe(opt_minDate);
+  this.addPropertyInformation('minDate', {nameInClass: 'minDate'});
+
+  /**
+   * The latest allowed date (YYYY-MM-DD).
+   * @type {string}
+   */
+  this.maxDate = goog.string.makeSafe(opt_maxDate);
+  this.addPropertyInformation('maxDate', {nameInClass: 'maxDate'});
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.DateItem,
+              vsaq.questionnaire.items.ValueItem);
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.DateItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(vsaq.questionnaire.templates.date,
+      {
+        id: this.id,
+        captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(this.text),
+        minDate: this.minDate,
+        maxDate: this.maxDate,
+        isRequired: Boolean(this.required)
+      });
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.dateBox_ = /** @type {!HTMLInputElement} */
+      (vsaq.questionnaire.utils.findById(this.container, this.id));
+  goog.events.listen(
+      this.dateBox_,
+      [goog.events.EventType.KEYUP, goog.events.EventType.CHANGE],
+      this.answerChanged,
+      true,
+      this);
+};
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.DateItem.TYPE = 'date';
+
+
+/**
+ * Matches dates in ISO 8601 format (YYYY-MM-DD).
+ * @type {!RegExp}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.items.DateItem.ISO_DATE_PATTERN_ = /^\d{4}-\d{2}-\d{2}$/;
+
+
+/**
+ * Returns whether the string is a valid date in ISO 8601 format (YYYY-MM-DD).
+ * @param {string} date The string to test.
+ * @return {boolean} Whether the string is a valid date.
+ */
+vsaq.questionnaire.items.DateItem.isIsoDate = function(date) {
+  return vsaq.questionnaire.items.DateItem.ISO_DATE_PATTERN_.test(date) &&
+      !isNaN(Date.parse(date));
+};
+
+
+/**
+ * Parses DateItems. If the topmost item in the passed Array is a
+ * DateItem, it is consumed and a DateItem instance is returned.
+ * If the topmost item is not a DateItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.DateItem} The parsed DateItem.
+ */
+vsaq.questionnaire.items.DateItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.DateItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  return new vsaq.questionnaire.items.DateItem(item.id, item.cond, item.text,
+      item.minDate, item.maxDate, item.required, item.auth);
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.DateItem.prototype.setReadOnly = function(readOnly) {
+  // if item marked readonly, always keep it readonly
+  this.dateBox_.readOnly = this.auth == 'readonly' ? true : readOnly;
+};
+
+
+/**
+ * Returns the value of the item.
+ * @return {string} The entered date in ISO 8601 format (YYYY-MM-DD), or the
+ *     empty string if no valid date was entered.
+ * @override
+ */
+vsaq.questionnaire.items.DateItem.prototype.getValue = function() {
+  var value = goog.string.trim(this.dateBox_.value);
+  return vsaq.questionnaire.items.DateItem.isIsoDate(value) ? value : '';
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.DateItem.prototype.setInternalValue =
+    function(value) {
+  this.dateBox_.value = /** @type {string} */ (value);
+};
+
+
+/**
+ * Returns whether the value of the item is a valid date between minDate and
+ * maxDate.
+ * @return {boolean} Whether the value is valid.
+ */
+vsaq.questionnaire.items.DateItem.prototype.isValid = function() {
+  var value = this.getValue();
+  if (!value)
+    return false;
+  // Dates in ISO 8601 format can be compared as strings.
+  if (this.minDate && value < this.minDate)
+    return false;
+  if (this.maxDate && value > this.maxDate)
+    return false;
+  return true;
+};
+
+
+/**
+ * Returns true if the item contains a valid date. Dates out of range (see
+ * `isValid`) don't count as an answer.
+ * @override
+ */
+vsaq.questionnaire.items.DateItem.prototype.isAnswered = function() {
+  return this.isValid();
+};
+
+
+/**
+ * In addition to required items without valid answer, also items with an
+ * invalid answer need to be filled, even if they are not required.
+ * @override
+ */
+vsaq.questionnaire.items.DateItem.prototype.isUnfilled = function() {
+  var hasInput = !goog.string.isEmptyOrWhitespace(this.dateBox_.value) ||
+      Boolean(this.dateBox_.validity && this.dateBox_.validity.badInput);
+  return this.isVisible() &&
+      (this.required || this.requiredByConditions || hasInput) &&
+      !this.isValid();
+};
+
+
+vsaq.questionnaire.utils.registerFunction('olderThanDays',
+    function(id, days) {
+      var item = this && this[id];
+      if (!(item instanceof vsaq.questionnaire.items.DateItem))
+        throw new vsaq.questionnaire.utils.InvalidExpressionError(
+            '`olderThanDays` expects the id of a date item, got `' + id +
+            '`');
+      var value = item.getValue();
+      return !!value && vsaq.questionnaire.utils.daysSince(value) > days;
+    }, {
+      byReference: true,
+      signature: 'olderThanDays(date_id, days)',
+      description: 'Whether the date entered in the date item is more than ' +
+          'the given number of days ago.'
+    });
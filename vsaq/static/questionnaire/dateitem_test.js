@@ -0,0 +1,164 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.items.DateItem.
+ */
+
+goog.provide('vsaq.questionnaire.items.DateItemTests');
+goog.setTestOnly('vsaq.questionnaire.items.DateItemTests');
+
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.items.DateItem');
+goog.require('vsaq.questionnaire.items.LineItem');
+goog.require('vsaq.questionnaire.utils');
+goog.require('vsaq.questionnaire.utils.InvalidExpressionError');
+
+var CAPTION = 'dateitem_caption';
+var ID = 'dateitem_id';
+var MIN_DATE = '2000-01-01';
+var MAX_DATE = '2099-12-31';
+
+var date;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  date = new vsaq.questionnaire.items.DateItem(ID, null, CAPTION, MIN_DATE,
+      MAX_DATE);
+}
+
+
+/**
+ * Returns the date the given number of days ago in ISO 8601 format.
+ * @param {number} days The number of days.
+ * @return {string} The date.
+ */
+function daysAgo(days) {
+  var d = new Date();
+  d.setDate(d.getDate() - days);
+  var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+  return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' +
+      pad(d.getDate());
+}
+
+
+/**
+ * Tests whether date items are rendered correctly.
+ */
+function testDateItem() {
+  var el = date.container;
+
+  assertEquals(String(goog.dom.TagName.DIV), el.tagName);
+  var desc = goog.dom.getFirstElementChild(el);
+  assertEquals(CAPTION, goog.dom.getTextContent(desc));
+  var input = goog.dom.getNextElementSibling(desc);
+  assertEquals(String(goog.dom.TagName.INPUT), input.tagName);
+  assertEquals(MIN_DATE, input.min);
+  assertEquals(MAX_DATE, input.max);
+  assertEquals(ID, input.id);
+}
+
+
+/**
+ * Tests setting and retrieving the value of the item.
+ */
+function testDateItemSetGetValue() {
+  assertEquals('', date.getValue());
+  date.setValue('2016-02-29');
+  assertEquals('2016-02-29', date.getValue());
+  date.setValue('29.02.2016');
+  assertEquals('', date.getValue());
+  date.setValue('');
+  assertEquals('', date.getValue());
+}
+
+
+/**
+ * Tests that only dates within minDate and maxDate count as answer.
+ */
+function testDateItemValidation() {
+  assertFalse(date.isAnswered());
+  assertFalse(date.isUnfilled());
+
+  date.setValue('2016-06-01');
+  assertTrue(date.isAnswered());
+  assertFalse(date.isUnfilled());
+
+  date.setValue('1999-12-31');
+  assertFalse(date.isAnswered());
+  assertTrue(date.isUnfilled());
+
+  date.required = true;
+  date.setValue('');
+  assertTrue(date.isUnfilled());
+}
+
+
+/**
+ * Tests parsing of DateItems.
+ */
+function testDateItemParse() {
+  var testStack = [{
+    'type': 'date',
+    'text': CAPTION,
+    'id': ID,
+    'required': true,
+    'minDate': MIN_DATE,
+    'maxDate': MAX_DATE
+  }];
+  date = vsaq.questionnaire.items.DateItem.parse(testStack);
+  assert(date instanceof vsaq.questionnaire.items.DateItem);
+  assertEquals(0, testStack.length);
+  assertEquals(ID, date.id);
+  assertEquals(CAPTION, date.text);
+  assertEquals(MIN_DATE, date.minDate);
+  assertEquals(MAX_DATE, date.maxDate);
+  assertTrue(date.required);
+}
+
+
+/**
+ * Tests the olderThanDays function in conditions.
+ */
+function testOlderThanDays() {
+  date.minDate = '';
+  var line = new vsaq.questionnaire.items.LineItem('line', null, 'line');
+  var items = {};
+  items[ID] = date;
+  items['line'] = line;
+  var resolver = function(id) { return id; };
+  var evaluate = function(expression) {
+    var ast = vsaq.questionnaire.utils.parseExpression(expression);
+    return vsaq.questionnaire.utils.evalParsedExpression(ast, resolver, items);
+  };
+
+  assertFalse(evaluate('olderThanDays(' + ID + ', 365)'));
+  date.setValue(daysAgo(400));
+  assertTrue(evaluate('olderThanDays(' + ID + ', 365)'));
+  date.setValue(daysAgo(10));
+  assertFalse(evaluate('olderThanDays(' + ID + ', 365)'));
+
+  var e = assertThrows(function() {
+    evaluate('olderThanDays(line, 365)');
+  });
+  assert(e instanceof vsaq.questionnaire.utils.InvalidExpressionError);
+}
@@ -27,10 +27,13 @@ var qjson = {};
 
 /**
  * @typedef {{
+ *   addText: string,
  *   auth: string,
  *   choices: Object.<string, string>,
  *   choicesConds: Object.<string, string>,
+ *   choicesScores: Array.<Object.<string, number>>,
  *   className: string,
+ *   columns: Array.<Object.<string, string>>,
  *   cond: string,
  *   customTitle: string,
  *   default: string,
@@ -39,16 +42,29 @@ var qjson = {};
  *   inputType: string,
  *   inputPattern: string,
  *   inputTitle: string,
+ *   max: number,
+ *   maxDate: string,
+ *   maxRows: number,
  *   maxlength: number,
+ *   min: number,
+ *   minDate: string,
+ *   minRows: number,
  *   name: string,
  *   no: string,
  *   placeholder: string,
  *   required: boolean,
+ *   requiredIf: string,
+ *   rows: Array.<Object.<string, string>>,
  *   severity: string,
+ *   severityWeights: Object.<string, number>,
+ *   step: number,
  *   style: string,
  *   text: string,
  *   todo: string,
  *   type: string,
+ *   typeahead: boolean,
+ *   unit: string,
+ *   validate: Array.<{rule: string, value: *, message: string}>,
  *   warn: string,
  *   why: string,
  *   yes: string
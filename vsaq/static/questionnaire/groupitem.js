@@ -37,6 +37,8 @@ goog.require('vsaq.questionnaire.items.ParseError');
 goog.require('vsaq.questionnaire.items.RadioItem');
 goog.require('vsaq.questionnaire.items.ValueItem');
 goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+goog.require('vsaq.questionnaire.utils.InvalidExpressionError');
 
 
 
@@ -107,6 +109,18 @@ vsaq.questionnaire.items.GroupItem = function(id, conditions, caption,
    * @type {boolean}
    */
   this.required = Boolean(opt_isRequired);
+  propertyInformation = {
+    nameInClass: 'requiredConditions',
+    metadata: true
+  };
+  this.addPropertyInformation('requiredIf', propertyInformation);
+
+  /**
+   * The scores of the choices, where the choice ids are the keys. The scores
+   * of checked choices are added to the risk score of the questionnaire.
+   * @type {!Object.<string, number>}
+   */
+  this.choiceScores = {};
 
   // Iterate over all choices and create valid questionnaire items for them.
   goog.array.forEach(choices, function(choice) {
@@ -242,6 +256,7 @@ vsaq.questionnaire.items.GroupItem.prototype.exportItem = function() {
       vsaq.questionnaire.items.Item.prototype.exportItem.call(this);
   var choices = [];
   var choicesConds = [];
+  var choicesScores = [];
   goog.array.forEach(this.containerItems, function(item) {
     // Skip the default choice item.
     if (this.defaultChoiceItem && item.id == this.defaultChoiceItem.id)
@@ -256,14 +271,52 @@ vsaq.questionnaire.items.GroupItem.prototype.exportItem = function() {
       choiceCond[item.id] = item.conditions;
       choicesConds.push(choiceCond);
     }
+    if (this.choiceScores[item.id]) {
+      var choiceScore = {};
+      choiceScore[item.id] = this.choiceScores[item.id];
+      choicesScores.push(choiceScore);
+    }
   }, this);
   exportProperties.set('choices', choices);
   if (choicesConds.length > 0)
     exportProperties.set('choicesConds', choicesConds);
+  if (choicesScores.length > 0)
+    exportProperties.set('choicesScores', choicesScores);
   return exportProperties;
 };
 
 
+/**
+ * Sets the scores of the choices.
+ * @param {?Array.<!Object.<string, number>>|undefined} choicesScores An array
+ *     that contains the scores of choices in form of dictionaries, like
+ *     `[{"no_tls": 5}]`. Choices without score have a score of 0.
+ */
+vsaq.questionnaire.items.GroupItem.prototype.setChoiceScores = function(
+    choicesScores) {
+  this.choiceScores = {};
+  goog.array.forEach(choicesScores || [], function(choiceScore) {
+    // choiceScore is supposed to be a dictionary with exactly one entry.
+    var choiceId = goog.object.getKeys(choiceScore)[0];
+    this.choiceScores[choiceId] = Number(choiceScore[choiceId]) || 0;
+  }, this);
+};
+
+
+/**
+ * Returns the sum of the scores of the visible checked choices.
+ * @return {number} The score of the group.
+ */
+vsaq.questionnaire.items.GroupItem.prototype.getScore = function() {
+  var score = 0;
+  goog.array.forEach(this.getCheckedChoices(), function(choice) {
+    if (choice.isVisible())
+      score += this.choiceScores[choice.id] || 0;
+  }, this);
+  return score;
+};
+
+
 /**
  * Return true if the item is marked required in template,
  * meets all conditions (thus visible) and not yet answered, false otherwise.
@@ -272,7 +325,55 @@ vsaq.questionnaire.items.GroupItem.prototype.exportItem = function() {
  * submit the questionnaire.
  */
 vsaq.questionnaire.items.GroupItem.prototype.isUnfilled = function() {
-  return this.isVisible() && this.required && !this.getValue();
+  return this.isVisible() && (this.required || this.requiredByConditions) &&
+      !this.getValue();
+};
+
+
+/**
+ * Returns the choices of the group, without the default choice.
+ * @return {!Array.<!vsaq.questionnaire.items.ValueItem>} The choices.
+ */
+vsaq.questionnaire.items.GroupItem.prototype.getChoices = function() {
+  return /** @type {!Array.<!vsaq.questionnaire.items.ValueItem>} */ (
+      goog.array.filter(this.containerItems, function(item) {
+        return item instanceof vsaq.questionnaire.items.ValueItem &&
+            item != this.defaultChoiceItem;
+      }, this));
+};
+
+
+/**
+ * Returns the checked choices of the group, without the default choice.
+ * @return {!Array.<!vsaq.questionnaire.items.ValueItem>} The checked choices.
+ */
+vsaq.questionnaire.items.GroupItem.prototype.getCheckedChoices = function() {
+  return goog.array.filter(this.getChoices(), function(item) {
+    return item.isChecked();
+  });
+};
+
+
+/**
+ * Looks up a group for one of the functions over groups that can be called in
+ * conditions (e.g. `countChecked(group_id)`).
+ * @param {Object} items The dictionary of all items in the questionnaire the
+ *     function was called on.
+ * @param {string} id The id of the group passed to the function.
+ * @param {string} functionName The name of the function, for error messages.
+ * @return {!vsaq.questionnaire.items.GroupItem} The group.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError} If there is no
+ *     group with the given id.
+ * @private
+ */
+vsaq.questionnaire.items.GroupItem.getGroup_ = function(items, id,
+    functionName) {
+  var group = items && items[id];
+  if (!(group instanceof vsaq.questionnaire.items.GroupItem))
+    throw new vsaq.questionnaire.utils.InvalidExpressionError(
+        '`' + functionName + '` expects the id of a checkgroup or ' +
+        'radiogroup, got `' + id + '`');
+  return group;
 };
 
 
@@ -317,9 +418,11 @@ vsaq.questionnaire.items.RadiogroupItem.parse = function(questionStack) {
   if (item.type != vsaq.questionnaire.items.RadiogroupItem.TYPE)
     throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
 
-  return new vsaq.questionnaire.items.RadiogroupItem(
+  var group = new vsaq.questionnaire.items.RadiogroupItem(
       item.id, item.cond, item.text, item.defaultChoice, item.choices,
       item.choicesConds, item.auth, item.required);
+  group.setChoiceScores(item.choicesScores);
+  return group;
 };
 
 
@@ -384,7 +487,57 @@ vsaq.questionnaire.items.CheckgroupItem.parse = function(questionStack) {
   if (item.type != vsaq.questionnaire.items.CheckgroupItem.TYPE)
     throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
 
-  return new vsaq.questionnaire.items.CheckgroupItem(
+  var group = new vsaq.questionnaire.items.CheckgroupItem(
       item.id, item.cond, item.text, item.defaultChoice, item.choices,
       item.choicesConds, item.auth, item.required);
+  group.setChoiceScores(item.choicesScores);
+  return group;
 };
+
+
+vsaq.questionnaire.utils.registerFunction('countChecked', function(id) {
+  var group = vsaq.questionnaire.items.GroupItem.getGroup_(
+      this, id, 'countChecked');
+  return group.getCheckedChoices().length;
+}, {
+  byReference: true,
+  signature: 'countChecked(group_id)',
+  description: 'The number of checked choices in the group.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('anyChecked', function(id) {
+  var group = vsaq.questionnaire.items.GroupItem.getGroup_(
+      this, id, 'anyChecked');
+  return group.getCheckedChoices().length > 0;
+}, {
+  byReference: true,
+  signature: 'anyChecked(group_id)',
+  description: 'Whether any choice in the group is checked.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('allChecked', function(id) {
+  var group = vsaq.questionnaire.items.GroupItem.getGroup_(
+      this, id, 'allChecked');
+  var choices = group.getChoices();
+  return choices.length > 0 &&
+      group.getCheckedChoices().length == choices.length;
+}, {
+  byReference: true,
+  signature: 'allChecked(group_id)',
+  description: 'Whether all choices in the group are checked.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('selected', function(id) {
+  var group = vsaq.questionnaire.items.GroupItem.getGroup_(
+      this, id, 'selected');
+  var checked = group.getCheckedChoices();
+  return checked.length ? checked[0].id : '';
+}, {
+  byReference: true,
+  signature: 'selected(radiogroup_id)',
+  description: 'The id of the selected choice, or "" if none (or the ' +
+      'default choice) is selected.'
+});
@@ -193,3 +193,20 @@ function testGroupItemParse() {
   // Verify all items once again
   testGroupItem();
 }
+
+
+/**
+ * Tests getting the (checked) choices of a group.
+ */
+function testGetCheckedChoices() {
+  assertEquals(2, checkgroupItem.getChoices().length);
+  assertEquals(0, checkgroupItem.getCheckedChoices().length);
+
+  // The default choice doesn't count as a choice.
+  checkgroupItem.defaultChoiceItem.setValue('checked');
+  assertEquals(0, checkgroupItem.getCheckedChoices().length);
+
+  checkgroupItem.containerItems[1].setValue('checked');
+  assertArrayEquals([checkgroupItem.containerItems[1]],
+      checkgroupItem.getCheckedChoices());
+}
@@ -27,16 +27,20 @@
 goog.provide('vsaq.questionnaire.items.Item');
 goog.provide('vsaq.questionnaire.items.ItemArray');
 goog.provide('vsaq.questionnaire.items.ParseError');
+goog.provide('vsaq.questionnaire.items.ValidationRule');
 goog.provide('vsaq.questionnaire.items.ValueItem');
 goog.provide('vsaq.questionnaire.items.factory');
 
+goog.require('goog.array');
 goog.require('goog.debug.Error');
 goog.require('goog.dom');
 goog.require('goog.dom.classlist');
 goog.require('goog.events.EventTarget');
 goog.require('goog.object');
+goog.require('goog.soy');
 goog.require('goog.string');
 goog.require('goog.structs.LinkedMap');
+goog.require('vsaq.questionnaire.templates');
 goog.require('vsaq.questionnaire.utils');
 
 
@@ -47,6 +51,19 @@ goog.require('vsaq.questionnaire.utils');
 vsaq.questionnaire.items.ItemArray;
 
 
+/**
+ * A validation rule of a value item, as listed in its `validate` property.
+ * `rule` is the kind of check, `value` its parameter (e.g. the minimum length
+ * or the pattern) and `message` the text shown if the answer fails the check.
+ * @typedef {{
+ *   rule: string,
+ *   value: *,
+ *   message: string
+ * }}
+ */
+vsaq.questionnaire.items.ValidationRule;
+
+
 
 /**
  * Class to represent all parsing errors.
@@ -115,7 +132,8 @@ vsaq.questionnaire.items.Item = function(id, conditions) {
   /**
    * Conditions to evaluate whether the item should be visible to the user.
    * Conditions can only be provided as a single string with a boolean
-   * expression in Javascript style.
+   * expression in Javascript style. Values of other items can be compared
+   * with ==, !=, <, <=, > and >=, e.g. 'employee_count/value > 500'.
    * @type {string}
    */
   this.conditions = conditions || '';
@@ -125,6 +143,61 @@ vsaq.questionnaire.items.Item = function(id, conditions) {
   };
   this.addPropertyInformation('cond', propertyInformation);
 
+  /**
+   * Conditions under which the item needs to be answered, even if it is not
+   * marked as required. They have the same format as `conditions`. Only items
+   * that can be required expose them as `requiredIf` in the template.
+   * @type {string}
+   */
+  this.requiredConditions = '';
+
+  /**
+   * Whether the item currently needs to be answered because its
+   * `requiredConditions` are met. This is updated by the questionnaire before
+   * it looks for unfilled items.
+   * @type {boolean}
+   */
+  this.requiredByConditions = false;
+
+  /**
+   * The syntax tree of the conditions, cached so the conditions don't need to
+   * be parsed again each time they are evaluated.
+   * @type {?vsaq.questionnaire.utils.ExpressionNode}
+   * @private
+   */
+  this.parsedConditions_ = null;
+
+  /**
+   * The conditions string parsedConditions_ was created from. Used to detect
+   * changes to the conditions (e.g. by the editor).
+   * @type {?string}
+   * @private
+   */
+  this.parsedConditionsSource_ = null;
+
+  /**
+   * The syntax tree of the required conditions, cached like the one of the
+   * conditions.
+   * @type {?vsaq.questionnaire.utils.ExpressionNode}
+   * @private
+   */
+  this.parsedRequiredConditions_ = null;
+
+  /**
+   * The required conditions string parsedRequiredConditions_ was created from.
+   * @type {?string}
+   * @private
+   */
+  this.parsedRequiredConditionsSource_ = null;
+
+  /**
+   * Whether the conditions of the item are currently being evaluated. Used to
+   * detect conditions that (indirectly) depend on themselves.
+   * @type {boolean}
+   * @private
+   */
+  this.evaluatingConditions_ = false;
+
   /**
    * The container this item is part of. If this item is the root of the
    * questionnaire, this property is undefined;
@@ -269,23 +342,109 @@ vsaq.questionnaire.items.Item.prototype.getPropertiesInformation = function() {
 
 
 /**
- * Evaluates whether the conditions set for this item are met based on the
- * state of the other items in the questionnaire.
+ * Returns the syntax tree of the item's conditions. The conditions are only
+ * parsed again if they changed since the last call.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed conditions.
+ * @throws {vsaq.questionnaire.items.ParseError} If the conditions are not a
+ *     valid expression. The message names the item and the position of the
+ *     error within the conditions.
+ */
+vsaq.questionnaire.items.Item.prototype.getParsedConditions = function() {
+  var cond = /** @type {string} */ (this.conditions);
+  if (!this.parsedConditions_ || this.parsedConditionsSource_ !== cond) {
+    this.parsedConditions_ = this.parseExpression_(cond, 'condition');
+    this.parsedConditionsSource_ = cond;
+  }
+  return this.parsedConditions_;
+};
+
+
+/**
+ * Returns the syntax tree of the item's required conditions, which are cached
+ * like the conditions (see `getParsedConditions`).
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed required
+ *     conditions.
+ * @throws {vsaq.questionnaire.items.ParseError} If the required conditions are
+ *     not a valid expression.
+ */
+vsaq.questionnaire.items.Item.prototype.getParsedRequiredConditions =
+    function() {
+  var cond = this.requiredConditions;
+  if (!this.parsedRequiredConditions_ ||
+      this.parsedRequiredConditionsSource_ !== cond) {
+    this.parsedRequiredConditions_ = this.parseExpression_(cond, 'requiredIf');
+    this.parsedRequiredConditionsSource_ = cond;
+  }
+  return this.parsedRequiredConditions_;
+};
+
+
+/**
+ * Returns the variables used in the item's conditions, e.g. "a/yes" or "^b".
+ * The cached syntax tree of the conditions is used.
+ * @param {boolean=} opt_required Whether to return the variables used in the
+ *     required conditions (`requiredIf`) instead.
+ * @return {!Array.<string>} The variables. Empty if there are no conditions
+ *     or they are not a valid expression.
+ */
+vsaq.questionnaire.items.Item.prototype.getConditionVariables = function(
+    opt_required) {
+  var expression = opt_required ? this.requiredConditions : this.conditions;
+  if (!expression) return [];
+  var parsedConditions;
+  try {
+    parsedConditions = opt_required ? this.getParsedRequiredConditions() :
+        this.getParsedConditions();
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.items.ParseError))
+      throw e;
+    return [];
+  }
+  return vsaq.questionnaire.utils.getVariables(parsedConditions);
+};
+
+
+/**
+ * Parses an expression of the item.
+ * @param {string} expression The expression.
+ * @param {string} kind What the expression is used for, for error messages.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The syntax tree.
+ * @throws {vsaq.questionnaire.items.ParseError} If the expression is invalid.
+ * @private
+ */
+vsaq.questionnaire.items.Item.prototype.parseExpression_ = function(
+    expression, kind) {
+  try {
+    return vsaq.questionnaire.utils.parseExpression(expression);
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.utils.InvalidExpressionError))
+      throw e;
+    throw new vsaq.questionnaire.items.ParseError(
+        'Invalid ' + kind + ' of item ' + this.id + ': ' + e.message);
+  }
+};
+
+
+/**
+ * Returns the function that resolves the variables in the item's conditions
+ * (or required conditions) to the state of the referenced items.
  * @param {!Object.<string, (!vsaq.questionnaire.items.Item|!Object)>} items A
- *     dictionary with all items in the questionnaire. The keys of the
- *     dictionary are the item IDs, the values the items.
- * @return {boolean} Whether the conditions of the item evaluate to true.
- * @throws {vsaq.questionnaire.items.ParseError}
+ *     dictionary with all items in the questionnaire.
+ * @param {string} expression The evaluated conditions, for error messages.
+ * @return {function(string): *} The resolver.
+ * @private
  */
-vsaq.questionnaire.items.Item.prototype.evaluateConditions = function(items) {
-  var resolver = function(id) {
+vsaq.questionnaire.items.Item.prototype.createResolver_ = function(items,
+    expression) {
+  return goog.bind(function(id) {
     if (id == 'false') return false;
 
     var refId = id.replace(/^[\^]?/, '').replace(/(\/yes|\/no|\/value)$/, '');
     var refItem = items[refId];
     if (!refItem)
       throw new vsaq.questionnaire.items.ParseError(
-          'Could not parse condition of item ' + this.id);
+          'Unknown item `' + refId + '` in condition of item ' + this.id +
+          ': "' + expression + '"');
 
     if (refItem instanceof vsaq.questionnaire.items.ValueItem &&
         id.indexOf('/value') > -1) {
@@ -311,12 +470,70 @@ vsaq.questionnaire.items.Item.prototype.evaluateConditions = function(items) {
 
     } else {
       throw new vsaq.questionnaire.items.ParseError(
-          'Operator illegal in conditions of item ' + this.id);
+          'Item `' + refId + '` can not be used in condition of item ' +
+          this.id + ': "' + expression + '"');
     }
-  };
+  }, this);
+};
+
 
-  var cond = /** @type {string} */(this.conditions);
-  return vsaq.questionnaire.utils.evalExpression(cond, resolver);
+/**
+ * Evaluates whether the conditions set for this item are met based on the
+ * state of the other items in the questionnaire.
+ * @param {!Object.<string, (!vsaq.questionnaire.items.Item|!Object)>} items A
+ *     dictionary with all items in the questionnaire. The keys of the
+ *     dictionary are the item IDs, the values the items.
+ * @return {boolean} Whether the conditions of the item evaluate to true.
+ * @throws {vsaq.questionnaire.items.ParseError}
+ */
+vsaq.questionnaire.items.Item.prototype.evaluateConditions = function(items) {
+  // Circular conditions would otherwise recurse until the stack overflows.
+  if (this.evaluatingConditions_)
+    throw new vsaq.questionnaire.items.ParseError(
+        'Circular dependency in condition of item ' + this.id + ': "' +
+        this.conditions + '"');
+
+  this.evaluatingConditions_ = true;
+  try {
+    return !!vsaq.questionnaire.utils.evalParsedExpression(
+        this.getParsedConditions(),
+        this.createResolver_(items, this.conditions), items);
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.utils.InvalidExpressionError))
+      throw e;
+    throw new vsaq.questionnaire.items.ParseError(
+        'Could not evaluate condition of item ' + this.id + ': ' + e.message +
+        ' in "' + this.conditions + '"');
+  } finally {
+    this.evaluatingConditions_ = false;
+  }
+};
+
+
+/**
+ * Evaluates whether the required conditions of this item are met, i.e.
+ * whether it needs to be answered even if it is not marked as required. The
+ * variables in them are resolved the same way as in the conditions.
+ * @param {!Object.<string, (!vsaq.questionnaire.items.Item|!Object)>} items A
+ *     dictionary with all items in the questionnaire.
+ * @return {boolean} Whether the required conditions evaluate to true. False if
+ *     the item has none.
+ * @throws {vsaq.questionnaire.items.ParseError}
+ */
+vsaq.questionnaire.items.Item.prototype.evaluateRequiredConditions = function(
+    items) {
+  if (!this.requiredConditions) return false;
+  try {
+    return !!vsaq.questionnaire.utils.evalParsedExpression(
+        this.getParsedRequiredConditions(),
+        this.createResolver_(items, this.requiredConditions), items);
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.utils.InvalidExpressionError))
+      throw e;
+    throw new vsaq.questionnaire.items.ParseError(
+        'Could not evaluate requiredIf of item ' + this.id + ': ' +
+        e.message + ' in "' + this.requiredConditions + '"');
+  }
 };
 
 
@@ -376,6 +593,17 @@ vsaq.questionnaire.items.Item.parse = function(questionStack) {
         (parser(questionStack));
     if (question.className)
       goog.dom.classlist.add(item.container, question.className);
+    if (question.requiredIf) {
+      // Only items that can be required register the requiredIf property.
+      if (!item.getPropertyInformation('requiredIf'))
+        throw new vsaq.questionnaire.items.ParseError(
+            'requiredIf is not supported for items of type ' +
+            question.type + '.');
+      item.requiredConditions = question.requiredIf;
+    }
+    if (question.validate &&
+        item instanceof vsaq.questionnaire.items.ValueItem)
+      item.setValidationRules(question.validate);
     if (question['default'] &&
         item instanceof vsaq.questionnaire.items.ValueItem) {
       // Use setInternalValue to avoid triggering an event for default values.
@@ -458,7 +686,8 @@ vsaq.questionnaire.items.Item.prototype.exportItem = function() {
       function(propertyAttributes, propertyName) {
         // We ignore all variables that are empty strings, null or undefined.
         if (!propertyAttributes.value &&
-            !(typeof propertyAttributes.value === 'boolean'))
+            !(typeof propertyAttributes.value === 'boolean') &&
+            !(typeof propertyAttributes.value === 'number'))
           return;
         exportProperties.set(propertyName, propertyAttributes.value);
       },
@@ -524,6 +753,11 @@ vsaq.questionnaire.items.ValueItem = function(id, conditions, text,
    * @type {boolean}
    */
   this.required = Boolean(opt_isRequired);
+  propertyInformation = {
+    nameInClass: 'requiredConditions',
+    metadata: true
+  };
+  this.addPropertyInformation('requiredIf', propertyInformation);
   /**
    * HTML5 pattern attribute value for the input field.
    * @type {string|undefined}
@@ -539,6 +773,11 @@ vsaq.questionnaire.items.ValueItem = function(id, conditions, text,
    * @type {number|undefined}
    */
   this.maxlength = opt_maxlength;
+  /**
+   * Rules the answer needs to pass, in addition to being given if required.
+   * @type {!Array.<!vsaq.questionnaire.items.ValidationRule>}
+   */
+  this.validationRules = [];
 
   if (opt_auth == 'readonly')
     /**
@@ -581,14 +820,149 @@ vsaq.questionnaire.items.ValueItem.prototype.isChecked = function(opt_value) {
 
 
 /**
- * Return true if the item is marked required in template,
- * meets all conditions (thus visible) and not yet answered, false otherwise.
+ * Return true if the item is marked required in template (or required by its
+ * `requiredConditions`), meets all conditions (thus visible) and not yet
+ * answered, false otherwise.
  * It can be useful to decide if a valid questionnaire is ready to submit.
  * @return {boolean} Whether the item needs to be filled in order to
  * submit the questionnaire.
  */
 vsaq.questionnaire.items.ValueItem.prototype.isUnfilled = function() {
-  return this.isVisible() && this.required && !this.isAnswered();
+  return this.isVisible() && (this.required || this.requiredByConditions) &&
+      !this.isAnswered();
+};
+
+
+/**
+ * The checks that can be used in validation rules, apart from "expression".
+ * Each is called with the answer as string and the `value` of the rule, and
+ * returns whether the answer passes.
+ * @type {!Object.<string, function(string, *): boolean>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.items.ValueItem.VALIDATORS_ = {
+  'minLength': function(answer, length) {
+    return answer.length >= Number(length);
+  },
+  'maxLength': function(answer, length) {
+    return answer.length <= Number(length);
+  },
+  'pattern': function(answer, pattern) {
+    // Like the HTML5 pattern attribute, the pattern must match the whole
+    // answer.
+    return new RegExp('^(?:' + pattern + ')$').test(answer);
+  },
+  'email': function(answer) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(answer);
+  },
+  'url': function(answer) {
+    return /^https?:\/\/[^\s\/?#]+\.[^\s\/?#]+([\/?#]\S*)?$/i.test(answer);
+  }
+};
+
+
+/**
+ * Sets the validation rules of the item. Besides the checks in `VALIDATORS_`,
+ * a rule can be an "expression", which is written like conditions and has to
+ * evaluate to true. It may refer to the answer of this item as `<id>/value`,
+ * e.g. to compare it with the answer to another question.
+ * @param {!Array.<!vsaq.questionnaire.items.ValidationRule>} rules The rules.
+ * @throws {vsaq.questionnaire.items.ParseError} If a rule is unknown, has no
+ *     message, or its pattern or expression is invalid.
+ */
+vsaq.questionnaire.items.ValueItem.prototype.setValidationRules = function(
+    rules) {
+  goog.array.forEach(rules, function(rule) {
+    if (!rule.message)
+      throw new vsaq.questionnaire.items.ParseError('Validation rule "' +
+          rule.rule + '" of item ' + this.id + ' has no message.');
+    if (rule.rule == 'expression') {
+      this.parseExpression_(String(rule.value), 'validation rule');
+    } else if (!vsaq.questionnaire.items.ValueItem.VALIDATORS_.hasOwnProperty(
+        rule.rule)) {
+      throw new vsaq.questionnaire.items.ParseError(
+          'Unknown validation rule "' + rule.rule + '" of item ' + this.id);
+    } else if (rule.rule == 'pattern') {
+      try {
+        new RegExp(String(rule.value));
+      } catch (e) {
+        throw new vsaq.questionnaire.items.ParseError(
+            'Invalid pattern in validation rule of item ' + this.id + ': ' +
+            rule.value);
+      }
+    }
+  }, this);
+  this.validationRules = rules;
+};
+
+
+/**
+ * Checks the answer of the item against its validation rules. Items without
+ * answer pass all rules, as whether they need one is up to `required` and
+ * `requiredIf`.
+ * @param {!Object.<string, (!vsaq.questionnaire.items.Item|!Object)>} items A
+ *     dictionary with all items in the questionnaire, to resolve the variables
+ *     in expressions.
+ * @return {!Array.<string>} The messages of the rules the answer fails.
+ * @throws {vsaq.questionnaire.items.ParseError} If an expression can not be
+ *     evaluated.
+ */
+vsaq.questionnaire.items.ValueItem.prototype.validate = function(items) {
+  var value = this.getValue();
+  if (!goog.isDefAndNotNull(value) || value === '') return [];
+
+  var answer = String(value);
+  var messages = [];
+  goog.array.forEach(this.validationRules, function(rule) {
+    var passed;
+    if (rule.rule == 'expression') {
+      var expression = String(rule.value);
+      try {
+        passed = !!vsaq.questionnaire.utils.evalParsedExpression(
+            this.parseExpression_(expression, 'validation rule'),
+            this.createResolver_(items, expression), items);
+      } catch (e) {
+        if (!(e instanceof vsaq.questionnaire.utils.InvalidExpressionError))
+          throw e;
+        throw new vsaq.questionnaire.items.ParseError(
+            'Could not evaluate validation rule of item ' + this.id + ': ' +
+            e.message + ' in "' + expression + '"');
+      }
+    } else {
+      passed = vsaq.questionnaire.items.ValueItem.VALIDATORS_[rule.rule](
+          answer, rule.value);
+    }
+    if (!passed)
+      messages.push(rule.message);
+  }, this);
+  return messages;
+};
+
+
+/**
+ * Shows the messages of failed validation rules under the item, replacing the
+ * ones shown before.
+ * @param {!Array.<string>} messages The messages. If empty, no messages are
+ *     shown.
+ */
+vsaq.questionnaire.items.ValueItem.prototype.setValidationErrors = function(
+    messages) {
+  goog.dom.removeNode(goog.dom.getElementByClass(
+      goog.getCssName('vsaq-validation-errors'), this.container));
+  if (messages.length)
+    this.container.appendChild(goog.soy.renderAsElement(
+        vsaq.questionnaire.templates.validationErrors, {messages: messages}));
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.ValueItem.prototype.exportItem = function() {
+  var exportProperties =
+      vsaq.questionnaire.items.Item.prototype.exportItem.call(this);
+  if (this.validationRules.length)
+    exportProperties.set('validate', this.validationRules);
+  return exportProperties;
 };
 
 
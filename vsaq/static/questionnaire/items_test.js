@@ -171,6 +171,126 @@ function testEvaluateConditions() {
 }
 
 
+/**
+ * Tests evaluation of conditions that compare values of items.
+ */
+function testEvaluateComparisonConditions() {
+  var items = setUpTestQuestionnaire();
+  items['line_id'].setValue('600');
+
+  item.conditions = 'line_id/value > 500';
+  assert(item.evaluateConditions(items));
+  item.conditions = 'line_id/value < 500';
+  assert(!item.evaluateConditions(items));
+  item.conditions = 'line_id/value == "600"';
+  assert(item.evaluateConditions(items));
+  item.conditions = 'yesno1_id/value == "yes" && line_id/value != 0';
+  assert(item.evaluateConditions(items));
+  item.conditions = 'yesno1_id/value == "no" || line_id/value <= 599';
+  assert(!item.evaluateConditions(items));
+}
+
+
+/**
+ * Tests conditions using the functions over groups.
+ */
+function testEvaluateGroupFunctions() {
+  var items = setUpTestQuestionnaire();
+
+  item.conditions = 'countChecked(checkgroup1_id) == 1';
+  assert(item.evaluateConditions(items));
+  item.conditions = 'anyChecked(checkgroup1_id)';
+  assert(item.evaluateConditions(items));
+  item.conditions = 'allChecked(checkgroup1_id)';
+  assert(!item.evaluateConditions(items));
+  item.conditions = '!anyChecked(radiogroup1_id) && ' +
+      'selected(radiogroup1_id) == ""';
+  assert(item.evaluateConditions(items));
+
+  items['checkchoice2_id'].setValue('checked');
+  items['radiochoice2_id'].setValue('checked');
+  item.conditions = 'allChecked(checkgroup1_id) && ' +
+      'selected(radiogroup1_id) == "radiochoice2_id"';
+  assert(item.evaluateConditions(items));
+
+  item.conditions = 'countChecked(line_id) > 0';
+  var e = assertThrows(function() { item.evaluateConditions(items); });
+  assertTrue(e instanceof vsaq.questionnaire.items.ParseError);
+  assertContains('`countChecked` expects the id of a checkgroup', e.message);
+}
+
+
+/**
+ * Tests that parsed conditions are cached until the conditions change.
+ */
+function testGetParsedConditions() {
+  var items = setUpTestQuestionnaire();
+
+  item.conditions = 'radio1_id || radio2_id && yesno1_id/no';
+  var parsed = item.getParsedConditions();
+  assert(item.evaluateConditions(items));
+  assertEquals(parsed, item.getParsedConditions());
+
+  item.conditions = '(radio1_id || radio2_id) && yesno1_id/no';
+  assertNotEquals(parsed, item.getParsedConditions());
+  assert(!item.evaluateConditions(items));
+}
+
+
+/**
+ * Tests getting the variables used in conditions.
+ */
+function testGetConditionVariables() {
+  item.conditions = '';
+  assertArrayEquals([], item.getConditionVariables());
+
+  item.conditions = '^radio1_id || yesno1_id/no';
+  assertArrayEquals(['^radio1_id', 'yesno1_id/no'],
+      item.getConditionVariables());
+  item.requiredConditions = 'radio2_id';
+  assertArrayEquals(['radio2_id'], item.getConditionVariables(true));
+
+  item.conditions = 'radio1_id && (';
+  assertArrayEquals([], item.getConditionVariables());
+}
+
+
+/**
+ * Tests that errors in conditions name the item and the problem.
+ */
+function testConditionErrors() {
+  var items = setUpTestQuestionnaire();
+
+  item.conditions = 'radio1_id && (yesno1_id/yes';
+  var e = assertThrows(function() { item.evaluateConditions(items); });
+  assertTrue(e instanceof vsaq.questionnaire.items.ParseError);
+  assertContains('item ' + item.id, e.message);
+  assertContains('at col 28', e.message);
+
+  item.conditions = 'radio1_id && unknown_id';
+  e = assertThrows(function() { item.evaluateConditions(items); });
+  assertTrue(e instanceof vsaq.questionnaire.items.ParseError);
+  assertContains('`unknown_id`', e.message);
+  assertContains('item ' + item.id, e.message);
+}
+
+
+/**
+ * Tests that evaluating circular conditions fails instead of overflowing the
+ * stack.
+ */
+function testEvaluateCircularConditions() {
+  var items = setUpTestQuestionnaire();
+  items['item_id'] = item;
+  item.conditions = 'yesno1_id/yes';
+  items['yesno1_id'].conditions = 'item_id';
+
+  var e = assertThrows(function() { item.evaluateConditions(items); });
+  assertTrue(e instanceof vsaq.questionnaire.items.ParseError);
+  assertContains('Circular dependency', e.message);
+}
+
+
 /**
  * Tests parsing of Items.
  */
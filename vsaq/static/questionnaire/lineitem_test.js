@@ -120,3 +120,40 @@ function testLineItemParse() {
   assertTrue(line.required);
   assertEquals('readonly', line.auth);
 }
+
+
+/**
+ * Tests checking answers against validation rules.
+ */
+function testLineItemValidationRules() {
+  line.setValidationRules([
+    {rule: 'minLength', value: 5, message: 'too short'},
+    {rule: 'pattern', value: '[a-z@.]*', message: 'lower case only'},
+    {rule: 'email', message: 'no email'}
+  ]);
+  // Items without answer are not checked.
+  assertArrayEquals([], line.validate({}));
+  line.setValue('a@b');
+  assertArrayEquals(['too short', 'no email'], line.validate({}));
+  line.setValue('Name@example.com');
+  assertArrayEquals(['lower case only'], line.validate({}));
+  line.setValue('name@example.com');
+  assertArrayEquals([], line.validate({}));
+
+  line.setValidationRules([{rule: 'url', message: 'no url'}]);
+  line.setValue('example.com');
+  assertArrayEquals(['no url'], line.validate({}));
+  line.setValue('https://www.example.com/path?q=1');
+  assertArrayEquals([], line.validate({}));
+
+  assertThrows(function() {
+    line.setValidationRules([{rule: 'unknown', message: 'message'}]);
+  });
+  assertThrows(function() {
+    line.setValidationRules([{rule: 'email'}]);
+  });
+  assertThrows(function() {
+    line.setValidationRules([{rule: 'pattern', value: '(', message: 'm'}]);
+  });
+  assertEquals('url', line.validationRules[0].rule);
+}
@@ -0,0 +1,568 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A questionnaire item that repeats a set of questions once per
+ *     entry of a list, e.g. once per subprocessor or data center.
+ */
+
+goog.provide('vsaq.questionnaire.items.ListItem');
+goog.provide('vsaq.questionnaire.items.ListRowItem');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.object');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('goog.style');
+goog.require('vsaq.questionnaire.items.BlockItem');
+goog.require('vsaq.questionnaire.items.ContainerItem');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+goog.require('vsaq.questionnaire.utils.InvalidExpressionError');
+
+
+
+/**
+ * A list of entries, where each entry (row) consists of the same questions.
+ * The questions are given as a template of items, which is instantiated once
+ * per row. The items of row n get the id "list_id[n].item_id", e.g.
+ * "subprocessor[2].country", and references to other items of the row in their
+ * conditions are changed accordingly. The number of rows is the value of the
+ * list and is stored under the id of the list. Conditions outside of the list
+ * can count the rows with `rowCount(list_id)`, but should only refer to items
+ * of rows that always exist (see minRows).
+ * @param {?string} id An ID uniquely identifying the item.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the item to be visible to the user.
+ * @param {?string} caption The caption shown above the list.
+ * @param {!Array.<qjson.QuestionnaireItem>} rowTemplate The items making up
+ *     one row. Blocks and lists are not supported within rows.
+ * @param {number=} opt_minRows The minimum number of rows, which are always
+ *     shown. Defaults to 0.
+ * @param {number=} opt_maxRows The maximum number of rows. Unlimited if unset.
+ * @param {string=} opt_addText The label of the button adding a row.
+ * @extends {vsaq.questionnaire.items.ContainerItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.ListItem = function(id, conditions, caption,
+    rowTemplate, opt_minRows, opt_maxRows, opt_addText) {
+  if (!id)
+    throw new vsaq.questionnaire.items.ParseError('ListItem must have an ID.');
+
+  goog.base(this, id, conditions);
+  var propertyInformation = {
+    nameInClass: 'id',
+    mandatory: true,
+    metadata: true
+  };
+  this.addPropertyInformation('id', propertyInformation);
+
+  /**
+   * Text shown above the list.
+   * @type {string}
+   */
+  this.text = goog.string.makeSafe(caption);
+  propertyInformation = {
+    nameInClass: 'text',
+    mandatory: true
+  };
+  this.addPropertyInformation('text', propertyInformation);
+
+  /**
+   * The minimum number of rows.
+   * @type {number}
+   */
+  this.minRows = Math.max(0, Number(opt_minRows) || 0);
+  this.addPropertyInformation('minRows', {nameInClass: 'minRows'});
+
+  /**
+   * The maximum number of rows, or 0 if the number of rows is not limited.
+   * @type {number}
+   */
+  this.maxRows = Math.max(0, Number(opt_maxRows) || 0);
+  this.addPropertyInformation('maxRows', {nameInClass: 'maxRows'});
+
+  /**
+   * The label of the button adding a row.
+   * @type {string}
+   */
+  this.addText = goog.string.makeSafe(opt_addText);
+  this.addPropertyInformation('addText', {nameInClass: 'addText'});
+
+  goog.array.forEach(rowTemplate, function(item) {
+    if (item.type == vsaq.questionnaire.items.BlockItem.TYPE ||
+        item.type == vsaq.questionnaire.items.ListItem.TYPE)
+      throw new vsaq.questionnaire.items.ParseError(
+          'List ' + this.id + ' can not contain items of type ' + item.type);
+  }, this);
+
+  /**
+   * The serialized items making up one row.
+   * @type {!Array.<qjson.QuestionnaireItem>}
+   */
+  this.rowTemplate = rowTemplate;
+
+  /**
+   * The element the rows are rendered into.
+   * @type {Element}
+   * @private
+   */
+  this.rowsElement_ = null;
+
+  /**
+   * The button adding a row.
+   * @type {Element}
+   * @private
+   */
+  this.addButton_ = null;
+
+  /**
+   * Whether rows can't be added or removed by the user.
+   * @type {boolean}
+   * @private
+   */
+  this.readOnly_ = false;
+
+  this.render();
+  for (var i = 0; i < this.minRows; i++)
+    this.createRow_();
+  this.updateControls_();
+};
+goog.inherits(vsaq.questionnaire.items.ListItem,
+              vsaq.questionnaire.items.ContainerItem);
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.ListItem.TYPE = 'list';
+
+
+/**
+ * Event type for events sent out when rows were added to or removed from a
+ * list. The event carries the rows in `addedRows` and `removedRows`.
+ * @type {string}
+ */
+vsaq.questionnaire.items.ListItem.ROWS_CHANGED =
+    'vsaq.questionnaire.items.ListItem.ROWS_CHANGED';
+
+
+/**
+ * Label of the button adding a row, if the template does not set one.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.ListItem.DEFAULT_ADD_TEXT = 'Add entry';
+
+
+/**
+ * Returns the id of the row with the given index, e.g. "subprocessor[2]".
+ * @param {string} listId The id of the list.
+ * @param {number} index The index of the row, starting at 0.
+ * @return {string} The id of the row.
+ */
+vsaq.questionnaire.items.ListItem.getRowId = function(listId, index) {
+  return listId + '[' + index + ']';
+};
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.ListItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(vsaq.questionnaire.templates.list,
+      {
+        id: this.id,
+        captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(this.text),
+        addText: this.addText ||
+            vsaq.questionnaire.items.ListItem.DEFAULT_ADD_TEXT
+      });
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.rowsElement_ = vsaq.questionnaire.utils.findById(this.container,
+      this.id + '-rows');
+  goog.array.forEach(this.containerItems, function(row) {
+    this.rowsElement_.appendChild(row.container);
+  }, this);
+
+  this.addButton_ = vsaq.questionnaire.utils.findById(this.container,
+      this.id + '-add');
+  goog.events.listen(this.addButton_, goog.events.EventType.CLICK,
+      function() {
+        if (!this.readOnly_) this.addRow();
+      }, false, this);
+};
+
+
+/**
+ * Returns the number of rows in the list.
+ * @return {number} The number of rows.
+ */
+vsaq.questionnaire.items.ListItem.prototype.getValue = function() {
+  return this.containerItems.length;
+};
+
+
+/**
+ * Adds a row at the end of the list, unless the list already has maxRows rows.
+ */
+vsaq.questionnaire.items.ListItem.prototype.addRow = function() {
+  this.setRowCount(this.containerItems.length + 1);
+};
+
+
+/**
+ * Removes a row from the list, unless the list only has minRows rows. The
+ * answers of all following rows move up by one row, so the rows keep their
+ * ids.
+ * @param {number} index The index of the row to remove.
+ */
+vsaq.questionnaire.items.ListItem.prototype.removeRow = function(index) {
+  var rows = this.containerItems;
+  if (index < 0 || index >= rows.length || rows.length <= this.minRows)
+    return;
+
+  var changes = {};
+  for (var i = index; i < rows.length - 1; i++) {
+    var targetItems = rows[i].getValueItems();
+    var sourceItems = rows[i + 1].getValueItems();
+    goog.array.forEach(targetItems, function(item, j) {
+      item.setInternalValue(sourceItems[j].getValue());
+      changes[item.id] = item.getValue();
+    });
+  }
+  this.setRowCount(rows.length - 1, changes);
+};
+
+
+/**
+ * Adds or removes rows at the end of the list until it has the given number of
+ * rows, within minRows and maxRows. Dispatches a ROWS_CHANGED event and a
+ * CHANGED event if the number of rows changed.
+ * @param {number} count The number of rows.
+ * @param {!Object.<string, *>=} opt_changes Further changes to report in the
+ *     CHANGED event.
+ */
+vsaq.questionnaire.items.ListItem.prototype.setRowCount = function(count,
+    opt_changes) {
+  count = Math.max(this.minRows, Math.floor(Number(count)) || 0);
+  if (this.maxRows)
+    count = Math.min(this.maxRows, count);
+
+  var addedRows = [];
+  var removedRows = [];
+  while (this.containerItems.length < count)
+    addedRows.push(this.createRow_());
+  while (this.containerItems.length > count) {
+    var row = this.containerItems.pop();
+    goog.dom.removeNode(row.container);
+    this.unlistenRow_(row);
+    removedRows.push(row);
+  }
+  if (goog.array.isEmpty(addedRows) && goog.array.isEmpty(removedRows))
+    return;
+  this.updateControls_();
+
+  this.eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.ListItem.ROWS_CHANGED,
+    source: this,
+    addedRows: addedRows,
+    removedRows: removedRows
+  });
+
+  var changes = opt_changes || {};
+  changes[this.id] = this.getValue();
+  this.eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.Item.CHANGED,
+    source: this,
+    changes: changes
+  });
+};
+
+
+/**
+ * Creates a row from the row template and appends it to the list.
+ * @return {!vsaq.questionnaire.items.ListRowItem} The new row.
+ * @private
+ */
+vsaq.questionnaire.items.ListItem.prototype.createRow_ = function() {
+  var index = this.containerItems.length;
+  var row = new vsaq.questionnaire.items.ListRowItem(
+      vsaq.questionnaire.items.ListItem.getRowId(this.id, index), index);
+  row.parentItemSet(this);
+
+  var itemStack = this.getRowTemplate_(row.id);
+  while (itemStack.length) {
+    var item = vsaq.questionnaire.items.Item.parse(itemStack);
+    row.addItem(item);
+    item.parentItemSet(row);
+    goog.events.listen(item.eventDispatcher,
+        vsaq.questionnaire.items.Item.CHANGED, this.answerChanged_, false,
+        this);
+  }
+
+  goog.events.listen(row.removeButton, goog.events.EventType.CLICK,
+      function() {
+        if (!this.readOnly_) this.removeRow(index);
+      }, false, this);
+
+  this.containerItems.push(row);
+  this.rowsElement_.appendChild(row.container);
+  return row;
+};
+
+
+/**
+ * Removes the listeners `createRow_` attached to a row that was removed from
+ * the list.
+ * @param {!vsaq.questionnaire.items.ListRowItem} row The removed row.
+ * @private
+ */
+vsaq.questionnaire.items.ListItem.prototype.unlistenRow_ = function(row) {
+  goog.array.forEach(row.getContainerItems(), function(item) {
+    goog.events.unlisten(item.eventDispatcher,
+        vsaq.questionnaire.items.Item.CHANGED, this.answerChanged_, false,
+        this);
+  }, this);
+  goog.events.removeAll(row.removeButton, goog.events.EventType.CLICK);
+};
+
+
+/**
+ * Returns a copy of the row template for the given row, with the ids of the
+ * items and choices prefixed by the row id. References to items of the row in
+ * conditions are changed to the prefixed ids.
+ * @param {string} rowId The id of the row.
+ * @return {!Array.<qjson.QuestionnaireItem>} The items of the row.
+ * @private
+ */
+vsaq.questionnaire.items.ListItem.prototype.getRowTemplate_ = function(
+    rowId) {
+  var prefix = rowId + '.';
+  var template = /** @type {!Array.<qjson.QuestionnaireItem>} */ (
+      goog.object.unsafeClone(this.rowTemplate));
+
+  // Collect the ids of the row first, as conditions may refer to items that
+  // come later in the row.
+  var rowIds = {};
+  goog.array.forEach(template, function(item) {
+    if (item.id)
+      rowIds[item.id] = true;
+    goog.array.forEach(item['choices'] || [], function(choice) {
+      rowIds[goog.object.getKeys(choice)[0]] = true;
+    });
+  });
+
+  var prefixKey = function(object) {
+    var key = goog.object.getKeys(object)[0];
+    var prefixed = {};
+    prefixed[prefix + key] = object[key];
+    return prefixed;
+  };
+  var prefixConditions = goog.bind(function(conditions) {
+    try {
+      return vsaq.questionnaire.utils.renameVariables(conditions,
+          function(variable) {
+            var match = variable.match(/^(\^?)(.*?)(\/yes|\/no|\/value)?$/);
+            if (!rowIds[match[2]]) return variable;
+            return match[1] + prefix + match[2] + (match[3] || '');
+          });
+    } catch (e) {
+      if (!(e instanceof vsaq.questionnaire.utils.InvalidExpressionError))
+        throw e;
+      throw new vsaq.questionnaire.items.ParseError('Invalid condition in ' +
+          'list ' + this.id + ': ' + e.message);
+    }
+  }, this);
+
+  goog.array.forEach(template, function(item) {
+    if (item.id)
+      item.id = prefix + item.id;
+    if (item.cond)
+      item.cond = prefixConditions(item.cond);
+    if (item['choices'])
+      item['choices'] = goog.array.map(item['choices'], prefixKey);
+    if (item['choicesConds']) {
+      item['choicesConds'] = goog.array.map(item['choicesConds'],
+          function(choiceCond) {
+            var prefixed = prefixKey(choiceCond);
+            var key = goog.object.getKeys(prefixed)[0];
+            prefixed[key] = prefixConditions(prefixed[key]);
+            return prefixed;
+          });
+    }
+  });
+  return template;
+};
+
+
+/**
+ * Handles changes of items in the rows and propagates them to the upper
+ * questionnaire layer.
+ * @param {!vsaq.Questionnaire.ChangeEvent} ev The event.
+ * @private
+ */
+vsaq.questionnaire.items.ListItem.prototype.answerChanged_ = function(ev) {
+  this.eventDispatcher.dispatchEvent(ev);
+};
+
+
+/**
+ * Shows or hides the buttons adding and removing rows, depending on the number
+ * of rows and whether the list is read-only.
+ * @private
+ */
+vsaq.questionnaire.items.ListItem.prototype.updateControls_ = function() {
+  var count = this.containerItems.length;
+  goog.style.setElementShown(this.addButton_,
+      !this.readOnly_ && (!this.maxRows || count < this.maxRows));
+  goog.array.forEach(this.containerItems, function(row) {
+    goog.style.setElementShown(row.removeButton,
+        !this.readOnly_ && count > this.minRows);
+  }, this);
+};
+
+
+/**
+ * Sets or unsets readonly-mode for the list, i.e. whether rows can be added or
+ * removed. The items within the rows are handled separately.
+ * @param {boolean} readOnly If true, rows can't be added or removed.
+ */
+vsaq.questionnaire.items.ListItem.prototype.setReadOnly = function(readOnly) {
+  this.readOnly_ = readOnly;
+  this.updateControls_();
+};
+
+
+/**
+ * Parses ListItems. If the topmost item in the passed Array is a
+ * ListItem, it is consumed and a ListItem instance is returned.
+ * If the topmost item is not a ListItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.ListItem} The parsed ListItem.
+ */
+vsaq.questionnaire.items.ListItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.ListItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  return new vsaq.questionnaire.items.ListItem(item.id, item.cond, item.text,
+      item['items'] || [], item.minRows, item.maxRows, item.addText);
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.ListItem.prototype.exportItem = function() {
+  var exportProperties =
+      vsaq.questionnaire.items.Item.prototype.exportItem.call(this);
+  exportProperties.set('items', this.rowTemplate);
+  return exportProperties;
+};
+
+
+vsaq.questionnaire.utils.registerFunction('rowCount', function(id) {
+  var item = this && this[id];
+  if (!(item instanceof vsaq.questionnaire.items.ListItem))
+    throw new vsaq.questionnaire.utils.InvalidExpressionError(
+        '`rowCount` expects the id of a list, got `' + id + '`');
+  return item.getValue();
+}, {
+  byReference: true,
+  signature: 'rowCount(list_id)',
+  description: 'The number of entries in the list.'
+});
+
+
+
+/**
+ * One row of a `vsaq.questionnaire.items.ListItem`, holding the items of
+ * the row.
+ * @param {string} id The id of the row, e.g. "subprocessor[2]".
+ * @param {number} index The index of the row within the list.
+ * @extends {vsaq.questionnaire.items.ContainerItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.ListRowItem = function(id, index) {
+  goog.base(this, id, null);
+
+  /**
+   * The index of the row within the list.
+   * @type {number}
+   */
+  this.index = index;
+
+  /**
+   * The button removing the row.
+   * @type {Element}
+   */
+  this.removeButton = null;
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.ListRowItem,
+              vsaq.questionnaire.items.ContainerItem);
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.ListRowItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.listRow, {
+        id: this.id,
+        number: this.index + 1
+      });
+  goog.array.forEach(this.containerItems, function(item) {
+    this.container.appendChild(item.container);
+  }, this);
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.removeButton = vsaq.questionnaire.utils.findById(this.container,
+      this.id + '-remove');
+};
+
+
+/**
+ * Returns all items in the row that carry a value, including the choices of
+ * groups, in the order they appear in the row.
+ * @return {!Array.<!vsaq.questionnaire.items.ValueItem>} The items.
+ */
+vsaq.questionnaire.items.ListRowItem.prototype.getValueItems = function() {
+  var valueItems = [];
+  var collect = function(items) {
+    goog.array.forEach(items, function(item) {
+      if (item instanceof vsaq.questionnaire.items.ValueItem)
+        valueItems.push(item);
+      else if (item instanceof vsaq.questionnaire.items.ContainerItem)
+        collect(item.getContainerItems());
+    });
+  };
+  collect(this.containerItems);
+  return valueItems;
+};
@@ -0,0 +1,200 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.items.ListItem.
+ */
+
+goog.provide('vsaq.questionnaire.items.ListItemTests');
+goog.setTestOnly('vsaq.questionnaire.items.ListItemTests');
+
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.string');
+goog.require('goog.style');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.LineItem');
+goog.require('vsaq.questionnaire.items.ListItem');
+goog.require('vsaq.questionnaire.items.ListRowItem');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.RadiogroupItem');
+goog.require('vsaq.questionnaire.items.factory');
+goog.require('vsaq.questionnaire.utils');
+
+var CAPTION = 'listitem_caption';
+var ID = 'listitem_id';
+
+var ROW_TEMPLATE, list;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  var items = vsaq.questionnaire.items;
+  items.factory.add(items.LineItem.TYPE, items.LineItem.parse);
+  items.factory.add(items.RadiogroupItem.TYPE, items.RadiogroupItem.parse);
+
+  ROW_TEMPLATE = [{
+    'type': 'line',
+    'id': 'name',
+    'text': 'Name'
+  }, {
+    'type': 'radiogroup',
+    'id': 'location',
+    'text': 'Location',
+    'defaultChoice': false,
+    'choices': [{'eu': 'EU'}, {'other': 'Elsewhere'}]
+  }, {
+    'type': 'line',
+    'id': 'country',
+    'text': 'Country',
+    'cond': 'other && !^name && other_list[0].name/value == "a"'
+  }];
+  list = new vsaq.questionnaire.items.ListItem(ID, null, CAPTION,
+      ROW_TEMPLATE, 1, 3);
+}
+
+
+/**
+ * Tests whether list items are rendered correctly.
+ */
+function testListItem() {
+  assertEquals(ID, list.container.id);
+  assertEquals(CAPTION, goog.string.trim(goog.dom.getTextContent(
+      vsaq.questionnaire.utils.findById(list.container, ID + '-title'))));
+  assertEquals(1, list.getValue());
+  var row = list.getContainerItems()[0];
+  assert(row instanceof vsaq.questionnaire.items.ListRowItem);
+  assertEquals(ID + '[0]', row.id);
+  assertEquals(list, row.parentItem);
+  assertEquals(row.container.parentNode,
+      vsaq.questionnaire.utils.findById(list.container, ID + '-rows'));
+}
+
+
+/**
+ * Tests that the ids and conditions of the row items are prefixed.
+ */
+function testRowItems() {
+  var row = list.getContainerItems()[0];
+  var items = row.getContainerItems();
+  assertEquals(3, items.length);
+  assertEquals(ID + '[0].name', items[0].id);
+  assertEquals(row, items[0].parentItem);
+  assertEquals(ID + '[0].eu', items[1].getContainerItems()[0].id);
+  assertEquals(ID + '[0].other && !^' + ID + '[0].name && ' +
+      'other_list[0].name/value == "a"', items[2].conditions);
+
+  var valueItems = row.getValueItems();
+  assertEquals(4, valueItems.length);
+  assertEquals(ID + '[0].other', valueItems[2].id);
+
+  // The template itself is not changed.
+  assertEquals('name', ROW_TEMPLATE[0]['id']);
+}
+
+
+/**
+ * Tests adding and removing rows within minRows and maxRows.
+ */
+function testAddRemoveRows() {
+  var rowEvents = [];
+  var changes = [];
+  goog.events.listen(list.eventDispatcher,
+      vsaq.questionnaire.items.ListItem.ROWS_CHANGED, function(e) {
+        rowEvents.push(e);
+      });
+  goog.events.listen(list.eventDispatcher,
+      vsaq.questionnaire.items.Item.CHANGED, function(e) {
+        changes.push(e.changes);
+      });
+  var removeButton = list.getContainerItems()[0].removeButton;
+  assertFalse(goog.style.isElementShown(removeButton));
+
+  list.addRow();
+  list.addRow();
+  list.addRow();
+  assertEquals(3, list.getValue());
+  assertEquals(2, rowEvents.length);
+  assertEquals(ID + '[2]', rowEvents[1].addedRows[0].id);
+  assertEquals(3, changes[1][ID]);
+  assertTrue(goog.style.isElementShown(removeButton));
+  assertFalse(goog.style.isElementShown(list.addButton_));
+
+  var rows = list.getContainerItems();
+  rows[1].getContainerItems()[0].setValue('second');
+  rows[2].getContainerItems()[0].setValue('third');
+  var removedRow = rows[2];
+  changes = [];
+  list.removeRow(1);
+  assertEquals(2, list.getValue());
+  assertEquals('third', rows[1].getContainerItems()[0].getValue());
+  assertEquals(ID + '[2]', rowEvents[2].removedRows[0].id);
+  assertEquals('third', changes[0][ID + '[1].name']);
+  assertEquals(2, changes[0][ID]);
+
+  // The list stops listening to removed rows.
+  assertFalse(goog.events.hasListener(removedRow.removeButton));
+  changes = [];
+  removedRow.getContainerItems()[0].eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.Item.CHANGED,
+    changes: {}
+  });
+  assertEquals(0, changes.length);
+
+  list.setRowCount(0);
+  assertEquals(1, list.getValue());
+  list.setRowCount(10);
+  assertEquals(3, list.getValue());
+
+  list.setReadOnly(true);
+  assertFalse(goog.style.isElementShown(list.addButton_));
+  assertFalse(goog.style.isElementShown(removeButton));
+}
+
+
+/**
+ * Tests parsing and exporting of ListItems.
+ */
+function testListItemParse() {
+  var testStack = [{
+    'type': 'list',
+    'text': CAPTION,
+    'id': ID,
+    'minRows': 2,
+    'addText': 'Add subprocessor',
+    'items': ROW_TEMPLATE
+  }];
+  list = vsaq.questionnaire.items.ListItem.parse(testStack);
+  assert(list instanceof vsaq.questionnaire.items.ListItem);
+  assertEquals(0, testStack.length);
+  assertEquals(2, list.getValue());
+  assertEquals('Add subprocessor', goog.dom.getTextContent(list.addButton_));
+
+  var exported = list.exportItem();
+  assertEquals(2, exported.get('minRows'));
+  assertEquals(ROW_TEMPLATE, exported.get('items'));
+
+  var e = assertThrows(function() {
+    new vsaq.questionnaire.items.ListItem(ID, null, CAPTION,
+        [{'type': 'block', 'items': []}]);
+  });
+  assert(e instanceof vsaq.questionnaire.items.ParseError);
+}
@@ -0,0 +1,438 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A questionnaire item that asks the same question for several
+ *     rows, with the possible answers as columns of a table.
+ */
+
+goog.provide('vsaq.questionnaire.items.MatrixCellItem');
+goog.provide('vsaq.questionnaire.items.MatrixItem');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.object');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.questionnaire.items.ContainerItem');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+
+
+
+/**
+ * A table of radio buttons, where one column can be chosen for each row, e.g.
+ * the sensitivity (low, medium, high) for several types of data. Each cell is
+ * an item of its own with the id "matrix_id.row_id.column_id", which can be
+ * used in conditions and is stored in the answers like a radio item.
+ * @param {?string} id An ID uniquely identifying the item.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the item to be visible to the user.
+ * @param {?string} caption The caption shown above the table.
+ * @param {!Array.<!Object.<string, string>>} rows The rows of the table, each
+ *     in form of a dictionary with the row id as key and its text as value.
+ * @param {!Array.<!Object.<string, string>>} columns The columns of the table,
+ *     in the same form as the rows.
+ * @param {string=} opt_auth If "readonly", the cells cannot be modified.
+ * @param {boolean=} opt_isRequired Iff true, a column needs to be chosen in
+ *     every row.
+ * @extends {vsaq.questionnaire.items.ContainerItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.MatrixItem = function(id, conditions, caption, rows,
+    columns, opt_auth, opt_isRequired) {
+  if (!id)
+    throw new vsaq.questionnaire.items.ParseError(
+        'MatrixItem must have an ID.');
+  if (goog.array.isEmpty(rows) || goog.array.isEmpty(columns))
+    throw new vsaq.questionnaire.items.ParseError(
+        'Matrix ' + id + ' needs at least one row and one column.');
+
+  goog.base(this, id, conditions);
+  var propertyInformation = {
+    nameInClass: 'id',
+    mandatory: true,
+    metadata: true
+  };
+  this.addPropertyInformation('id', propertyInformation);
+
+  /**
+   * Text shown above the table.
+   * @type {string}
+   */
+  this.text = goog.string.makeSafe(caption);
+  propertyInformation = {
+    nameInClass: 'text',
+    mandatory: true
+  };
+  this.addPropertyInformation('text', propertyInformation);
+
+  /**
+   * The rows of the table as dictionaries with exactly one entry.
+   * @type {!Array.<!Object.<string, string>>}
+   */
+  this.rows = rows;
+
+  /**
+   * The columns of the table as dictionaries with exactly one entry.
+   * @type {!Array.<!Object.<string, string>>}
+   */
+  this.columns = columns;
+
+  // cells obtain readonly status from the matrix
+  if (opt_auth == 'readonly')
+    this.auth = opt_auth;
+
+  /**
+   * If true, a column needs to be chosen in every row.
+   * @type {boolean}
+   */
+  this.required = Boolean(opt_isRequired);
+  propertyInformation = {
+    nameInClass: 'requiredConditions',
+    metadata: true
+  };
+  this.addPropertyInformation('requiredIf', propertyInformation);
+
+  var columnTexts = {};
+  goog.array.forEach(columns, function(column) {
+    goog.object.extend(columnTexts, column);
+  });
+  goog.array.forEach(this.getRowIds(), function(rowId) {
+    goog.array.forEach(this.getColumnIds(), function(columnId) {
+      var cell = new vsaq.questionnaire.items.MatrixCellItem(
+          vsaq.questionnaire.items.MatrixItem.getCellId(this.id, rowId,
+              columnId), rowId, columnId, columnTexts[columnId], this.auth);
+      cell.parentItemSet(this);
+      goog.events.listen(cell.eventDispatcher,
+          vsaq.questionnaire.items.Item.CHANGED,
+          goog.bind(this.answerChanged_, this));
+      this.containerItems.push(cell);
+    }, this);
+  }, this);
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.MatrixItem,
+              vsaq.questionnaire.items.ContainerItem);
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.MatrixItem.TYPE = 'matrix';
+
+
+/**
+ * Returns the id of a cell, e.g. "sensitivity.pii.high".
+ * @param {string} matrixId The id of the matrix.
+ * @param {string} rowId The id of the row.
+ * @param {string} columnId The id of the column.
+ * @return {string} The id of the cell.
+ */
+vsaq.questionnaire.items.MatrixItem.getCellId = function(matrixId, rowId,
+    columnId) {
+  return matrixId + '.' + rowId + '.' + columnId;
+};
+
+
+/**
+ * Returns the ids of the rows.
+ * @return {!Array.<string>} The row ids.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.getRowIds = function() {
+  return goog.array.map(this.rows, function(row) {
+    return goog.object.getKeys(row)[0];
+  });
+};
+
+
+/**
+ * Returns the ids of the columns.
+ * @return {!Array.<string>} The column ids.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.getColumnIds = function() {
+  return goog.array.map(this.columns, function(column) {
+    return goog.object.getKeys(column)[0];
+  });
+};
+
+
+/**
+ * Returns the cells of a row.
+ * @param {string} rowId The id of the row.
+ * @return {!Array.<!vsaq.questionnaire.items.MatrixCellItem>} The cells.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.getRowCells = function(rowId) {
+  return /** @type {!Array.<!vsaq.questionnaire.items.MatrixCellItem>} */ (
+      goog.array.filter(this.containerItems, function(cell) {
+        return cell.rowId == rowId;
+      }));
+};
+
+
+/**
+ * Returns the id of the column chosen in a row.
+ * @param {string} rowId The id of the row.
+ * @return {string} The id of the chosen column, or the empty string if no
+ *     column was chosen.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.getSelectedColumn = function(
+    rowId) {
+  var cell = goog.array.find(this.getRowCells(rowId), function(cell) {
+    return cell.isChecked();
+  });
+  return cell ? cell.columnId : '';
+};
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.render = function() {
+  var html = soydata.VERY_UNSAFE.ordainSanitizedHtml;
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.matrix, {
+        id: this.id,
+        captionHtml: html(this.text),
+        columnsHtml: goog.array.map(this.columns, function(column) {
+          return html(goog.object.getValues(column)[0]);
+        }),
+        rows: goog.array.map(this.rows, function(row) {
+          var rowId = goog.object.getKeys(row)[0];
+          return {
+            textHtml: html(row[rowId]),
+            cellIds: goog.array.map(this.getColumnIds(), function(columnId) {
+              return vsaq.questionnaire.items.MatrixItem.getCellId(this.id,
+                  rowId, columnId);
+            }, this)
+          };
+        }, this)
+      });
+  goog.array.forEach(this.containerItems, function(cell) {
+    vsaq.questionnaire.utils.findById(this.container, cell.id + '-cell')
+        .appendChild(cell.container);
+  }, this);
+  goog.dom.replaceNode(this.container, oldNode);
+};
+
+
+/**
+ * Handles propagation of cell clicks to the upper questionnaire layer.
+ * @param {!vsaq.Questionnaire.ChangeEvent} ev The event.
+ * @private
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.answerChanged_ = function(ev) {
+  this.eventDispatcher.dispatchEvent(ev);
+};
+
+
+/**
+ * Returns whether a column was chosen in any row.
+ * @return {boolean} true if any cell is checked.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.getValue = function() {
+  return goog.array.some(this.containerItems, function(cell) {
+    return cell.isChecked();
+  });
+};
+
+
+/**
+ * Returns whether a column was chosen in every row.
+ * @return {boolean} Whether the matrix has been answered completely.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.isAnswered = function() {
+  return goog.array.every(this.getRowIds(), function(rowId) {
+    return !!this.getSelectedColumn(rowId);
+  }, this);
+};
+
+
+/**
+ * Return true if the item is marked required in template,
+ * meets all conditions (thus visible) and not yet answered, false otherwise.
+ * @return {boolean} Whether the item needs to be filled in order to
+ * submit the questionnaire.
+ */
+vsaq.questionnaire.items.MatrixItem.prototype.isUnfilled = function() {
+  return this.isVisible() && (this.required || this.requiredByConditions) &&
+      !this.isAnswered();
+};
+
+
+/**
+ * Parses MatrixItems. If the topmost item in the passed Array is a
+ * MatrixItem, it is consumed and a MatrixItem instance is returned.
+ * If the topmost item is not a MatrixItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.MatrixItem} The parsed MatrixItem.
+ */
+vsaq.questionnaire.items.MatrixItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.MatrixItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  return new vsaq.questionnaire.items.MatrixItem(item.id, item.cond,
+      item.text, item.rows || [], item.columns || [], item.auth,
+      item.required);
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixItem.prototype.exportItem = function() {
+  var exportProperties =
+      vsaq.questionnaire.items.Item.prototype.exportItem.call(this);
+  exportProperties.set('rows', this.rows);
+  exportProperties.set('columns', this.columns);
+  return exportProperties;
+};
+
+
+
+/**
+ * One cell of a `vsaq.questionnaire.items.MatrixItem`. Only one cell per
+ * row can be checked.
+ * @param {string} id The id of the cell, e.g. "sensitivity.pii.high".
+ * @param {string} rowId The id of the row of the cell.
+ * @param {string} columnId The id of the column of the cell.
+ * @param {string} text The text of the column of the cell.
+ * @param {string=} opt_auth If "readonly", the cell cannot be modified.
+ * @extends {vsaq.questionnaire.items.ValueItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.MatrixCellItem = function(id, rowId, columnId, text,
+    opt_auth) {
+  goog.base(this, id, null, text, undefined, undefined, undefined,
+            undefined, undefined, opt_auth);
+
+  /**
+   * The id of the row of the cell.
+   * @type {string}
+   */
+  this.rowId = rowId;
+
+  /**
+   * The id of the column of the cell.
+   * @type {string}
+   */
+  this.columnId = columnId;
+
+  /**
+   * The radio button that is the actual control behind this cell.
+   * @type {!HTMLInputElement}
+   * @private
+   */
+  this.radioButton_;
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.MatrixCellItem,
+              vsaq.questionnaire.items.ValueItem);
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.MatrixCellItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.matrixCell, {
+        id: this.id,
+        name: this.id.substring(0, this.id.length - this.columnId.length - 1)
+      });
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.radioButton_ = /** @type {!HTMLInputElement} */ (
+      vsaq.questionnaire.utils.findById(this.container, this.id));
+  goog.events.listen(this.radioButton_, goog.events.EventType.CHANGE,
+      function(e) {
+        if (this.radioButton_.checked) this.answerChanged();
+      }, true, this);
+};
+
+
+/**
+ * Checking a cell unchecks the other cells of the row, so the changes of all
+ * cells in the row are reported.
+ * @protected
+ * @override
+ */
+vsaq.questionnaire.items.MatrixCellItem.prototype.answerChanged = function() {
+  var changes = {};
+  goog.array.forEach(this.parentItem.getRowCells(this.rowId), function(cell) {
+    changes[cell.id] = cell.getValue();
+  });
+  this.eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.Item.CHANGED,
+    source: this,
+    changes: changes
+  });
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixCellItem.prototype.getValue = function() {
+  return this.radioButton_.checked ?
+      vsaq.questionnaire.items.MatrixCellItem.CHECKED_VALUE : '';
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixCellItem.prototype.setInternalValue =
+    function(value) {
+  this.radioButton_.checked = value === true ||
+      value == vsaq.questionnaire.items.MatrixCellItem.CHECKED_VALUE;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixCellItem.prototype.isChecked = function(
+    opt_value) {
+  return this.radioButton_.checked;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixCellItem.prototype.isAnswered = function() {
+  return this.radioButton_.checked;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.MatrixCellItem.prototype.setReadOnly = function(
+    readOnly) {
+  // if item marked readonly, always keep it readonly
+  this.radioButton_.disabled = this.auth == 'readonly' ? true : readOnly;
+};
+
+
+/**
+ * Constant indicating the string value of a cell when checked.
+ * @type {string}
+ */
+vsaq.questionnaire.items.MatrixCellItem.CHECKED_VALUE = 'checked';
@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.items.MatrixItem.
+ */
+
+goog.provide('vsaq.questionnaire.items.MatrixItemTests');
+goog.setTestOnly('vsaq.questionnaire.items.MatrixItemTests');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.events');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.MatrixCellItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.utils');
+
+var CAPTION = 'matrixitem_caption';
+var ID = 'matrixitem_id';
+
+var ROWS, COLUMNS, matrix;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  ROWS = [{'pii': 'Personal data'}, {'cc': 'Credit cards'}];
+  COLUMNS = [{'low': 'Low'}, {'high': 'High'}];
+  matrix = new vsaq.questionnaire.items.MatrixItem(ID, null, CAPTION, ROWS,
+      COLUMNS, undefined, true);
+}
+
+
+/**
+ * Tests whether matrix items are rendered correctly.
+ */
+function testMatrixItem() {
+  var table = goog.dom.getElementsByTagNameAndClass(
+      goog.dom.TagName.TABLE, null, matrix.container)[0];
+  var rows = goog.dom.getElementsByTagNameAndClass(
+      goog.dom.TagName.TR, null, table);
+  assertEquals(3, rows.length);
+  assertEquals('High', goog.dom.getTextContent(rows[0].cells[2]));
+  assertEquals('Credit cards', goog.dom.getTextContent(rows[2].cells[0]));
+
+  var cell = vsaq.questionnaire.utils.findById(matrix.container,
+      ID + '.cc.high');
+  assertEquals('radio', cell.type);
+  assertEquals(ID + '.cc', cell.name);
+  assertEquals(rows[2].cells[2], goog.dom.getAncestorByTagNameAndClass(
+      cell, goog.dom.TagName.TD));
+}
+
+
+/**
+ * Tests the cells of the matrix.
+ */
+function testMatrixCells() {
+  var cells = matrix.getContainerItems();
+  assertEquals(4, cells.length);
+  assertArrayEquals([ID + '.pii.low', ID + '.pii.high'],
+      goog.array.map(matrix.getRowCells('pii'), function(cell) {
+        return cell.id;
+      }));
+  assertEquals(matrix, cells[0].parentItem);
+  assertEquals('High', cells[1].text);
+  assertEquals('', matrix.getSelectedColumn('pii'));
+  assertFalse(matrix.getValue());
+
+  var changes = [];
+  goog.events.listen(matrix.eventDispatcher,
+      vsaq.questionnaire.items.Item.CHANGED, function(e) {
+        changes.push(e.changes);
+      });
+  cells[0].setValue('checked');
+  cells[1].setValue('checked');
+  assertEquals('high', matrix.getSelectedColumn('pii'));
+  assertEquals('', cells[0].getValue());
+  assertTrue(matrix.getValue());
+  assertEquals(2, changes.length);
+  assertEquals('', changes[1][ID + '.pii.low']);
+  assertEquals('checked', changes[1][ID + '.pii.high']);
+}
+
+
+/**
+ * Tests that all rows of a required matrix need to be answered.
+ */
+function testMatrixRequired() {
+  assertTrue(matrix.isUnfilled());
+  matrix.getRowCells('pii')[0].setValue('checked');
+  assertFalse(matrix.isAnswered());
+  assertTrue(matrix.isUnfilled());
+  matrix.getRowCells('cc')[1].setValue('checked');
+  assertTrue(matrix.isAnswered());
+  assertFalse(matrix.isUnfilled());
+}
+
+
+/**
+ * Tests parsing and exporting of MatrixItems.
+ */
+function testMatrixItemParse() {
+  var testStack = [{
+    'type': 'matrix',
+    'text': CAPTION,
+    'id': ID,
+    'rows': ROWS,
+    'columns': COLUMNS
+  }];
+  matrix = vsaq.questionnaire.items.MatrixItem.parse(testStack);
+  assert(matrix instanceof vsaq.questionnaire.items.MatrixItem);
+  assertEquals(0, testStack.length);
+  assertArrayEquals(['pii', 'cc'], matrix.getRowIds());
+  assertArrayEquals(['low', 'high'], matrix.getColumnIds());
+  assertFalse(matrix.required);
+
+  var exported = matrix.exportItem();
+  assertEquals(ROWS, exported.get('rows'));
+  assertEquals(COLUMNS, exported.get('columns'));
+
+  var e = assertThrows(function() {
+    new vsaq.questionnaire.items.MatrixItem(ID, null, CAPTION, ROWS, []);
+  });
+  assert(e instanceof vsaq.questionnaire.items.ParseError);
+}
@@ -0,0 +1,251 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A questionnaire item with an input field for numbers.
+ */
+
+goog.provide('vsaq.questionnaire.items.NumberItem');
+
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+
+
+
+/**
+ * A question that allows the user to answer with a number, e.g. a headcount.
+ * @param {string} id An ID uniquely identifying the question.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the item to be visible to the user.
+ * @param {string} caption The caption to show above the input field.
+ * @param {number=} opt_min The smallest allowed value.
+ * @param {number=} opt_max The largest allowed value.
+ * @param {number=} opt_step The granularity of allowed values, counted from
+ *     opt_min (or 0), e.g. 1 to only allow integers.
+ * @param {string=} opt_unit The unit of the value, shown next to the input
+ *     field (e.g. "employees").
+ * @param {string=} opt_placeholder The placeholder text, displayed in place of
+ *     the value.
+ * @param {boolean=} opt_isRequired Iff true, the item value is required.
+ * @param {string=} opt_auth If "readonly", this ValueItem cannot be modified.
+ * @extends {vsaq.questionnaire.items.ValueItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.NumberItem = function(id, conditions, caption,
+    opt_min, opt_max, opt_step, opt_unit, opt_placeholder, opt_isRequired,
+    opt_auth) {
+  goog.base(this, id, conditions, caption, opt_placeholder, undefined,
+      undefined, opt_isRequired, undefined, opt_auth);
+
+  /**
+   * The html input element where the user can answer the question.
+   * @type {!HTMLInputElement}
+   * @private
+   */
+  this.numberBox_;
+
+  /**
+   * The smallest allowed value.
+   * @type {number|undefined}
+   */
+  this.min = opt_min;
+  this.addPropertyInformation('min', {nameInClass: 'min'});
+
+  /**
+   * The largest allowed value.
+   * @type {number|undefined}
+   */
+  this.max = opt_max;
+  this.addPropertyInformation('max', {nameInClass: 'max'});
+
+  /**
+   * The granularity of allowed values.
+   * @type {number|undefined}
+   */
+  this.step = opt_step;
+  this.addPropertyInformation('step', {nameInClass: 'step'});
+
+  /**
+   * The unit of the value.
+   * @type {string}
+   */
+  this.unit = goog.string.makeSafe(opt_unit);
+  this.addPropertyInformation('unit', {nameInClass: 'unit'});
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.NumberItem,
+              vsaq.questionnaire.items.ValueItem);
+
+
+/**
+ * Render the HTML for this item.
+ */
+vsaq.questionnaire.items.NumberItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.number,
+      {
+        id: this.id,
+        captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(this.text),
+        min: this.getLimit_(this.min),
+        max: this.getLimit_(this.max),
+        step: this.getLimit_(this.step),
+        unit: this.unit,
+        placeholder: this.placeholder,
+        isRequired: Boolean(this.required)
+      });
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.numberBox_ = /** @type {!HTMLInputElement} */
+      (vsaq.questionnaire.utils.findById(this.container, this.id));
+  goog.events.listen(
+      this.numberBox_,
+      [goog.events.EventType.KEYUP, goog.events.EventType.CHANGE],
+      this.answerChanged,
+      true,
+      this);
+};
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.NumberItem.TYPE = 'number';
+
+
+/**
+ * Parses NumberItems. If the topmost item in the passed Array is a
+ * NumberItem, it is consumed and a NumberItem instance is returned.
+ * If the topmost item is not a NumberItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.NumberItem} The parsed NumberItem.
+ */
+vsaq.questionnaire.items.NumberItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.NumberItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  return new vsaq.questionnaire.items.NumberItem(item.id, item.cond,
+      item.text, item.min, item.max, item.step, item.unit, item.placeholder,
+      item.required, item.auth);
+};
+
+
+/**
+ * Converts one of the limits (min, max or step) to a number. Limits edited in
+ * the editor are strings.
+ * @param {number|string|undefined} limit The limit.
+ * @return {?number} The limit as number, or null if it is not set.
+ * @private
+ */
+vsaq.questionnaire.items.NumberItem.prototype.getLimit_ = function(limit) {
+  if (!goog.isDefAndNotNull(limit) || limit === '')
+    return null;
+  var number = Number(limit);
+  return isNaN(number) ? null : number;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.NumberItem.prototype.setReadOnly = function(
+    readOnly) {
+  // if item marked readonly, always keep it readonly
+  this.numberBox_.readOnly = this.auth == 'readonly' ? true : readOnly;
+};
+
+
+/**
+ * Returns the value of the item as number.
+ * @return {?number} The entered number, or null if the input field is empty
+ *     or does not contain a number.
+ * @override
+ */
+vsaq.questionnaire.items.NumberItem.prototype.getValue = function() {
+  var value = goog.string.trim(this.numberBox_.value);
+  if (!value || !isFinite(Number(value)))
+    return null;
+  return Number(value);
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.NumberItem.prototype.setInternalValue =
+    function(value) {
+  this.numberBox_.value = goog.isDefAndNotNull(value) ? String(value) : '';
+};
+
+
+/**
+ * Returns whether the value of the item is a number that lies within min and
+ * max and is a multiple of step (counted from min).
+ * @return {boolean} Whether the value is valid.
+ */
+vsaq.questionnaire.items.NumberItem.prototype.isValid = function() {
+  var value = this.getValue();
+  if (goog.isNull(value))
+    return false;
+  var min = this.getLimit_(this.min);
+  var max = this.getLimit_(this.max);
+  var step = this.getLimit_(this.step);
+  if ((!goog.isNull(min) && value < min) || (!goog.isNull(max) && value > max))
+    return false;
+  if (step) {
+    var steps = (value - (min || 0)) / step;
+    // Allow for rounding errors, e.g. 0.3 / 0.1 = 2.9999999999999996.
+    if (Math.abs(steps - Math.round(steps)) > 1e-9)
+      return false;
+  }
+  return true;
+};
+
+
+/**
+ * Returns true if the item contains a valid number. Numbers that are out of
+ * range (see `isValid`) don't count as an answer.
+ * @override
+ */
+vsaq.questionnaire.items.NumberItem.prototype.isAnswered = function() {
+  return this.isValid();
+};
+
+
+/**
+ * In addition to required items without valid answer, also items with an
+ * invalid answer need to be filled, even if they are not required.
+ * @override
+ */
+vsaq.questionnaire.items.NumberItem.prototype.isUnfilled = function() {
+  // Browsers report text that is not a number (e.g. "about 200") as empty
+  // value, but flag it as bad input.
+  var hasInput = !goog.string.isEmptyOrWhitespace(this.numberBox_.value) ||
+      Boolean(this.numberBox_.validity && this.numberBox_.validity.badInput);
+  return this.isVisible() &&
+      (this.required || this.requiredByConditions || hasInput) &&
+      !this.isValid();
+};
@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.items.NumberItem.
+ */
+
+goog.provide('vsaq.questionnaire.items.NumberItemTests');
+goog.setTestOnly('vsaq.questionnaire.items.NumberItemTests');
+
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.items.NumberItem');
+
+var CAPTION = 'numberitem_caption';
+var ID = 'numberitem_id';
+var UNIT = 'employees';
+
+var number;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  number = new vsaq.questionnaire.items.NumberItem(ID, null, CAPTION, 0, 1000,
+      1, UNIT);
+}
+
+
+/**
+ * Tests whether number items are rendered correctly.
+ */
+function testNumberItem() {
+  var el = number.container;
+
+  assertEquals(String(goog.dom.TagName.DIV), el.tagName);
+  var desc = goog.dom.getFirstElementChild(el);
+  assertEquals(CAPTION, goog.dom.getTextContent(desc));
+  var input = goog.dom.getNextElementSibling(desc);
+  assertEquals(String(goog.dom.TagName.INPUT), input.tagName);
+  assertEquals('number', input.type);
+  assertEquals('0', input.min);
+  assertEquals('1000', input.max);
+  assertEquals('1', input.step);
+  assertEquals(ID, input.id);
+  assertEquals(UNIT,
+      goog.dom.getTextContent(goog.dom.getNextElementSibling(input)));
+}
+
+
+/**
+ * Tests setting and retrieving the value of the item.
+ */
+function testNumberItemSetGetValue() {
+  assertNull(number.getValue());
+  number.setValue('200');
+  assertEquals(200, number.getValue());
+  number.setValue(12.5);
+  assertEquals(12.5, number.getValue());
+  number.setValue('');
+  assertNull(number.getValue());
+}
+
+
+/**
+ * Tests that only values within min, max and step count as answer.
+ */
+function testNumberItemValidation() {
+  assertFalse(number.isAnswered());
+  assertFalse(number.isUnfilled());
+
+  number.setValue('200');
+  assertTrue(number.isAnswered());
+  assertFalse(number.isUnfilled());
+
+  number.setValue('1001');
+  assertFalse(number.isAnswered());
+  assertTrue(number.isUnfilled());
+
+  number.setValue('-1');
+  assertFalse(number.isAnswered());
+
+  number.setValue('12.5');
+  assertFalse(number.isAnswered());
+
+  number.step = '0.1';
+  number.setValue('0.3');
+  assertTrue(number.isAnswered());
+}
+
+
+/**
+ * Tests that required items without valid value need to be filled.
+ */
+function testNumberItemRequired() {
+  number.required = true;
+  assertTrue(number.isUnfilled());
+  number.setValue('5');
+  assertFalse(number.isUnfilled());
+}
+
+
+/**
+ * Tests parsing of NumberItems.
+ */
+function testNumberItemParse() {
+  var testStack = [{
+    'type': 'number',
+    'text': CAPTION,
+    'id': ID,
+    'required': true,
+    'min': 0,
+    'max': 10,
+    'step': 0.5,
+    'unit': UNIT,
+    'placeholder': 'placeholder'
+  }];
+  number = vsaq.questionnaire.items.NumberItem.parse(testStack);
+  assert(number instanceof vsaq.questionnaire.items.NumberItem);
+  assertEquals(0, testStack.length);
+  assertEquals(ID, number.id);
+  assertEquals(CAPTION, number.text);
+  assertEquals(0, number.min);
+  assertEquals(10, number.max);
+  assertEquals(0.5, number.step);
+  assertEquals(UNIT, number.unit);
+  assertEquals('placeholder', number.placeholder);
+  assertTrue(number.required);
+
+  // Limits of 0 need to be kept when the item is exported.
+  assertEquals(0, number.exportItem().get('min'));
+}
@@ -0,0 +1,196 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview A collapsible outline of a questionnaire, listing every visible
+ * block with the number of unanswered questions in it and how much of it is
+ * completed. Clicking a block in the outline scrolls to it.
+ */
+
+goog.provide('vsaq.questionnaire.Outline');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.soy');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.items.BlockItem');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.templates');
+
+
+
+/**
+ * An outline of a questionnaire. It is kept up to date with the questionnaire,
+ * including after a new template is set.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {!Element} element The element into which the outline is rendered.
+ * @constructor
+ */
+vsaq.questionnaire.Outline = function(questionnaire, element) {
+  /**
+   * The questionnaire the outline is shown for.
+   * @type {!vsaq.Questionnaire}
+   * @private
+   */
+  this.questionnaire_ = questionnaire;
+
+  /**
+   * The element into which the outline is rendered.
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * If true, only the caption of the outline is shown.
+   * @type {boolean}
+   * @private
+   */
+  this.collapsed_ = false;
+
+  /**
+   * The timer used to render the outline.
+   * @type {?number}
+   * @private
+   */
+  this.renderTimer_ = null;
+
+  goog.events.listen(questionnaire, [
+    goog.events.EventType.CHANGE,
+    vsaq.questionnaire.items.Item.SHOWN,
+    vsaq.questionnaire.items.Item.HIDDEN
+  ], this.renderLater_, false, this);
+  goog.events.listen(element, goog.events.EventType.CLICK, this.clicked_,
+      false, this);
+
+  this.render();
+};
+
+
+/**
+ * An entry of the outline.
+ * @typedef {{
+ *   id: string,
+ *   captionHtml: !soydata.SanitizedHtml,
+ *   level: number,
+ *   unansweredCount: number,
+ *   percentage: number
+ * }}
+ * @private
+ */
+vsaq.questionnaire.Outline.Entry_;
+
+
+/**
+ * Returns the entries of the outline, i.e. the visible blocks below the root
+ * block in the order they appear in.
+ * @return {!Array.<!vsaq.questionnaire.Outline.Entry_>} The entries.
+ * @private
+ */
+vsaq.questionnaire.Outline.prototype.getEntries_ = function() {
+  var entries = [];
+  var addBlocks = function(block, level) {
+    goog.array.forEach(block.getContainerItems(), function(item) {
+      if (!(item instanceof vsaq.questionnaire.items.BlockItem) ||
+          !item.isVisible())
+        return;
+      var questionCount = item.getQuestionCount();
+      var unansweredCount = item.getUnansweredCount();
+      entries.push({
+        id: item.id,
+        captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(item.text),
+        level: level,
+        unansweredCount: unansweredCount,
+        percentage: questionCount ?
+            Math.round(100 * (questionCount - unansweredCount) /
+                questionCount) : 100
+      });
+      addBlocks(item, level + 1);
+    });
+  };
+
+  var rootBlock = this.questionnaire_.getRootBlock();
+  if (rootBlock)
+    addBlocks(rootBlock, 1);
+  return entries;
+};
+
+
+/**
+ * Renders the outline.
+ */
+vsaq.questionnaire.Outline.prototype.render = function() {
+  if (goog.isDefAndNotNull(this.renderTimer_)) {
+    clearTimeout(this.renderTimer_);
+    this.renderTimer_ = null;
+  }
+  goog.dom.removeChildren(this.element_);
+  this.element_.appendChild(goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.outline, {
+        entries: this.getEntries_(),
+        collapsed: this.collapsed_
+      }));
+};
+
+
+/**
+ * Renders the outline once the current changes to the questionnaire are done.
+ * Showing or hiding a block typically shows or hides many items at once, and
+ * answers are only counted once conditions have been reevaluated.
+ * @private
+ */
+vsaq.questionnaire.Outline.prototype.renderLater_ = function() {
+  if (!goog.isDefAndNotNull(this.renderTimer_))
+    this.renderTimer_ = setTimeout(goog.bind(this.render, this), 0);
+};
+
+
+/**
+ * Collapses or expands the outline.
+ * @param {boolean} isCollapsed If true, only the caption of the outline is
+ *     shown.
+ */
+vsaq.questionnaire.Outline.prototype.setCollapsed = function(isCollapsed) {
+  this.collapsed_ = isCollapsed;
+  this.render();
+};
+
+
+/**
+ * Handles clicks on the outline, i.e. on the button that collapses or expands
+ * it and on its entries.
+ * @param {!goog.events.BrowserEvent} e The click event.
+ * @private
+ */
+vsaq.questionnaire.Outline.prototype.clicked_ = function(e) {
+  var target = /** @type {!Element} */ (e.target);
+  if (target.id == 'vsaq_outline_toggle') {
+    e.preventDefault();
+    this.setCollapsed(!this.collapsed_);
+    return;
+  }
+
+  var entry = goog.dom.getAncestorByClass(target,
+      goog.getCssName('vsaq-outline-entry'));
+  if (!entry) return;
+  e.preventDefault();
+  var block = this.questionnaire_.getItem(entry.getAttribute('data-block-id'));
+  if (block && block.container)
+    block.container.scrollIntoView();
+};
@@ -0,0 +1,157 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.Outline.
+ */
+
+goog.provide('vsaq.questionnaire.OutlineTests');
+goog.setTestOnly('vsaq.questionnaire.OutlineTests');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.string');
+goog.require('goog.testing.MockClock');
+goog.require('goog.testing.events');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.Outline');
+
+var QUESTIONNAIRE;
+var clock;
+var element;
+var outline;
+var questionnaire;
+var root;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  clock = new goog.testing.MockClock(true);
+  root = goog.dom.getElement('root');
+  element = goog.dom.createDom(goog.dom.TagName.DIV);
+  document.body.appendChild(element);
+  QUESTIONNAIRE = [{
+    type: 'block',
+    text: 'Questionnaire',
+    items: [{
+      type: 'block',
+      id: 'general',
+      text: 'General',
+      items: [{
+        type: 'yesno',
+        id: 'has_data',
+        text: 'Do you store data?',
+        yes: 'Yes',
+        no: 'No'
+      }, {
+        type: 'line',
+        id: 'name',
+        text: 'Name'
+      }, {
+        type: 'block',
+        id: 'contact',
+        text: 'Contact',
+        items: [{
+          type: 'line',
+          id: 'email',
+          text: 'Email'
+        }]
+      }]
+    }, {
+      type: 'block',
+      id: 'data',
+      text: 'Data',
+      cond: 'has_data/yes',
+      items: [{
+        type: 'box',
+        id: 'retention',
+        text: 'How long do you keep data?'
+      }]
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(root);
+  questionnaire.setTemplate(QUESTIONNAIRE);
+  questionnaire.render();
+  outline = new vsaq.questionnaire.Outline(questionnaire, element);
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  clock.uninstall();
+  goog.dom.removeChildren(root);
+  goog.dom.removeNode(element);
+}
+
+
+/**
+ * Returns the texts of the entries in the outline.
+ * @return {!Array.<string>} The texts.
+ */
+function getEntryTexts() {
+  return goog.array.map(goog.dom.getElementsByTagNameAndClass(
+      goog.dom.TagName.LI, null, element), function(entry) {
+        return goog.string.collapseWhitespace(goog.dom.getTextContent(entry));
+      });
+}
+
+
+/**
+ * Tests that visible blocks are listed with their progress.
+ */
+function testOutline() {
+  assertArrayEquals([
+    'General 0% (3 unanswered)',
+    'Contact 0% (1 unanswered)'
+  ], getEntryTexts());
+
+  questionnaire.getItem('has_data').setValue('yes');
+  questionnaire.getItem('email').setValue('security@example.com');
+  // The outline is updated once all changes are done.
+  assertArrayEquals([
+    'General 0% (3 unanswered)',
+    'Contact 0% (1 unanswered)'
+  ], getEntryTexts());
+  clock.tick(1);
+  assertArrayEquals([
+    'General 67% (1 unanswered)',
+    'Contact 100%',
+    'Data 0% (1 unanswered)'
+  ], getEntryTexts());
+}
+
+
+/**
+ * Tests collapsing and expanding the outline.
+ */
+function testCollapse() {
+  var toggle = goog.dom.getElement('vsaq_outline_toggle');
+  assertEquals('Hide', goog.string.trim(goog.dom.getTextContent(toggle)));
+  goog.testing.events.fireClickSequence(toggle);
+  assertArrayEquals([], getEntryTexts());
+
+  toggle = goog.dom.getElement('vsaq_outline_toggle');
+  assertEquals('Show', goog.string.trim(goog.dom.getTextContent(toggle)));
+  goog.testing.events.fireClickSequence(toggle);
+  assertEquals(2, getEntryTexts().length);
+}
@@ -0,0 +1,216 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Renders a questionnaire for printing and archiving. Only
+ * visible items are shown, answers are shown as text instead of form controls,
+ * tips are shown with their clarification, and a table of contents lists the
+ * blocks. The rendered view is static, it needs to be rendered again when
+ * answers change.
+ */
+
+goog.provide('vsaq.questionnaire.printview');
+
+goog.require('goog.array');
+goog.require('goog.date.DateTime');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.object');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.questionnaire.items.BlockItem');
+goog.require('vsaq.questionnaire.items.CheckItem');
+goog.require('vsaq.questionnaire.items.GroupItem');
+goog.require('vsaq.questionnaire.items.InfoItem');
+goog.require('vsaq.questionnaire.items.ListItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.NumberItem');
+goog.require('vsaq.questionnaire.items.RadioItem');
+goog.require('vsaq.questionnaire.items.TipItem');
+goog.require('vsaq.questionnaire.items.UploadItem');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.items.YesNoItem');
+goog.require('vsaq.questionnaire.templates');
+
+
+/**
+ * An entry of the table of contents.
+ * @typedef {{
+ *   id: string,
+ *   captionHtml: !soydata.SanitizedHtml,
+ *   level: number
+ * }}
+ */
+vsaq.questionnaire.printview.TocEntry_;
+
+
+/**
+ * Renders the visible items of a questionnaire for printing.
+ * @param {!vsaq.questionnaire.items.BlockItem} rootBlock The root block of the
+ *     questionnaire.
+ * @param {string=} opt_documentId An id of the questionnaire, shown in the
+ *     header of the view.
+ * @param {!Date=} opt_timestamp The time shown in the header of the view.
+ *     Defaults to now.
+ * @return {!Element} The rendered view.
+ */
+vsaq.questionnaire.printview.render = function(rootBlock, opt_documentId,
+    opt_timestamp) {
+  var toc = [];
+  var itemsElement = goog.dom.createDom(goog.dom.TagName.DIV);
+  vsaq.questionnaire.printview.renderItems_(rootBlock.getContainerItems(),
+      itemsElement, toc, 1);
+
+  var timestamp = opt_timestamp ? new goog.date.DateTime(opt_timestamp) :
+      new goog.date.DateTime();
+  var view = goog.soy.renderAsElement(vsaq.questionnaire.templates.printView, {
+    titleHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(rootBlock.text),
+    documentId: opt_documentId || '',
+    timestamp: timestamp.toIsoString(true),
+    toc: toc
+  });
+  view.appendChild(itemsElement);
+  return view;
+};
+
+
+/**
+ * Renders the visible items among the given ones.
+ * @param {!Array.<!vsaq.questionnaire.items.Item>} items The items.
+ * @param {!Element} parentElement The element the items are appended to.
+ * @param {!Array.<!vsaq.questionnaire.printview.TocEntry_>} toc The table of
+ *     contents, to which the blocks among the items are added.
+ * @param {number} level The nesting level of the blocks among the items.
+ * @private
+ */
+vsaq.questionnaire.printview.renderItems_ = function(items, parentElement,
+    toc, level) {
+  var html = soydata.VERY_UNSAFE.ordainSanitizedHtml;
+  goog.array.forEach(items, function(item) {
+    if (!item.isVisible()) return;
+
+    var element = null;
+    if (item instanceof vsaq.questionnaire.items.BlockItem) {
+      toc.push({id: item.id, captionHtml: html(item.text), level: level});
+      element = goog.soy.renderAsElement(
+          vsaq.questionnaire.templates.printBlock, {
+            id: item.id,
+            captionHtml: html(item.text),
+            level: level
+          });
+      vsaq.questionnaire.printview.renderItems_(item.getContainerItems(),
+          element, toc, level + 1);
+    } else if (item instanceof vsaq.questionnaire.items.ListItem &&
+               item.getContainerItems().length) {
+      // Rows of lists are not listed in the table of contents.
+      element = goog.soy.renderAsElement(
+          vsaq.questionnaire.templates.printBlock, {
+            id: item.id,
+            captionHtml: html(item.text),
+            level: level
+          });
+      goog.array.forEach(item.getContainerItems(), function(row, index) {
+        var rowElement = goog.soy.renderAsElement(
+            vsaq.questionnaire.templates.printBlock, {
+              id: row.id,
+              captionHtml: html('#' + (index + 1)),
+              level: level + 1
+            });
+        vsaq.questionnaire.printview.renderItems_(row.getContainerItems(),
+            rowElement, [], level + 1);
+        element.appendChild(rowElement);
+      });
+    } else if (item instanceof vsaq.questionnaire.items.TipItem) {
+      element = goog.soy.renderAsElement(
+          vsaq.questionnaire.templates.printBubble, {
+            contentHtml: html(item.text),
+            isWarning: item.warn,
+            severity: item.severity,
+            customTitle: item.customTitle,
+            clarification: goog.string.makeSafe(item.getValue())
+          });
+    } else if (item instanceof vsaq.questionnaire.items.InfoItem) {
+      element = goog.soy.renderAsElement(
+          vsaq.questionnaire.templates.printInfo, {
+            contentHtml: html(item.text)
+          });
+    } else if (item instanceof vsaq.questionnaire.items.ValueItem ||
+               item instanceof vsaq.questionnaire.items.ListItem ||
+               item instanceof vsaq.questionnaire.items.GroupItem ||
+               item instanceof vsaq.questionnaire.items.MatrixItem) {
+      var answerHtml = vsaq.questionnaire.printview.getAnswerHtml(item);
+      element = goog.soy.renderAsElement(
+          vsaq.questionnaire.templates.printAnswer, {
+            questionHtml: html(item.text),
+            answerHtml: answerHtml ? html(answerHtml) : null
+          });
+    }
+    // Other items, like spacers, are not printed.
+    if (element)
+      parentElement.appendChild(element);
+  });
+};
+
+
+/**
+ * Returns the answer to a question as HTML. Answers given by the user are
+ * escaped, while the texts of choices come from the template and may contain
+ * HTML.
+ * @param {!vsaq.questionnaire.items.Item} item The question.
+ * @return {string} The answer, or the empty string if the question is not
+ *     answered.
+ */
+vsaq.questionnaire.printview.getAnswerHtml = function(item) {
+  if (item instanceof vsaq.questionnaire.items.GroupItem) {
+    return goog.array.map(item.getCheckedChoices(), function(choice) {
+      return choice.text;
+    }).join('<br>');
+  } else if (item instanceof vsaq.questionnaire.items.MatrixItem) {
+    var answers = [];
+    goog.array.forEach(item.rows, function(row) {
+      var rowId = goog.object.getKeys(row)[0];
+      var columnId = item.getSelectedColumn(rowId);
+      if (!columnId) return;
+      var column = goog.array.find(item.columns, function(column) {
+        return column.hasOwnProperty(columnId);
+      });
+      answers.push(row[rowId] + ': ' + column[columnId]);
+    });
+    return answers.join('<br>');
+  } else if (item instanceof vsaq.questionnaire.items.YesNoItem) {
+    var value = item.getValue();
+    return value == vsaq.questionnaire.items.YesNoItem.YES_VALUE ? item.yes :
+        value == vsaq.questionnaire.items.YesNoItem.NO_VALUE ? item.no : '';
+  } else if (item instanceof vsaq.questionnaire.items.UploadItem) {
+    // The value is the id of the file followed by its name.
+    var upload = item.getValue();
+    return goog.string.htmlEscape(upload.substr(upload.indexOf('|') + 1));
+  } else if (item instanceof vsaq.questionnaire.items.RadioItem ||
+             item instanceof vsaq.questionnaire.items.CheckItem) {
+    return item.isChecked() ? 'Selected' : '';
+  } else if (item instanceof vsaq.questionnaire.items.ListItem) {
+    // Lists with rows are rendered as blocks.
+    return '';
+  }
+
+  var itemValue = item.getValue();
+  var answer = itemValue == null ? '' : String(itemValue);
+  if (answer && item instanceof vsaq.questionnaire.items.NumberItem &&
+      item.unit)
+    answer += ' ' + item.unit;
+  return goog.string.newLineToBr(goog.string.htmlEscape(answer));
+};
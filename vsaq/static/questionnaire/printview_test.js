@@ -0,0 +1,156 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.printview.
+ */
+
+goog.provide('vsaq.questionnaire.PrintViewTests');
+goog.setTestOnly('vsaq.questionnaire.PrintViewTests');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.string');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.printview');
+
+var QUESTIONNAIRE;
+var questionnaire;
+var root;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  root = goog.dom.getElement('root');
+  QUESTIONNAIRE = [{
+    type: 'block',
+    id: 'root',
+    text: 'Vendor questionnaire',
+    items: [{
+      type: 'block',
+      id: 'network',
+      text: 'Network',
+      items: [{
+        type: 'yesno',
+        id: 'tls',
+        text: 'Do you use TLS?',
+        yes: 'Yes, always',
+        no: 'No'
+      }, {
+        type: 'tip',
+        id: 'no_tls',
+        cond: 'tls/no',
+        warn: 'yes',
+        severity: 'high',
+        text: 'All traffic must be encrypted.',
+        why: 'Please explain.'
+      }, {
+        type: 'line',
+        id: 'provider',
+        text: 'Provider'
+      }]
+    }, {
+      type: 'block',
+      id: 'data',
+      text: 'Data',
+      cond: 'tls/yes',
+      items: [{
+        type: 'checkgroup',
+        id: 'storage',
+        text: 'Where is data stored?',
+        defaultChoice: false,
+        choices: [{'cloud': 'In the cloud'}, {'onprem': 'On premise'}]
+      }]
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(root);
+  questionnaire.setTemplate(QUESTIONNAIRE);
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  goog.dom.removeChildren(root);
+}
+
+
+/**
+ * Returns the texts of the elements with the given class in the root element.
+ * @param {string} className The class.
+ * @return {!Array.<string>} The texts.
+ */
+function getTexts(className) {
+  return goog.array.map(goog.dom.getElementsByClass(className, root),
+      function(el) {
+        return goog.string.collapseWhitespace(goog.dom.getTextContent(el));
+      });
+}
+
+
+/**
+ * Tests that only visible items are printed, with their answers as text.
+ */
+function testPrintMode() {
+  questionnaire.setPrintMode(true, 'vendor_q');
+  questionnaire.render();
+  questionnaire.setValues({
+    'tls': 'no',
+    'no_tls': 'Only internal traffic.',
+    'provider': '<Acme>'
+  });
+
+  assertContains('vendor_q',
+      getTexts('vsaq-print-header')[0]);
+  assertArrayEquals(['Network'], getTexts('vsaq-print-caption'));
+  assertArrayEquals(['Do you use TLS?', 'Provider'],
+      getTexts('vsaq-print-question'));
+  assertArrayEquals(['No', '<Acme>'], getTexts('vsaq-print-answer'));
+  assertArrayEquals(['Only internal traffic.'],
+      getTexts('vsaq-print-clarification'));
+  assertEquals(0,
+      goog.dom.getElementsByTagNameAndClass(goog.dom.TagName.INPUT, null,
+          root).length);
+}
+
+
+/**
+ * Tests that blocks are listed in the table of contents, and that checked
+ * choices are printed as answer of their group.
+ */
+function testTableOfContents() {
+  questionnaire.setPrintMode(true);
+  questionnaire.render();
+  questionnaire.setValues({'tls': 'yes', 'onprem': 'checked'});
+
+  var toc = goog.dom.getElementsByClass('vsaq-print-toc', root)[0];
+  var links = goog.dom.getElementsByTagNameAndClass(goog.dom.TagName.A, null,
+      toc);
+  assertArrayEquals(['#vsaq_print_network', '#vsaq_print_data'],
+      goog.array.map(links, function(link) {
+        return link.getAttribute('href');
+      }));
+  assertNotNull(goog.dom.getElement('vsaq_print_data'));
+  assertArrayEquals(['Yes, always', 'Not answered', 'On premise'],
+      getTexts('vsaq-print-answer'));
+}
@@ -38,12 +38,17 @@
 
 goog.provide('vsaq.Questionnaire');
 goog.provide('vsaq.questionnaire.QuestionnaireError');
+goog.provide('vsaq.questionnaire.TemplateInfo');
+goog.provide('vsaq.questionnaire.ValidationFailure');
 
 goog.require('goog.Promise');
 goog.require('goog.array');
+goog.require('goog.crypt');
+goog.require('goog.crypt.Sha1');
 goog.require('goog.debug.Console');
 goog.require('goog.debug.Error');
 goog.require('goog.dom');
+goog.require('goog.dom.NodeType');
 goog.require('goog.dom.TagName');
 goog.require('goog.dom.classlist');
 goog.require('goog.events');
@@ -54,24 +59,34 @@ goog.require('goog.json');
 goog.require('goog.log');
 goog.require('goog.object');
 goog.require('goog.soy');
+goog.require('goog.string');
 goog.require('goog.structs');
+goog.require('vsaq.questionnaire.AnswerHistory');
 goog.require('vsaq.questionnaire.items.BlockItem');
 goog.require('vsaq.questionnaire.items.BoxItem');
 goog.require('vsaq.questionnaire.items.CheckItem');
 goog.require('vsaq.questionnaire.items.CheckgroupItem');
+goog.require('vsaq.questionnaire.items.ContainerItem');
+goog.require('vsaq.questionnaire.items.DateItem');
 goog.require('vsaq.questionnaire.items.GroupItem');
 goog.require('vsaq.questionnaire.items.InfoItem');
 goog.require('vsaq.questionnaire.items.Item');
 goog.require('vsaq.questionnaire.items.LineItem');
+goog.require('vsaq.questionnaire.items.ListItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.MultiselectItem');
+goog.require('vsaq.questionnaire.items.NumberItem');
 goog.require('vsaq.questionnaire.items.ParseError');
 goog.require('vsaq.questionnaire.items.RadioItem');
 goog.require('vsaq.questionnaire.items.RadiogroupItem');
+goog.require('vsaq.questionnaire.items.SelectItem');
 goog.require('vsaq.questionnaire.items.SpacerItem');
 goog.require('vsaq.questionnaire.items.TipItem');
 goog.require('vsaq.questionnaire.items.UploadItem');
 goog.require('vsaq.questionnaire.items.ValueItem');
 goog.require('vsaq.questionnaire.items.YesNoItem');
 goog.require('vsaq.questionnaire.items.factory');
+goog.require('vsaq.questionnaire.printview');
 goog.require('vsaq.questionnaire.templates');
 goog.require('vsaq.questionnaire.utils');
 
@@ -90,6 +105,63 @@ goog.inherits(vsaq.questionnaire.QuestionnaireError, goog.debug.Error);
 
 
 
+/**
+ * A problem found in the conditions of an item when the template is loaded.
+ * `itemId` is the item whose conditions (or required conditions, `requiredIf`)
+ * contain the problem, `conditions` the full conditions and `reference` the
+ * offending variable or function name, if any.
+ * @typedef {{
+ *   itemId: string,
+ *   conditions: string,
+ *   reference: ?string,
+ *   message: string
+ * }}
+ */
+vsaq.questionnaire.ConditionDiagnostic;
+
+
+
+/**
+ * The risk score of a questionnaire. `total` is the score of all visible
+ * warnings and checked choices, and `blocks` maps the ids of blocks to the
+ * score of the warnings and choices within them. Blocks without score are left
+ * out.
+ * @typedef {{
+ *   total: number,
+ *   blocks: !Object.<string, number>
+ * }}
+ */
+vsaq.questionnaire.Score;
+
+
+/**
+ * An item whose answer fails validation, with the messages of the rules it
+ * fails.
+ * @typedef {{
+ *   item: !vsaq.questionnaire.items.ValueItem,
+ *   messages: !Array.<string>
+ * }}
+ */
+vsaq.questionnaire.ValidationFailure;
+
+
+/**
+ * Information about the template of a questionnaire that is exported with the
+ * answers. `hash` is the hash of the template (see `hashTemplate`), which is
+ * computed when the template is set. `migrations` are the changes of the
+ * template that answers given for older versions of it need to be migrated
+ * for (see `vsaq.questionnaire.answers.Migration`).
+ * @typedef {{
+ *   name: string,
+ *   version: ?number,
+ *   hash: string,
+ *   migrations: !Array.<!Object>
+ * }}
+ */
+vsaq.questionnaire.TemplateInfo;
+
+
+
 /**
  * An interactive questionnaire.
  *
@@ -180,6 +252,45 @@ vsaq.Questionnaire = function(rootElement) {
    */
   this.readonlyMode_ = false;
 
+  /**
+   * If true, the questionnaire will be rendered for printing, i.e. only
+   * visible items will be shown, with their answers as text.
+   * @type {boolean}
+   * @private
+   */
+  this.printMode_ = false;
+
+  /**
+   * The id of the questionnaire shown in the header in print mode.
+   * @type {string}
+   * @private
+   */
+  this.printDocumentId_ = '';
+
+  /**
+   * If true, the questionnaire will be rendered in paginated mode, i.e. only
+   * one top-level block will be shown at a time.
+   * @type {boolean}
+   * @private
+   */
+  this.paginatedMode_ = false;
+
+  /**
+   * The id of the top-level block shown in paginated mode.
+   * @type {string}
+   * @private
+   */
+  this.currentPageId_ = '';
+
+  /**
+   * The element into which the navigation between pages is rendered.
+   * @type {!Element}
+   * @private
+   */
+  this.pageNavigationElement_ = goog.dom.createDom(goog.dom.TagName.DIV);
+  goog.events.listen(this.pageNavigationElement_, goog.events.EventType.CLICK,
+      this.pageNavigationClicked_, false, this);
+
   /**
    * If true, the todo list will be rendered.
    * @type {boolean}
@@ -194,6 +305,35 @@ vsaq.Questionnaire = function(rootElement) {
    */
   this.todoListElement_ = goog.dom.createDom(goog.dom.TagName.DIV);
 
+  /**
+   * If true, the summary of the risk score will be rendered.
+   * @type {boolean}
+   * @private
+   */
+  this.showScore_ = false;
+
+  /**
+   * The element into which the summary of the risk score is rendered.
+   * @type {!Element}
+   * @private
+   */
+  this.scoreSummaryElement_ = goog.dom.createDom(goog.dom.TagName.DIV);
+
+  /**
+   * The weight of each severity of warnings in the risk score.
+   * @type {!Object.<string, number>}
+   * @private
+   */
+  this.severityWeights_ =
+      goog.object.clone(vsaq.Questionnaire.DEFAULT_SEVERITY_WEIGHTS);
+
+  /**
+   * The current risk score (see `updateScore_`).
+   * @type {!vsaq.questionnaire.Score}
+   * @private
+   */
+  this.score_ = {total: 0, blocks: {}};
+
   /**
    * If true, the template for the questionnaire contains TODOs in old format.
    * @type {boolean}
@@ -201,6 +341,60 @@ vsaq.Questionnaire = function(rootElement) {
    */
   this.oldTodoFormat_ = false;
 
+  /**
+   * The problems found in the conditions of the current template.
+   * @type {!Array.<!vsaq.questionnaire.ConditionDiagnostic>}
+   * @private
+   */
+  this.conditionDiagnostics_ = [];
+
+  /**
+   * Maps item ids to the ids of the items whose conditions directly depend on
+   * the state of that item (see `buildDependencyIndex_`).
+   * @type {!Object.<string, !Array.<string>>}
+   * @private
+   */
+  this.dependentItems_ = {};
+
+  /**
+   * The ids of the items that changed since conditions were last reevaluated
+   * (see `reevaluateConditionsLater_`).
+   * @type {!Object.<string, boolean>}
+   * @private
+   */
+  this.pendingChangedIds_ = {};
+
+  /**
+   * Whether the answers have been validated. From then on, they are validated
+   * again whenever they change, so the messages shown stay up to date.
+   * @type {boolean}
+   * @private
+   */
+  this.validated_ = false;
+
+  /**
+   * Information about the template of the questionnaire.
+   * @type {!vsaq.questionnaire.TemplateInfo}
+   * @private
+   */
+  this.templateInfo_ = {name: '', version: null, hash: '', migrations: []};
+
+  /**
+   * The changes of answers that can be undone and redone.
+   * @type {!vsaq.questionnaire.AnswerHistory}
+   * @private
+   */
+  this.history_ = new vsaq.questionnaire.AnswerHistory();
+
+  /**
+   * The values of all items as of the last change, as recorded in the
+   * history. Unlike `values_`, this includes values that were never changed,
+   * e.g. defaults of the template, so a change can be undone to them.
+   * @type {!Object.<string, string>}
+   * @private
+   */
+  this.historyValues_ = {};
+
   /**
    * A resolver that is used to allow further objects like the editor to get
    * involved once the questionnaire has been loaded.
@@ -212,6 +406,38 @@ vsaq.Questionnaire = function(rootElement) {
 goog.inherits(vsaq.Questionnaire, goog.events.EventTarget);
 
 
+/**
+ * The weight of each severity of warnings in the risk score, unless the root
+ * block of the template sets `severityWeights`. Warnings without severity are
+ * weighted as medium.
+ * @type {!Object.<string, number>}
+ * @const
+ */
+vsaq.Questionnaire.DEFAULT_SEVERITY_WEIGHTS = {
+  'medium': 1,
+  'high': 3,
+  'critical': 10
+};
+
+
+/**
+ * Type of the event dispatched when the risk score changes. The event carries
+ * the new score in `score`.
+ * @type {string}
+ * @const
+ */
+vsaq.Questionnaire.SCORE_CHANGED = 'vsaq-score-changed';
+
+
+/**
+ * Type of the event dispatched when another page is shown in paginated mode.
+ * The event carries the shown block in `page`.
+ * @type {string}
+ * @const
+ */
+vsaq.Questionnaire.PAGE_CHANGED = 'vsaq-page-changed';
+
+
 
 /**
  * An event object for signalling changes that were made in a questionnaire.
@@ -261,19 +487,138 @@ vsaq.Questionnaire.prototype.answerChanged_ = function(e) {
   // If event capturing is disabled, we can bail out.
   if (!this.isCapturingEvents_) return;
 
+  var isTextChange = e.source instanceof vsaq.questionnaire.items.LineItem ||
+      e.source instanceof vsaq.questionnaire.items.BoxItem ||
+      e.source instanceof vsaq.questionnaire.items.TipItem;
+  var before = {};
+  var after = {};
+  goog.object.forEach(e.changes, function(value, id) {
+    // The item already has its new value, so the old one is taken from the
+    // values remembered for the history.
+    before[id] = this.historyValues_[id] || '';
+    after[id] = vsaq.Questionnaire.toHistoryValue_(value);
+  }, this);
+  // Typing into a text field is undone at once.
+  this.history_.record(before, after, isTextChange ? e.source.id : undefined);
+  goog.object.extend(this.historyValues_, after);
+
   goog.object.extend(this.values_, e.changes);
 
   // Now tell whomever is listening as well that something changed.
   this.dispatchChange_(e.changes);
 
+  var changedIds = goog.object.getKeys(e.changes);
   // Don't reevaluate conditions for line, tip or box items too often.
-  if (e.source instanceof vsaq.questionnaire.items.LineItem ||
-      e.source instanceof vsaq.questionnaire.items.BoxItem ||
-      e.source instanceof vsaq.questionnaire.items.TipItem) {
-    this.reevaluateConditionsLater_();
+  if (isTextChange) {
+    this.reevaluateConditionsLater_(changedIds);
   } else {
-    this.reevaluateConditions_();
+    this.reevaluateConditions_(changedIds);
   }
+  // The progress changes with every answer, not only with the visibility of
+  // items.
+  if (this.paginatedMode_)
+    this.renderPageNavigation_();
+  if (this.validated_)
+    this.validate();
+};
+
+
+/**
+ * Converts the value of an item to the string recorded in the history.
+ * @param {*} value The value, e.g. a number or null.
+ * @return {string} The value as string, empty if there is none.
+ * @private
+ */
+vsaq.Questionnaire.toHistoryValue_ = function(value) {
+  return goog.isDefAndNotNull(value) ? String(value) : '';
+};
+
+
+/**
+ * Remembers the current values of items and the items within them, so they
+ * can be recorded as the values before the next change in the history.
+ * @param {!Array.<!vsaq.questionnaire.items.Item>} items The items.
+ * @private
+ */
+vsaq.Questionnaire.prototype.rememberValues_ = function(items) {
+  goog.array.forEach(items, function(item) {
+    if (item instanceof vsaq.questionnaire.items.ValueItem ||
+        item instanceof vsaq.questionnaire.items.ListItem)
+      this.historyValues_[item.id] =
+          vsaq.Questionnaire.toHistoryValue_(item.getValue());
+    if (item instanceof vsaq.questionnaire.items.ContainerItem)
+      this.rememberValues_(item.getContainerItems());
+  }, this);
+};
+
+
+/**
+ * Undoes the latest change of answers. Answers loaded with `setValues` are
+ * undone at once.
+ * @return {boolean} Whether there was a change to undo.
+ */
+vsaq.Questionnaire.prototype.undo = function() {
+  if (this.readonlyMode_) return false;
+  var entry = this.history_.undo();
+  if (!entry) return false;
+  this.applyHistoryValues_(entry.before);
+  return true;
+};
+
+
+/**
+ * Redoes the latest undone change of answers.
+ * @return {boolean} Whether there was a change to redo.
+ */
+vsaq.Questionnaire.prototype.redo = function() {
+  if (this.readonlyMode_) return false;
+  var entry = this.history_.redo();
+  if (!entry) return false;
+  this.applyHistoryValues_(entry.after);
+  return true;
+};
+
+
+/**
+ * Forgets all changes of answers, so they can't be undone anymore. This is
+ * useful e.g. after restoring a saved draft.
+ */
+vsaq.Questionnaire.prototype.clearHistory = function() {
+  this.history_.clear();
+};
+
+
+/**
+ * Sets the values of items to undo or redo a change. Unlike `setValues`, this
+ * dispatches a CHANGE event for the changed values.
+ * @param {!Object.<string, string>} values The values, indexed by the ids of
+ *     the items.
+ * @private
+ */
+vsaq.Questionnaire.prototype.applyHistoryValues_ = function(values) {
+  this.isCapturingEvents_ = false;
+  // Lists need to have the right number of rows before the items within the
+  // rows can be set.
+  goog.object.forEach(values, function(value, id) {
+    var item = this.items_[id];
+    if (item instanceof vsaq.questionnaire.items.ListItem)
+      item.setRowCount(Number(value));
+  }, this);
+  goog.object.forEach(values, function(value, id) {
+    var item = this.items_[id];
+    if (item instanceof vsaq.questionnaire.items.ValueItem)
+      item.setValue(value);
+  }, this);
+  this.isCapturingEvents_ = true;
+
+  goog.object.extend(this.values_, values);
+  this.rememberValues_([this.rootBlock_]);
+  this.dispatchChange_(values);
+  this.reevaluateConditions_();
+  if (this.paginatedMode_)
+    this.renderPageNavigation_();
+  if (this.validated_)
+    this.validate();
 };
 
 
@@ -315,15 +660,27 @@ vsaq.Questionnaire.prototype.dispatchChange_ = function(changes) {
  * either shows or hides parts of the questionnaire. This function must be
  * called whenever values in the questionnaire that have an effect on conditions
  * (radio buttons, check boxes, Yes/No questions) change.
+ * @param {!Array.<string>=} opt_changedIds The ids of the items that changed.
+ *     If set, only the items that depend on them are reevaluated. Otherwise
+ *     all items are reevaluated.
  * @private
  */
-vsaq.Questionnaire.prototype.reevaluateConditions_ = function() {
-  var todos = [];
-  var todoStatus = {};
-  // Show and hide items in the questionnaire
-  goog.object.forEach(this.items_, function(item, id, items) {
+vsaq.Questionnaire.prototype.reevaluateConditions_ = function(opt_changedIds) {
+  var affectedItems = null;
+  if (opt_changedIds)
+    affectedItems = this.getAffectedItems_(opt_changedIds);
+
+  var todoListChanged = !affectedItems;
+  // Show and hide items in the questionnaire. The score, pages and print view
+  // depend on the answers as well, so they are updated even if no item is
+  // affected.
+  var itemsToUpdate = affectedItems && goog.object.isEmpty(affectedItems) ?
+      {} : this.items_;
+  goog.object.forEach(itemsToUpdate, function(item, id, items) {
     if (!items) return;
-    if (item instanceof vsaq.questionnaire.items.ValueItem)
+    if (affectedItems && !affectedItems[id]) return;
+    if (item instanceof vsaq.questionnaire.items.ValueItem ||
+        item instanceof vsaq.questionnaire.items.ListItem)
       item.setReadOnly(this.readonlyMode_);
 
     if ((item.auth == 'admin' && !this.adminMode_) ||
@@ -331,9 +688,216 @@ vsaq.Questionnaire.prototype.reevaluateConditions_ = function() {
       item.setVisibility(false);
     } else {
       item.setVisibility(this.unrolledMode_ ||
-          item.evaluateConditions(items));
+          this.evaluateConditionsSafely_(item));
+    }
+
+    if (item instanceof vsaq.questionnaire.items.TipItem)
+      todoListChanged = true;
+  }, this);
+
+  if (todoListChanged)
+    this.renderTodoList_();
+  this.updateScore_();
+  this.updatePages_();
+  if (this.printMode_)
+    this.renderPrintView_();
+};
+
+
+/**
+ * Renders the visible items into the root element for printing. This replaces
+ * the view of the questionnaire in print mode, and needs to happen whenever
+ * the answers or the visibility of items change.
+ * @private
+ */
+vsaq.Questionnaire.prototype.renderPrintView_ = function() {
+  if (!this.rootBlock_) return;
+  goog.dom.removeChildren(this.rootElement_);
+  this.rootElement_.appendChild(vsaq.questionnaire.printview.render(
+      this.rootBlock_, this.printDocumentId_));
+};
+
+
+/**
+ * Returns the top-level blocks of the questionnaire, which make up the pages in
+ * paginated mode.
+ * @return {!Array.<!vsaq.questionnaire.items.BlockItem>} The blocks.
+ * @private
+ */
+vsaq.Questionnaire.prototype.getPageBlocks_ = function() {
+  if (!this.rootBlock_) return [];
+  return /** @type {!Array.<!vsaq.questionnaire.items.BlockItem>} */ (
+      goog.array.filter(this.rootBlock_.getContainerItems(), function(item) {
+        return item instanceof vsaq.questionnaire.items.BlockItem;
+      }));
+};
+
+
+/**
+ * Returns the pages of the questionnaire in paginated mode, i.e. the top-level
+ * blocks whose conditions are met.
+ * @return {!Array.<!vsaq.questionnaire.items.BlockItem>} The pages.
+ */
+vsaq.Questionnaire.prototype.getPages = function() {
+  // Pages that are not shown are only hidden with a class, so they still count
+  // as visible.
+  return goog.array.filter(this.getPageBlocks_(), function(block) {
+    return block.isVisible();
+  });
+};
+
+
+/**
+ * Returns the page shown in paginated mode.
+ * @return {vsaq.questionnaire.items.BlockItem} The shown page, or null if the
+ *     questionnaire is not paginated or has no pages.
+ */
+vsaq.Questionnaire.prototype.getCurrentPage = function() {
+  if (!this.paginatedMode_ || !this.currentPageId_) return null;
+  return /** @type {vsaq.questionnaire.items.BlockItem} */ (
+      this.items_[this.currentPageId_] || null);
+};
+
+
+/**
+ * Shows only the current page in paginated mode, and shows all blocks
+ * otherwise. If the conditions of the current page are no longer met, the next
+ * page after it is shown instead.
+ * @private
+ */
+vsaq.Questionnaire.prototype.updatePages_ = function() {
+  var blocks = this.getPageBlocks_();
+  var current = null;
+  if (this.paginatedMode_) {
+    var pages = this.getPages();
+    current = this.items_[this.currentPageId_] || null;
+    if (!goog.array.contains(pages, current)) {
+      var position = goog.array.indexOf(blocks, current);
+      current = goog.array.find(pages, function(page) {
+        return goog.array.indexOf(blocks, page) > position;
+      }) || goog.array.peek(pages) || null;
     }
+    this.currentPageId_ = current ? current.id : '';
+  }
+
+  goog.array.forEach(blocks, function(block) {
+    goog.dom.classlist.enable(block.container,
+        goog.getCssName('vsaq-page-hidden'),
+        this.paginatedMode_ && block != current);
+  }, this);
+  if (this.paginatedMode_)
+    this.renderPageNavigation_();
+};
+
+
+/**
+ * Renders the navigation between pages in paginated mode. The progress bar
+ * shows the share of pages without unanswered questions.
+ * @private
+ */
+vsaq.Questionnaire.prototype.renderPageNavigation_ = function() {
+  var pages = this.getPages();
+  var current = this.getCurrentPage();
+  var index = goog.array.indexOf(pages, current);
+  var completedPages = goog.array.count(pages, function(page) {
+    return page.getUnansweredCount() == 0;
+  });
+
+  goog.dom.removeChildren(this.pageNavigationElement_);
+  this.pageNavigationElement_.appendChild(goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.pageNavigation, {
+        pageNumber: index + 1,
+        pageCount: pages.length,
+        progress: pages.length ?
+            Math.round(100 * completedPages / pages.length) : 100,
+        unansweredCount: current ? current.getUnansweredCount() : 0,
+        hasPrevious: index > 0,
+        hasNext: index >= 0 && index < pages.length - 1
+      }));
+};
+
+
+/**
+ * Handles clicks on the buttons of the page navigation.
+ * @param {!goog.events.BrowserEvent} e The click event.
+ * @private
+ */
+vsaq.Questionnaire.prototype.pageNavigationClicked_ = function(e) {
+  var id = /** @type {!Element} */ (e.target).id;
+  if (id == 'vsaq_page_previous') {
+    e.preventDefault();
+    this.previousPage();
+  } else if (id == 'vsaq_page_next') {
+    e.preventDefault();
+    this.nextPage();
+  }
+};
+
+
+/**
+ * Shows the given page in paginated mode.
+ * @param {!vsaq.questionnaire.items.BlockItem} page The page.
+ * @private
+ */
+vsaq.Questionnaire.prototype.showPage_ = function(page) {
+  this.currentPageId_ = page.id;
+  this.updatePages_();
+  this.dispatchEvent({
+    type: vsaq.Questionnaire.PAGE_CHANGED,
+    page: page
+  });
+};
+
+
+/**
+ * Shows the next page in paginated mode, skipping pages whose conditions are
+ * not met. The required items on the current page need to be filled first;
+ * otherwise they are highlighted and the current page stays.
+ * @return {boolean} Whether the next page is shown.
+ */
+vsaq.Questionnaire.prototype.nextPage = function() {
+  var current = this.getCurrentPage();
+  if (!current) return false;
+
+  this.unsetRequiredItemWarnings();
+  var unfilled = this.getUnfilledRequiredItems(current);
+  if (unfilled.length > 0) {
+    goog.array.forEach(unfilled, function(item) {
+      this.changeRequiredItemWarning(item, true);
+    }, this);
+    return false;
+  }
+
+  var pages = this.getPages();
+  var index = goog.array.indexOf(pages, current);
+  if (index < 0 || index == pages.length - 1) return false;
+  this.showPage_(pages[index + 1]);
+  return true;
+};
 
+
+/**
+ * Shows the previous page in paginated mode, skipping pages whose conditions
+ * are not met.
+ * @return {boolean} Whether the previous page is shown.
+ */
+vsaq.Questionnaire.prototype.previousPage = function() {
+  var pages = this.getPages();
+  var index = goog.array.indexOf(pages, this.getCurrentPage());
+  if (index <= 0) return false;
+  this.showPage_(pages[index - 1]);
+  return true;
+};
+
+
+/**
+ * Renders the todo list with the todos of all visible tip items.
+ * @private
+ */
+vsaq.Questionnaire.prototype.renderTodoList_ = function() {
+  var todos = [];
+  var todoStatus = {};
+  goog.object.forEach(this.items_, function(item) {
     if ((item instanceof vsaq.questionnaire.items.TipItem) &&
         (item.isVisible()) && (item.todo.length > 0)) {
       var todoKey = 'vsaq_todo_' + item.id;
@@ -355,15 +919,173 @@ vsaq.Questionnaire.prototype.reevaluateConditions_ = function() {
 };
 
 
+/**
+ * Returns the score an item adds to the risk score. Visible warnings add the
+ * weight of their severity, and groups add the scores of their checked
+ * choices.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {number} The score of the item.
+ * @private
+ */
+vsaq.Questionnaire.prototype.getItemScore_ = function(item) {
+  if (item instanceof vsaq.questionnaire.items.TipItem) {
+    if (!item.warn || !item.isVisible()) return 0;
+    return this.severityWeights_[item.severity || 'medium'] || 0;
+  } else if (item instanceof vsaq.questionnaire.items.GroupItem) {
+    return item.isVisible() ? item.getScore() : 0;
+  }
+  return 0;
+};
+
+
+/**
+ * Recomputes the risk score, and dispatches a SCORE_CHANGED event and updates
+ * the summary if it changed.
+ * @private
+ */
+vsaq.Questionnaire.prototype.updateScore_ = function() {
+  var score = {total: 0, blocks: {}};
+  goog.object.forEach(this.items_, function(item) {
+    var itemScore = this.getItemScore_(item);
+    if (!itemScore) return;
+    score.total += itemScore;
+    for (var parent = item.parentItem; parent; parent = parent.parentItem) {
+      if (parent instanceof vsaq.questionnaire.items.BlockItem)
+        score.blocks[parent.id] = (score.blocks[parent.id] || 0) + itemScore;
+    }
+  }, this);
+
+  if (goog.json.serialize(score) == goog.json.serialize(this.score_)) return;
+  this.score_ = score;
+  this.renderScoreSummary_();
+  this.dispatchEvent({
+    type: vsaq.Questionnaire.SCORE_CHANGED,
+    score: score
+  });
+};
+
+
+/**
+ * Renders the summary of the risk score, listing the overall score and the
+ * score of each block with warnings or scored choices.
+ * @private
+ */
+vsaq.Questionnaire.prototype.renderScoreSummary_ = function() {
+  var blocks = [];
+  // Items are stored in the order they appear in.
+  goog.object.forEach(this.items_, function(item, id) {
+    if (!this.score_.blocks[id] || item == this.rootBlock_) return;
+    blocks.push({
+      id: id,
+      captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(item.text),
+      score: this.score_.blocks[id]
+    });
+  }, this);
+
+  goog.dom.removeChildren(this.scoreSummaryElement_);
+  this.scoreSummaryElement_.appendChild(goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.scoreSummary,
+      {total: this.score_.total, blocks: blocks}));
+};
+
+
+/**
+ * Returns the current risk score of the questionnaire.
+ * @return {!vsaq.questionnaire.Score} The score.
+ */
+vsaq.Questionnaire.prototype.getScore = function() {
+  return this.score_;
+};
+
+
+/**
+ * Builds the index of which items need to be reevaluated when an item changes.
+ * An item depends on
+ * <ul>
+ * <li>all items referenced in its conditions,</li>
+ * <li>its parent item, as it is hidden with its parent, and</li>
+ * <li>for groups and matrices, the choices or cells in them, as they make up
+ *     their value.</li>
+ * </ul>
+ * Items with invalid conditions are left out, those are reported by
+ * `analyzeConditions`.
+ * @private
+ */
+vsaq.Questionnaire.prototype.buildDependencyIndex_ = function() {
+  var dependentItems = {};
+  var addDependency = function(id, dependentId) {
+    if (!dependentItems[id])
+      dependentItems[id] = [];
+    goog.array.insert(dependentItems[id], dependentId);
+  };
+
+  goog.object.forEach(this.items_, function(item, id) {
+    if (item.parentItem)
+      addDependency(item.parentItem.id, id);
+    if (item instanceof vsaq.questionnaire.items.GroupItem ||
+        item instanceof vsaq.questionnaire.items.MatrixItem) {
+      goog.array.forEach(item.getContainerItems(), function(choice) {
+        addDependency(choice.id, id);
+      });
+    }
+
+    goog.array.forEach(item.getConditionVariables(), function(variable) {
+      addDependency(vsaq.Questionnaire.getReferencedId(variable), id);
+    });
+  });
+  this.dependentItems_ = dependentItems;
+};
+
+
+/**
+ * Returns the ids of all items whose visibility might change when the given
+ * items change, i.e. all items that directly or transitively depend on them.
+ * @param {!Array.<string>} changedIds The ids of the changed items.
+ * @return {!Object.<string, boolean>} A set of the ids of the affected items.
+ * @private
+ */
+vsaq.Questionnaire.prototype.getAffectedItems_ = function(changedIds) {
+  var affectedItems = {};
+  var queue = goog.array.clone(changedIds);
+  while (queue.length) {
+    var dependents = this.dependentItems_[queue.shift()] || [];
+    goog.array.forEach(dependents, function(id) {
+      if (affectedItems[id]) return;
+      affectedItems[id] = true;
+      queue.push(id);
+    });
+  }
+  return affectedItems;
+};
+
+
+/**
+ * Returns the id of the item a variable in a condition refers to, e.g.
+ * "item_id" for "^item_id" or "item_id/yes".
+ * @param {string} variable The variable used in a condition.
+ * @return {string} The id of the referenced item.
+ */
+vsaq.Questionnaire.getReferencedId = function(variable) {
+  return variable.replace(/^[\^]?/, '').replace(/(\/yes|\/no|\/value)$/, '');
+};
+
+
 /**
  * Calls reevaluateConditions_ once every REEVALUATE_CONDITIONS_DELAY_.
+ * @param {!Array.<string>} changedIds The ids of the items that changed.
  * @private
  */
-vsaq.Questionnaire.prototype.reevaluateConditionsLater_ = function() {
+vsaq.Questionnaire.prototype.reevaluateConditionsLater_ = function(
+    changedIds) {
+  goog.array.forEach(changedIds, function(id) {
+    this.pendingChangedIds_[id] = true;
+  }, this);
   if (!goog.isDefAndNotNull(this.reevaluateTimer_)) {
     this.reevaluateTimer_ = setTimeout(goog.bind(function() {
+      var pendingChangedIds = goog.object.getKeys(this.pendingChangedIds_);
       this.reevaluateTimer_ = null;
-      this.reevaluateConditions_();
+      this.pendingChangedIds_ = {};
+      this.reevaluateConditions_(pendingChangedIds);
     }, this), this.REEVALUATE_CONDITIONS_DELAY_);
   }
 };
@@ -416,6 +1138,32 @@ vsaq.Questionnaire.prototype.setReadOnlyMode = function(isReadOnly) {
 };
 
 
+/**
+ * Sets or unsets print mode (i.e. only visible items will be shown, with their
+ * answers as text, for printing or archiving the questionnaire).
+ * @param {boolean} isPrintMode If true, the questionnaire will be rendered for
+ *     printing.
+ * @param {string=} opt_documentId An id of the questionnaire that is shown in
+ *     the header of the printed pages.
+ */
+vsaq.Questionnaire.prototype.setPrintMode = function(isPrintMode,
+    opt_documentId) {
+  this.printMode_ = isPrintMode;
+  this.printDocumentId_ = opt_documentId || '';
+};
+
+
+/**
+ * Sets or unsets paginated mode (i.e. only one top-level block will be shown
+ * at a time, with buttons to go to the next and previous ones).
+ * @param {boolean} isPaginated If true, the questionnaire will be shown in
+ *     paginated mode.
+ */
+vsaq.Questionnaire.prototype.setPaginatedMode = function(isPaginated) {
+  this.paginatedMode_ = isPaginated;
+};
+
+
 /**
  * Sets or unsets visibility of the todo section.
  * @param {boolean} isTodoVisible If true, the todo section will be rendered.
@@ -425,6 +1173,15 @@ vsaq.Questionnaire.prototype.setShowTodo = function(isTodoVisible) {
 };
 
 
+/**
+ * Sets or unsets visibility of the risk score summary.
+ * @param {boolean} isScoreVisible If true, the score summary will be rendered.
+ */
+vsaq.Questionnaire.prototype.setShowScore = function(isScoreVisible) {
+  this.showScore_ = isScoreVisible;
+};
+
+
 /**
  * Sets the recursive template for the questionnaire.
  * @param {!vsaq.questionnaire.items.ItemArray} template The template for
@@ -466,17 +1223,75 @@ vsaq.Questionnaire.prototype.setRecursiveTemplate =
       // These items might contain further items.
       if (currentObject['items'].length > 0)
         this.setRecursiveTemplate(currentObject['items'], item.id);
-    } else if (item instanceof vsaq.questionnaire.items.GroupItem) {
-      // Add all group items to the list of known items.
-      var containerItems = item.getContainerItems();
-      goog.array.forEach(containerItems, function(item) {
-        this.items_[item.id] = item;
-      }, this);
+    } else if (item instanceof vsaq.questionnaire.items.ContainerItem) {
+      // Add all group choices and list rows to the list of known items.
+      this.addContainedItems_(item);
+    }
+
+    if (item instanceof vsaq.questionnaire.items.ListItem) {
+      goog.events.listen(item.eventDispatcher,
+          vsaq.questionnaire.items.ListItem.ROWS_CHANGED,
+          goog.bind(this.listRowsChanged_, this));
     }
   }
 };
 
 
+/**
+ * Adds all items within a container (e.g. the choices of a group or the rows
+ * of a list and their items) to the list of known items.
+ * @param {!vsaq.questionnaire.items.ContainerItem} containerItem The
+ *     container.
+ * @private
+ */
+vsaq.Questionnaire.prototype.addContainedItems_ = function(containerItem) {
+  goog.array.forEach(containerItem.getContainerItems(), function(item) {
+    this.items_[item.id] = item;
+    if (item instanceof vsaq.questionnaire.items.ContainerItem)
+      this.addContainedItems_(item);
+  }, this);
+};
+
+
+/**
+ * Removes an item and all items within it from the list of known items and
+ * drops their answers.
+ * @param {!vsaq.questionnaire.items.Item} item The item to remove.
+ * @private
+ */
+vsaq.Questionnaire.prototype.removeItem_ = function(item) {
+  delete this.items_[item.id];
+  delete this.values_[item.id];
+  delete this.historyValues_[item.id];
+  if (item instanceof vsaq.questionnaire.items.ContainerItem) {
+    goog.array.forEach(item.getContainerItems(), function(containedItem) {
+      this.removeItem_(containedItem);
+    }, this);
+  }
+};
+
+
+/**
+ * Handles rows being added to or removed from a list. The items of new rows
+ * become known items, and those of removed rows are dropped along with their
+ * answers. This happens even while events are not captured (see `setValues`),
+ * as the list of known items always has to match the rows.
+ * @param {!Object} e The ROWS_CHANGED event.
+ * @private
+ */
+vsaq.Questionnaire.prototype.listRowsChanged_ = function(e) {
+  goog.array.forEach(e.removedRows, function(row) {
+    this.removeItem_(row);
+  }, this);
+  goog.array.forEach(e.addedRows, function(row) {
+    this.items_[row.id] = row;
+    this.addContainedItems_(row);
+  }, this);
+  this.rememberValues_(e.addedRows);
+  this.buildDependencyIndex_();
+};
+
+
 /**
  * Returns a promise that can be used to call a function once the
  * questionnaire has been loaded.
@@ -489,10 +1304,13 @@ vsaq.Questionnaire.prototype.done = function() {
 
 /**
  * Sets the template object for the questionnaire. If the template is not
- * in a valid format, a `vsaq.questionnaire.items.ParseError` is thrown.
+ * in a valid format, a `vsaq.questionnaire.items.ParseError` is thrown. If the
+ * conditions of items depend on each other in a circle, a
+ * `vsaq.questionnaire.QuestionnaireError` is thrown.
  * @param {!vsaq.questionnaire.items.ItemArray} template The template for
  *     questionnaire.
  * @throws {vsaq.questionnaire.items.ParseError}
+ * @throws {vsaq.questionnaire.QuestionnaireError}
  */
 vsaq.Questionnaire.prototype.setTemplate = function(template) {
   var tmp = /** @type {!vsaq.questionnaire.items.ItemArray} */ (
@@ -508,6 +1326,12 @@ vsaq.Questionnaire.prototype.setTemplate = function(template) {
       /** @type {!vsaq.questionnaire.items.BlockItem} */ (rootItem);
   this.items_ = {};
   this.items_[rootItem.id] = rootItem;
+  this.validated_ = false;
+  this.history_.clear();
+  this.severityWeights_ =
+      goog.object.clone(vsaq.Questionnaire.DEFAULT_SEVERITY_WEIGHTS);
+  goog.object.extend(this.severityWeights_,
+      this.rootBlock_.severityWeights || {});
 
   // Check if root element has right format.
   if (!currentObject.hasOwnProperty('items') || template.length > 1)
@@ -515,13 +1339,208 @@ vsaq.Questionnaire.prototype.setTemplate = function(template) {
         'All items must be contained in one root block.');
 
   this.setRecursiveTemplate(currentObject['items'], rootItem.id);
+  this.historyValues_ = {};
+  this.rememberValues_([rootItem]);
   this.template_ = template;
+  this.templateInfo_.hash = vsaq.Questionnaire.hashTemplate(template);
+
+  this.conditionDiagnostics_ = this.analyzeConditions();
+  goog.array.forEach(this.conditionDiagnostics_, function(diagnostic) {
+    this.logger_.warning(diagnostic.message);
+  }, this);
+  this.checkCircularConditions_();
+  this.buildDependencyIndex_();
 
   // Inform everyone that the questionnaire has been loaded.
   this.resolver_.resolve();
 };
 
 
+/**
+ * Throws an error if the conditions of items depend on each other in a circle,
+ * e.g. if item a is only shown if b is checked, and b only if a is visible.
+ * Such conditions can not be evaluated. Item x depends on item y if
+ * <ul>
+ * <li>the conditions of x refer to y, e.g. "y/yes" or "^y", or</li>
+ * <li>the conditions of x refer to a child of y, as y's conditions are
+ *     evaluated to find out whether the child is checked.</li>
+ * </ul>
+ * References with the visibility operator (e.g. "^y") only read whether y is
+ * currently shown, so a circle through them makes the visibility of the items
+ * depend on the order they are evaluated in.
+ * @throws {vsaq.questionnaire.QuestionnaireError} If there is a circle. The
+ *     message contains the path of the circle, e.g. "a -> b -> ^c -> a".
+ * @private
+ */
+vsaq.Questionnaire.prototype.checkCircularConditions_ = function() {
+  // For each item the list of items it depends on, with the label used for the
+  // dependency in the reported path.
+  var dependencies = {};
+  goog.object.forEach(this.items_, function(item, id) {
+    dependencies[id] = [];
+    goog.array.forEach(item.getConditionVariables(), function(variable) {
+      var refId = vsaq.Questionnaire.getReferencedId(variable);
+      var refItem = this.items_[refId];
+      if (!refItem) return;
+      if (variable.charAt(0) == '^') {
+        dependencies[id].push({id: refId, label: '^' + refId});
+        return;
+      }
+      dependencies[id].push({id: refId, label: refId});
+      if (refItem.parentItem)
+        dependencies[id].push(
+            {id: refItem.parentItem.id, label: refItem.parentItem.id});
+    }, this);
+  }, this);
+
+  // Depth first search, stopping at the first item that is already on the
+  // current path.
+  var done = {};
+  var path = [];
+  var pathIds = [];
+  var visit = function(id, label) {
+    var index = goog.array.indexOf(pathIds, id);
+    if (index != -1) {
+      throw new vsaq.questionnaire.QuestionnaireError(
+          'Circular dependency in conditions: ' +
+          goog.array.slice(path, index).concat(label).join(' -> '));
+    }
+    if (done[id]) return;
+    path.push(label);
+    pathIds.push(id);
+    goog.array.forEach(dependencies[id], function(dependency) {
+      visit(dependency.id, dependency.label);
+    });
+    path.pop();
+    pathIds.pop();
+    done[id] = true;
+  };
+  goog.object.forEach(this.items_, function(item, id) {
+    visit(id, id);
+  });
+};
+
+
+/**
+ * Returns the problems that were found in the conditions of the template when
+ * it was set.
+ * @return {!Array.<!vsaq.questionnaire.ConditionDiagnostic>} The problems.
+ */
+vsaq.Questionnaire.prototype.getConditionDiagnostics = function() {
+  return this.conditionDiagnostics_;
+};
+
+
+/**
+ * Checks the conditions of all items without evaluating them. This finds
+ * problems in conditions that would otherwise only show up once the condition
+ * is evaluated, which might never happen if the item is nested in a hidden
+ * block. The conditions of choices (`choicesConds`) are covered, as they are
+ * set on the items created for the choices.
+ * <p>Conditions are checked for syntax errors, references to items that do not
+ * exist, `/value`, `/yes` and `/no` suffixes used on items that do not support
+ * them, and calls to unknown functions.</p>
+ * @return {!Array.<!vsaq.questionnaire.ConditionDiagnostic>} All problems that
+ *     were found, in the order of the items in the questionnaire.
+ */
+vsaq.Questionnaire.prototype.analyzeConditions = function() {
+  var diagnostics = [];
+  goog.object.forEach(this.items_, function(item) {
+    this.analyzeExpression_(item, false, diagnostics);
+    this.analyzeExpression_(item, true, diagnostics);
+  }, this);
+  return diagnostics;
+};
+
+
+/**
+ * Checks the conditions or required conditions of an item (see
+ * `analyzeConditions`).
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @param {boolean} required Whether to check the required conditions
+ *     (`requiredIf`) instead of the conditions.
+ * @param {!Array.<!vsaq.questionnaire.ConditionDiagnostic>} diagnostics The
+ *     problems found so far, to which new problems are added.
+ * @private
+ */
+vsaq.Questionnaire.prototype.analyzeExpression_ = function(item, required,
+    diagnostics) {
+  var expression = required ? item.requiredConditions : item.conditions;
+  if (!expression) return;
+  var kind = required ? 'requiredIf' : 'condition';
+  var addDiagnostic = function(reference, message) {
+    diagnostics.push({
+      itemId: item.id,
+      conditions: expression,
+      reference: reference,
+      message: message
+    });
+  };
+
+  var parsedConditions;
+  try {
+    parsedConditions = required ? item.getParsedRequiredConditions() :
+        item.getParsedConditions();
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.items.ParseError))
+      throw e;
+    addDiagnostic(null, e.message);
+    return;
+  }
+
+  goog.array.forEach(item.getConditionVariables(required), function(variable) {
+    var problem = this.checkConditionReference_(variable);
+    if (problem)
+      addDiagnostic(variable, problem + ' in ' + kind + ' of item ' +
+          item.id + ': "' + expression + '"');
+  }, this);
+
+  vsaq.questionnaire.utils.forEachNode(parsedConditions, function(node) {
+    if (node.type != vsaq.questionnaire.utils.NodeType.CALL) return;
+    var name = /** @type {string} */ (node.name);
+    var problem = vsaq.questionnaire.utils.checkFunctionCall(
+        name, node.args.length);
+    if (problem)
+      addDiagnostic(name, goog.string.capitalize(problem) + ' in ' + kind +
+          ' of item ' + item.id + ': "' + expression + '"');
+  });
+};
+
+
+/**
+ * Checks whether a variable used in a condition can be resolved when the
+ * condition is evaluated (see
+ * `vsaq.questionnaire.items.Item.prototype.evaluateConditions`).
+ * @param {string} variable The variable, e.g. "^item_id" or "item_id/yes".
+ * @return {?string} A description of the problem, or null if there is none.
+ * @private
+ */
+vsaq.Questionnaire.prototype.checkConditionReference_ = function(variable) {
+  if (variable == 'false') return null;
+
+  var refId = vsaq.Questionnaire.getReferencedId(variable);
+  var refItem = this.items_[refId];
+  if (!refItem)
+    return 'Unknown item `' + refId + '`';
+
+  // The visibility operator ^ can be used on any item.
+  if (variable.charAt(0) == '^') return null;
+
+  var suffix = variable.substring(refId.length);
+  if (suffix == '/value' &&
+      !(refItem instanceof vsaq.questionnaire.items.ValueItem))
+    return '`' + variable + '` used on item without a value';
+  if ((suffix == '/yes' || suffix == '/no') &&
+      !(refItem instanceof vsaq.questionnaire.items.YesNoItem))
+    return '`' + variable + '` used on item that is not a yes/no question';
+  if (!suffix && !(refItem instanceof vsaq.questionnaire.items.ValueItem) &&
+      typeof refItem.getValue != 'function')
+    return 'Item `' + refId + '` has no value, use `^' + refId +
+        '` to test whether it is visible';
+  return null;
+};
+
+
 /**
  * Merges multiple templates and sets them as questionnaire.
  *
@@ -688,13 +1707,34 @@ vsaq.Questionnaire.prototype.addNamespaceToIds_ = function(items, namespace) {
  * @param {boolean=} opt_scrollThere If true, scrolls to the item changed.
  */
 vsaq.Questionnaire.prototype.setValues = function(values, opt_scrollThere) {
+  // The whole load is undone at once.
+  var before = {};
+  var after = {};
+  goog.object.forEach(values, function(value, id) {
+    var item = this.items_[id];
+    if (item instanceof vsaq.questionnaire.items.ValueItem ||
+        item instanceof vsaq.questionnaire.items.ListItem) {
+      before[id] = vsaq.Questionnaire.toHistoryValue_(item.getValue());
+      after[id] = vsaq.Questionnaire.toHistoryValue_(value);
+    }
+  }, this);
+  this.history_.record(before, after);
+
   this.values_ = values;
 
   // Set the new values. We need to disable events during that time, as
   // we don't want to dispatch CHANGE events for change *to* the desired state.
   this.isCapturingEvents_ = false;
+  // Lists need to have the right number of rows before the items within the
+  // rows can be set.
+  goog.object.forEach(this.values_, function(value, id) {
+    var item = this.items_[id];
+    if (item instanceof vsaq.questionnaire.items.ListItem)
+      item.setRowCount(Number(value));
+  }, this);
   goog.object.forEach(this.values_, function(value, id) {
     var item = this.items_[id];
+    if (item instanceof vsaq.questionnaire.items.ListItem) return;
     if (!item) {
       this.logger_.warning(
           'Answers refer to item "' + id + '", which does not seem to exist.');
@@ -710,8 +1750,11 @@ vsaq.Questionnaire.prototype.setValues = function(values, opt_scrollThere) {
     if (opt_scrollThere) item.container.scrollIntoViewIfNeeded(true);
   }, this);
   this.isCapturingEvents_ = true;
+  this.rememberValues_([this.rootBlock_]);
 
   this.reevaluateConditions_();
+  if (this.validated_)
+    this.validate();
 };
 
 
@@ -724,6 +1767,55 @@ vsaq.Questionnaire.prototype.getValuesAsJson = function() {
 };
 
 
+/**
+ * Returns the answers of the questionnaire.
+ * @return {!Object.<string, string>} A dictionary containing the IDs of the
+ *     questions as keys, and the values as values.
+ */
+vsaq.Questionnaire.prototype.getValues = function() {
+  return this.values_;
+};
+
+
+/**
+ * Sets the information about the template that is exported with the answers.
+ * @param {string} name The name of the template.
+ * @param {?number=} opt_version The version of the template, as given in it.
+ * @param {!Array.<!Object>=} opt_migrations The migrations declared in the
+ *     template.
+ */
+vsaq.Questionnaire.prototype.setTemplateInfo = function(name, opt_version,
+    opt_migrations) {
+  this.templateInfo_ = {
+    name: name,
+    version: goog.isDefAndNotNull(opt_version) ? Number(opt_version) : null,
+    hash: this.templateInfo_.hash,
+    migrations: opt_migrations || []
+  };
+};
+
+
+/**
+ * Returns the information about the template of the questionnaire.
+ * @return {!vsaq.questionnaire.TemplateInfo} The information.
+ */
+vsaq.Questionnaire.prototype.getTemplateInfo = function() {
+  return this.templateInfo_;
+};
+
+
+/**
+ * Returns a hash of the items of a template.
+ * @param {!vsaq.questionnaire.items.ItemArray} template The template.
+ * @return {string} The SHA-1 hash of the template as hex string.
+ */
+vsaq.Questionnaire.hashTemplate = function(template) {
+  var sha1 = new goog.crypt.Sha1();
+  sha1.update(goog.crypt.stringToUtf8ByteArray(goog.json.serialize(template)));
+  return goog.crypt.byteArrayToHex(sha1.digest());
+};
+
+
 /**
  * Returns the template of the questionnaire as array of QuestionnaireItems.
  * @return {!vsaq.questionnaire.items.ItemArray} The current questionnaire's
@@ -772,11 +1864,19 @@ vsaq.Questionnaire.prototype.render = function() {
   this.isCapturingEvents_ = false;
 
   goog.dom.removeChildren(this.rootElement_);
-  if (this.rootBlock_) {
+  // In print mode, the view is rendered once conditions are evaluated.
+  if (this.rootBlock_ && !this.printMode_) {
     this.rootElement_.appendChild(this.rootBlock_.container);
+    if (this.paginatedMode_) {
+      this.rootElement_.appendChild(this.pageNavigationElement_);
+    }
     if (this.showTodo_) {
       this.rootElement_.appendChild(this.todoListElement_);
     }
+    if (this.showScore_) {
+      this.renderScoreSummary_();
+      this.rootElement_.appendChild(this.scoreSummaryElement_);
+    }
   }
 
   this.isCapturingEvents_ = true;
@@ -805,6 +1905,16 @@ vsaq.Questionnaire.prototype.setTodoListElement = function(el) {
 };
 
 
+/**
+ * Specify a container for the risk score summary.
+ * @param {!Element} el Element to contain the score summary.
+ */
+vsaq.Questionnaire.prototype.setScoreSummaryElement = function(el) {
+  this.scoreSummaryElement_ = el;
+  this.renderScoreSummary_();
+};
+
+
 /**
  *
  * @param {!vsaq.questionnaire.items.Item} item Questionnaire item.
@@ -834,22 +1944,180 @@ vsaq.Questionnaire.prototype.unsetRequiredItemWarnings = function() {
 /**
  * Return an array of items that are required to be answered but
  * not currently. Empty array if they don't exist.
+ * @param {vsaq.questionnaire.items.ContainerItem=} opt_container If set, only
+ *     items within this container are returned.
  * @return {!vsaq.questionnaire.items.ItemArray} An array of items
  * that are required but not answered yet.
  */
-vsaq.Questionnaire.prototype.getUnfilledRequiredItems = function() {
+vsaq.Questionnaire.prototype.getUnfilledRequiredItems = function(
+    opt_container) {
   var unfilled = [];
-  goog.structs.forEach(this.items_, function(item, id, items) {
-    if ((item instanceof vsaq.questionnaire.items.ValueItem ||
-         item instanceof vsaq.questionnaire.items.GroupItem) &&
-        item.isUnfilled()) {
+  goog.structs.forEach(this.items_, function(item) {
+    if (!(item instanceof vsaq.questionnaire.items.ValueItem ||
+          item instanceof vsaq.questionnaire.items.GroupItem ||
+          item instanceof vsaq.questionnaire.items.MatrixItem) ||
+        (opt_container && !this.isWithin_(item, opt_container)))
+      return;
+    // Items hidden by their conditions never need to be filled, even while
+    // they are shown (e.g. in unrolled mode or before the questionnaire is
+    // rendered).
+    if (!this.meetsConditions_(item))
+      return;
+    item.requiredByConditions = this.evaluateRequiredConditionsSafely_(item);
+    if (item.isUnfilled())
       unfilled.push(item);
-    }
-  });
+  }, this);
   return unfilled;
 };
 
 
+/**
+ * Checks the answers against the validation rules of their items and shows
+ * the messages of failed rules under the items. Items hidden by their
+ * conditions are not checked.
+ * @return {!Array.<!vsaq.questionnaire.ValidationFailure>} The items whose
+ *     answers fail validation, in the order they appear in. Empty if all
+ *     answers are valid.
+ */
+vsaq.Questionnaire.prototype.validate = function() {
+  this.validated_ = true;
+  var failures = [];
+  goog.object.forEach(this.items_, function(item) {
+    if (!(item instanceof vsaq.questionnaire.items.ValueItem) ||
+        !item.validationRules.length)
+      return;
+    var messages =
+        this.meetsConditions_(item) ? item.validate(this.items_) : [];
+    item.setValidationErrors(messages);
+    if (messages.length)
+      failures.push({item: item, messages: messages});
+  }, this);
+  return failures;
+};
+
+
+/**
+ * Checks whether the conditions of an item and of all containers it is in are
+ * met, regardless of whether it is currently shown.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {boolean} Whether all conditions are met.
+ * @private
+ */
+vsaq.Questionnaire.prototype.meetsConditions_ = function(item) {
+  for (var current = item; current; current = current.parentItem) {
+    if (!this.evaluateConditionsSafely_(current)) return false;
+  }
+  return true;
+};
+
+
+/**
+ * Evaluates the conditions of an item. Conditions that can not be evaluated,
+ * e.g. because they depend on each other in a circle that was not detected
+ * when the template was set, are logged and hide the item.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {boolean} Whether the conditions of the item evaluate to true.
+ * @private
+ */
+vsaq.Questionnaire.prototype.evaluateConditionsSafely_ = function(item) {
+  try {
+    return item.evaluateConditions(this.items_);
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.items.ParseError))
+      throw e;
+    this.logger_.warning('Hiding item ' + item.id + ': ' + e.message);
+    return false;
+  }
+};
+
+
+/**
+ * Evaluates the required conditions (`requiredIf`) of an item. Required
+ * conditions that can not be evaluated are logged and do not require the item.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @return {boolean} Whether the required conditions evaluate to true.
+ * @private
+ */
+vsaq.Questionnaire.prototype.evaluateRequiredConditionsSafely_ = function(
+    item) {
+  try {
+    return item.evaluateRequiredConditions(this.items_);
+  } catch (e) {
+    if (!(e instanceof vsaq.questionnaire.items.ParseError))
+      throw e;
+    this.logger_.warning('Not requiring item ' + item.id + ': ' + e.message);
+    return false;
+  }
+};
+
+
+/**
+ * Checks whether an item is nested within a container.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ * @param {!vsaq.questionnaire.items.ContainerItem} container The container.
+ * @return {boolean} Whether the container is an ancestor of the item.
+ * @private
+ */
+vsaq.Questionnaire.prototype.isWithin_ = function(item, container) {
+  for (var parent = item.parentItem; parent; parent = parent.parentItem) {
+    if (parent == container) return true;
+  }
+  return false;
+};
+
+
+/**
+ * Returns the items that still need an answer: first the required items that
+ * are not filled, then all other visible questions without answer, each in the
+ * order they appear in. Choices of groups and cells of matrices are not
+ * returned on their own.
+ * @return {!vsaq.questionnaire.items.ItemArray} The items.
+ */
+vsaq.Questionnaire.prototype.getUnansweredItems = function() {
+  var unfilled = this.getUnfilledRequiredItems();
+  var unanswered = [];
+  goog.object.forEach(this.items_, function(item) {
+    // Radio buttons can't tell whether they are answered on their own.
+    if (!(item instanceof vsaq.questionnaire.items.ValueItem) ||
+        item instanceof vsaq.questionnaire.items.RadioItem ||
+        item.parentItem instanceof vsaq.questionnaire.items.GroupItem ||
+        item.parentItem instanceof vsaq.questionnaire.items.MatrixItem)
+      return;
+    if (item.isVisible() && !item.isAnswered() &&
+        !goog.array.contains(unfilled, item))
+      unanswered.push(item);
+  });
+  return goog.array.concat(unfilled, unanswered);
+};
+
+
+/**
+ * Scrolls to an item and focuses its first input. In paginated mode, the page
+ * containing the item is shown first.
+ * @param {!vsaq.questionnaire.items.Item} item The item.
+ */
+vsaq.Questionnaire.prototype.focusItem = function(item) {
+  if (this.paginatedMode_) {
+    var page = goog.array.find(this.getPages(), function(page) {
+      return page == item || this.isWithin_(item, page);
+    }, this);
+    if (page && page != this.getCurrentPage())
+      this.showPage_(page);
+  }
+
+  item.container.scrollIntoView();
+  var input = goog.dom.findNode(item.container, function(node) {
+    return node.nodeType == goog.dom.NodeType.ELEMENT &&
+        (node.tagName == goog.dom.TagName.INPUT ||
+         node.tagName == goog.dom.TagName.SELECT ||
+         node.tagName == goog.dom.TagName.TEXTAREA) &&
+        node.type != 'hidden';
+  });
+  if (input)
+    input.focus();
+};
+
+
 
 // The following questionnaire items are necessary for the questionnaire and
 // therefore added to the factory.
@@ -858,8 +2126,12 @@ var items = vsaq.questionnaire.items;
 items.factory.clear();
 items.factory.add(items.BoxItem.TYPE, items.BoxItem.parse);
 items.factory.add(items.CheckItem.TYPE, items.CheckItem.parse);
+items.factory.add(items.DateItem.TYPE, items.DateItem.parse);
 items.factory.add(items.InfoItem.TYPE, items.InfoItem.parse);
 items.factory.add(items.LineItem.TYPE, items.LineItem.parse);
+items.factory.add(items.ListItem.TYPE, items.ListItem.parse);
+items.factory.add(items.MatrixItem.TYPE, items.MatrixItem.parse);
+items.factory.add(items.NumberItem.TYPE, items.NumberItem.parse);
 items.factory.add(items.RadioItem.TYPE, items.RadioItem.parse);
 items.factory.add(items.SpacerItem.TYPE, items.SpacerItem.parse);
 items.factory.add(items.BlockItem.TYPE, items.BlockItem.parse);
@@ -868,4 +2140,6 @@ items.factory.add(items.UploadItem.TYPE, items.UploadItem.parse);
 items.factory.add(items.YesNoItem.TYPE, items.YesNoItem.parse);
 items.factory.add(items.CheckgroupItem.TYPE, items.CheckgroupItem.parse);
 items.factory.add(items.RadiogroupItem.TYPE, items.RadiogroupItem.parse);
+items.factory.add(items.SelectItem.TYPE, items.SelectItem.parse);
+items.factory.add(items.MultiselectItem.TYPE, items.MultiselectItem.parse);
 });  // goog.scope
@@ -45,6 +45,7 @@ goog.require('vsaq.questionnaire.items.Item');
 goog.require('vsaq.questionnaire.items.ValueItem');
 goog.require('vsaq.questionnaire.items.factory');
 goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
 goog.require('vsaq.utils');
 
 
@@ -141,6 +142,14 @@ vsaq.QuestionnaireEditor = function() {
    */
   this.editorWindowDOM_ = null;
 
+  /**
+   * The element listing the functions that can be used in conditions. It is
+   * optional, if it doesn't exist the functions are not listed.
+   * @type {?Element}
+   * @private
+   */
+  this.functionListElement_ = null;
+
   this.initEditorDOMElements_();
 
   /**
@@ -236,6 +245,8 @@ vsaq.QuestionnaireEditor.prototype.initEditorDOMElements_ = function() {
   this.editorWindowDOM_ = goog.dom.getElement('vsaq_editor');
   if (!this.editorWindowDOM_)
     throw new goog.debug.Error('Can\'t find the template editor.');
+
+  this.functionListElement_ = goog.dom.getElement('vsaq_editor_functions');
 };
 
 
@@ -300,6 +311,26 @@ vsaq.QuestionnaireEditor.prototype.initEditor_ = function() {
 vsaq.QuestionnaireEditor.prototype.displayEditor_ = function() {
   this.setQuestionnaireEditability_();
   this.exportTemplate();
+  this.renderFunctionList_();
+};
+
+
+/**
+ * Lists the functions that can be used in conditions, so template authors know
+ * what is available.
+ * @private
+ */
+vsaq.QuestionnaireEditor.prototype.renderFunctionList_ = function() {
+  if (!this.functionListElement_)
+    return;
+  var functions = goog.array.map(vsaq.questionnaire.utils.getFunctions(),
+      function(info) {
+        return {signature: info.signature, description: info.description};
+      });
+  goog.dom.removeChildren(this.functionListElement_);
+  this.functionListElement_.appendChild(goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.conditionFunctions,
+      {functions: functions}));
 };
 
 
@@ -28,6 +28,7 @@ goog.require('goog.testing.asserts');
 goog.require('goog.testing.jsunit');
 goog.require('vsaq.Questionnaire');
 goog.require('vsaq.QuestionnaireEditor');
+goog.require('vsaq.questionnaire.utils');
 
 
 
@@ -196,6 +197,19 @@ function testParseTemplate() {
 }
 
 
+/**
+ * Tests that the functions available in conditions are listed.
+ */
+function testFunctionList() {
+  var functionList = goog.dom.getElement('vsaq_editor_functions');
+  var text = goog.dom.getTextContent(functionList);
+  goog.array.forEach(vsaq.questionnaire.utils.getFunctions(), function(info) {
+    assertContains(info.signature, text);
+  });
+  assertContains('matches(string, regexp, flags?)', text);
+}
+
+
 /**
  * Test if the template area reacts correclty when clicked.
  */
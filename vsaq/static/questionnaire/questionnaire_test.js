@@ -31,10 +31,17 @@ goog.require('vsaq.questionnaire.items.BlockItem');
 goog.require('vsaq.questionnaire.items.BoxItem');
 goog.require('vsaq.questionnaire.items.CheckItem');
 goog.require('vsaq.questionnaire.items.CheckgroupItem');
+goog.require('vsaq.questionnaire.items.DateItem');
 goog.require('vsaq.questionnaire.items.InfoItem');
 goog.require('vsaq.questionnaire.items.LineItem');
+goog.require('vsaq.questionnaire.items.ListItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.MultiselectItem');
+goog.require('vsaq.questionnaire.items.NumberItem');
+goog.require('vsaq.questionnaire.items.ParseError');
 goog.require('vsaq.questionnaire.items.RadioItem');
 goog.require('vsaq.questionnaire.items.RadiogroupItem');
+goog.require('vsaq.questionnaire.items.SelectItem');
 goog.require('vsaq.questionnaire.items.SpacerItem');
 goog.require('vsaq.questionnaire.items.TipItem');
 goog.require('vsaq.questionnaire.items.UploadItem');
@@ -145,16 +152,22 @@ function testRenderersComplete() {
   assert(vsaq.questionnaire.items.BoxItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.CheckgroupItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.CheckItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.DateItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.InfoItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.LineItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.ListItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.MatrixItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.MultiselectItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.NumberItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.RadiogroupItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.RadioItem.TYPE in parsers);
+  assert(vsaq.questionnaire.items.SelectItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.SpacerItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.TipItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.YesNoItem.TYPE in parsers);
   assert(vsaq.questionnaire.items.UploadItem.TYPE in parsers);
 
-  assertEquals(12, goog.object.getCount(parsers));
+  assertEquals(18, goog.object.getCount(parsers));
 }
 
 
@@ -168,6 +181,99 @@ function testSetTemplate() {
 }
 
 
+/**
+ * Tests that problems in conditions are reported when the template is set.
+ */
+function testConditionDiagnostics() {
+  BLOCK2.cond = 'yesno_id/yes && missing_id';
+  TIP.cond = 'line_id/yes';
+  WHYTIP.cond = 'matchez(line_id/value, "x")';
+  RADIO1.cond = '^tip_id && yesno_id/no && line_id/value == "x"';
+  CHECK.cond = 'radio_id &&';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  var diagnostics = q.getConditionDiagnostics();
+
+  assertEquals(4, diagnostics.length);
+  assertEquals('missing_id', diagnostics[0].reference);
+  assertContains('Unknown item `missing_id`', diagnostics[0].message);
+  assertEquals('tip_id', diagnostics[1].itemId);
+  assertEquals('line_id/yes', diagnostics[1].reference);
+  assertEquals('whytip_id', diagnostics[2].itemId);
+  assertEquals('matchez', diagnostics[2].reference);
+  assertEquals('check_id', diagnostics[3].itemId);
+  assertNull(diagnostics[3].reference);
+  assertContains('unexpected end of expression', diagnostics[3].message);
+}
+
+
+/**
+ * Tests that only items depending on a changed item are reevaluated.
+ */
+function testIncrementalReevaluation() {
+  BLOCK2.id = 'block2_id';
+  BLOCK2.cond = 'yesno_id/yes';
+  RADIO1.cond = '^tip_id';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+
+  assertSameElements(['block2_id', 'tip_id', 'whytip_id', 'radio_id'],
+      goog.object.getKeys(q.getAffectedItems_(['yesno_id'])));
+  assertTrue(goog.object.isEmpty(q.getAffectedItems_(['line_id'])));
+
+  assertFalse(q.getItem('tip_id').isVisible());
+  assertFalse(q.getItem('radio_id').isVisible());
+  q.getItem('yesno_id').setValue('yes');
+  assertTrue(q.getItem('tip_id').isVisible());
+  assertTrue(q.getItem('radio_id').isVisible());
+}
+
+
+/**
+ * Tests that circular dependencies between conditions are rejected.
+ */
+function testCircularConditions() {
+  LINE.cond = 'yesno_id/yes';
+  YESNO.cond = 'tip_id';
+  TIP.cond = 'line_id/value == "x"';
+
+  var q = new vsaq.Questionnaire(root);
+  var e = assertThrows(function() { q.setTemplate(QUESTIONNAIRE); });
+  assertTrue(e instanceof vsaq.questionnaire.QuestionnaireError);
+  assertContains('line_id -> yesno_id -> tip_id -> line_id', e.message);
+
+  // Circles through the visibility operator are rejected as well.
+  YESNO.cond = '^tip_id';
+  e = assertThrows(function() { q.setTemplate(QUESTIONNAIRE); });
+  assertTrue(e instanceof vsaq.questionnaire.QuestionnaireError);
+  assertContains('line_id -> yesno_id -> ^tip_id -> line_id', e.message);
+
+  // An item in a block can not be referenced by the block's conditions.
+  LINE.cond = '';
+  YESNO.cond = '';
+  TIP.cond = '';
+  BLOCK2.id = 'block2_id';
+  BLOCK2.cond = 'whytip_id';
+  e = assertThrows(function() { q.setTemplate(QUESTIONNAIRE); });
+  assertContains('block2_id -> whytip_id -> block2_id', e.message);
+
+  // Items whose conditions turn out to be circular when they are evaluated
+  // are hidden.
+  BLOCK2.cond = '';
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  q.getItem('line_id').conditions = 'yesno_id/yes';
+  q.getItem('yesno_id').conditions = 'line_id';
+  q.setValues({'box_id': 'x'});
+  assertFalse(q.getItem('line_id').isVisible());
+  assertFalse(q.getItem('yesno_id').isVisible());
+  assertTrue(q.getItem('box_id').isVisible());
+}
+
+
 /**
  * Tests how many questions are unanswered in a block.
  * This test should probably really be in blockitems_test.js, but since we
@@ -189,6 +295,8 @@ function testUnansweredCount() {
   assertEquals(1, q.rootBlock_.getUnansweredCount());
   q.setValues({'yesno_id': 'yes', 'radio_id': 'checked'});
   assertEquals(1, q.rootBlock_.getUnansweredCount());
+  // Check items count as questions, but are always answered.
+  assertEquals(5, q.rootBlock_.getQuestionCount());
 }
 
 
@@ -325,6 +433,166 @@ function testSetValues() {
 }
 
 
+/**
+ * Tests lists, whose rows are added to and removed from the questionnaire.
+ */
+function testListItem() {
+  var LIST = {
+    id: 'list_id',
+    type: 'list',
+    text: HTML_STRING,
+    minRows: 1,
+    items: [{
+      id: 'name',
+      type: 'line',
+      text: HTML_STRING
+    }, {
+      id: 'check',
+      type: 'check',
+      text: HTML_STRING
+    }, {
+      id: 'tip',
+      type: 'tip',
+      text: HTML_STRING,
+      cond: 'check'
+    }]
+  };
+  BLOCK1.items.push(LIST);
+  TIP.cond = 'rowCount(list_id) > 1';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  assertEquals(0, q.getConditionDiagnostics().length);
+  var list = q.getItem(LIST.id);
+  assertEquals('list_id[0].check', q.getItem('list_id[0].tip').conditions);
+  assertFalse(q.getItem(TIP.id).isVisible());
+  assertFalse(q.getItem('list_id[0].tip').isVisible());
+
+  list.addRow();
+  assertNotNull(q.getItem('list_id[1].name'));
+  assertTrue(q.getItem(TIP.id).isVisible());
+  q.getItem('list_id[1].name').setValue('name1');
+  q.getItem('list_id[1].check').setValue('checked');
+  assertTrue(q.getItem('list_id[1].tip').isVisible());
+  assertFalse(q.getItem('list_id[0].tip').isVisible());
+
+  var values = JSON.parse(q.getValuesAsJson());
+  assertEquals(2, values[LIST.id]);
+  assertEquals('name1', values['list_id[1].name']);
+
+  list.removeRow(0);
+  assertNull(q.getItem('list_id[1].name'));
+  assertEquals('name1', q.getItem('list_id[0].name').getValue());
+  assertTrue(q.getItem('list_id[0].tip').isVisible());
+  assertFalse(q.getItem(TIP.id).isVisible());
+  values = JSON.parse(q.getValuesAsJson());
+  assertEquals(1, values[LIST.id]);
+  assertEquals('name1', values['list_id[0].name']);
+  assertFalse('list_id[1].name' in values);
+
+  values = {};
+  values[LIST.id] = 3;
+  values['list_id[2].name'] = 'name2';
+  q.setValues(values);
+  assertEquals(3, list.getValue());
+  assertEquals('name2', q.getItem('list_id[2].name').getValue());
+  assertTrue(q.getItem(TIP.id).isVisible());
+}
+
+
+/**
+ * Tests that the cells of a matrix can be used in conditions and are stored in
+ * the answers.
+ */
+function testMatrixItem() {
+  var MATRIX = {
+    id: 'matrix_id',
+    type: 'matrix',
+    text: HTML_STRING,
+    required: true,
+    rows: [{'pii': 'Personal data'}, {'cc': 'Credit cards'}],
+    columns: [{'low': 'Low'}, {'high': 'High'}]
+  };
+  BLOCK1.items.push(MATRIX);
+  TIP.cond = 'matrix_id.cc.high';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  assertEquals(0, q.getConditionDiagnostics().length);
+  assertFalse(q.getItem(TIP.id).isVisible());
+  assertContains(q.getItem(MATRIX.id), q.getUnfilledRequiredItems());
+
+  q.getItem('matrix_id.cc.high').setValue('checked');
+  assertTrue(q.getItem(TIP.id).isVisible());
+  q.getItem('matrix_id.cc.low').setValue('checked');
+  assertFalse(q.getItem(TIP.id).isVisible());
+  var values = JSON.parse(q.getValuesAsJson());
+  assertEquals('checked', values['matrix_id.cc.low']);
+  assertEquals('', values['matrix_id.cc.high']);
+
+  values = {};
+  values['matrix_id.pii.high'] = 'checked';
+  values['matrix_id.cc.high'] = 'checked';
+  q.setValues(values);
+  assertEquals('high', q.getItem(MATRIX.id).getSelectedColumn('cc'));
+  assertTrue(q.getItem(TIP.id).isVisible());
+  assertNotContains(q.getItem(MATRIX.id), q.getUnfilledRequiredItems());
+}
+
+
+/**
+ * Tests that the risk score is computed from warnings and scored choices.
+ */
+function testScore() {
+  var GROUP = {
+    id: 'group_id',
+    type: 'radiogroup',
+    text: HTML_STRING,
+    defaultChoice: false,
+    choices: [{'plain': 'HTTP'}, {'tls': 'HTTPS'}],
+    choicesScores: [{'plain': 4}]
+  };
+  BLOCK2.items.push(GROUP);
+  BLOCK1.severityWeights = {'high': 5};
+  TIP.warn = 'yes';
+  TIP.cond = 'yesno_id/yes';
+  WHYTIP.warn = 'yes';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.setShowScore(true);
+  q.render();
+  var block1 = q.getRootBlock();
+  var block2 = q.getItem(TIP.id).parentItem;
+  assertEquals(5, q.getScore().total);
+  assertEquals(5, q.getScore().blocks[block1.id]);
+  assertEquals(5, q.getScore().blocks[block2.id]);
+
+  var scores = [];
+  goog.events.listen(q, vsaq.Questionnaire.SCORE_CHANGED, function(e) {
+    scores.push(e.score.total);
+  });
+  // The score is updated even though no condition refers to the choice.
+  q.getItem('plain').setValue('checked');
+  q.getItem('yesno_id').setValue('yes');
+  // Warnings without severity are weighted as medium.
+  assertArrayEquals([9, 10], scores);
+  assertEquals('10',
+      goog.dom.getTextContent(goog.dom.getElement('vsaq_score_total')));
+
+  q.getItem('tls').setValue('checked');
+  assertEquals(6, q.getScore().total);
+
+  // Severity weights and choice scores are kept when the template is exported.
+  assertObjectEquals({'high': 5},
+      block1.exportItem().get('severityWeights'));
+  assertObjectEquals([{'plain': 4}],
+      q.getItem(GROUP.id).exportItem().get('choicesScores'));
+}
+
+
 /**
  * Tests whether the questionnaire renders correctly.
  */
@@ -555,6 +823,194 @@ function testGetUnfilledRequiredItems() {
 }
 
 
+/**
+ * Tests items that are only required if their requiredIf conditions are met,
+ * and that hidden items are never unfilled.
+ */
+function testRequiredIf() {
+  LINE.requiredIf = 'yesno_id/yes';
+  BOX.cond = 'yesno_id/no';
+  CHECK.requiredIf = 'missing_id';
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  var getIds = function() {
+    return goog.array.map(q.getUnfilledRequiredItems(), function(item) {
+      return item.id;
+    });
+  };
+  var diagnostics = q.getConditionDiagnostics();
+  assertEquals(1, diagnostics.length);
+  assertEquals('check_id', diagnostics[0].itemId);
+  assertContains('in requiredIf of item check_id', diagnostics[0].message);
+  // Required conditions that can not be evaluated do not require the item,
+  // but the other required items still need to be filled.
+  assertArrayEquals(['yesno_id'], getIds());
+  CHECK.requiredIf = 'yesno_id/yes &&';
+  q.setTemplate(QUESTIONNAIRE);
+  assertEquals(1, q.getConditionDiagnostics().length);
+  assertArrayEquals(['yesno_id'], getIds());
+  CHECK.requiredIf = '';
+  q.setTemplate(QUESTIONNAIRE);
+
+  // The box is hidden by its condition, even before the questionnaire is
+  // rendered.
+  assertArrayEquals(['yesno_id'], getIds());
+  q.setUnrolledMode(true);
+  q.render();
+  q.setValues({'yesno_id': 'yes'});
+  assertArrayEquals(['line_id'], getIds());
+  q.setValues({'yesno_id': 'yes', 'line_id': 'blah'});
+  assertArrayEquals([], getIds());
+  q.setValues({'yesno_id': 'no', 'line_id': ''});
+  assertArrayEquals(['box_id'], getIds());
+
+  var line = q.getItem('line_id');
+  assertTrue(line.getPropertyInformation('requiredIf').metadata);
+  assertEquals('yesno_id/yes', line.exportItem().get('requiredIf'));
+  assertUndefined(q.getItem('box_id').exportItem().get('requiredIf'));
+
+  // Items that can not be required do not accept requiredIf.
+  INFO.requiredIf = 'yesno_id/yes';
+  BLOCK1.items.push(INFO);
+  var e = assertThrows(function() { q.setTemplate(QUESTIONNAIRE); });
+  assertTrue(e instanceof vsaq.questionnaire.items.ParseError);
+  assertContains('items of type info', e.message);
+}
+
+
+/**
+ * Tests validating answers, including rules comparing answers of two items.
+ */
+function testValidate() {
+  LINE.validate = [
+    {rule: 'maxLength', value: 3, message: 'too long'},
+    {rule: 'expression', value: 'line_id/value != box_id/value',
+      message: 'same as box'}
+  ];
+  BOX.cond = 'yesno_id/no';
+  BOX.validate = [{rule: 'email', message: 'no email'}];
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.setUnrolledMode(true);
+  q.render();
+  var getFailures = function() {
+    return goog.array.map(q.validate(), function(failure) {
+      return failure.item.id + ': ' + failure.messages.join(', ');
+    });
+  };
+  var getShownErrors = function(id) {
+    var errors = goog.dom.getElementByClass('vsaq-validation-errors',
+        q.getItem(id).container);
+    return errors ? goog.dom.getTextContent(errors) : '';
+  };
+
+  assertArrayEquals([], getFailures());
+  // The box is hidden by its condition, so its answer is not checked.
+  q.setValues({'line_id': 'abcd', 'box_id': 'abcd'});
+  assertArrayEquals(['line_id: too long, same as box'], getFailures());
+  assertContains('same as box', getShownErrors('line_id'));
+  q.setValues({'line_id': 'abc', 'box_id': 'abcd', 'yesno_id': 'no'});
+  assertArrayEquals(['box_id: no email'], getFailures());
+  // Once validated, the messages shown are updated with the answers.
+  assertEquals('', getShownErrors('line_id'));
+  q.getItem('box_id').setValue('abc@example.com');
+  assertEquals('', getShownErrors('box_id'));
+  q.getItem('line_id').setValue('abc@example.com');
+  assertContains('too long', getShownErrors('line_id'));
+
+  assertEquals(LINE.validate,
+      q.getItem('line_id').exportItem().get('validate'));
+  assertUndefined(q.getItem('yesno_id').exportItem().get('validate'));
+
+  // Answers within a block whose conditions can not be evaluated are not
+  // checked, and the other answers still are.
+  BLOCK2.cond = 'yesno_id/yes &&';
+  WHYTIP.validate = [{rule: 'minLength', value: 3, message: 'too short'}];
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  q.setValues({'line_id': 'abcd', 'whytip_id': 'a'});
+  assertArrayEquals(['line_id: too long'], getFailures());
+}
+
+
+/**
+ * Tests undoing and redoing changes of answers.
+ */
+function testUndoRedo() {
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  var getValue = function(id) {
+    return q.getItem(id).getValue();
+  };
+
+  assertFalse(q.undo());
+  // Answers loaded at once are undone at once.
+  q.setValues({'line_id': 'loaded', 'box_id': 'loaded too'});
+  q.getItem('yesno_id').setValue('yes');
+  // Typing into the same field is undone at once.
+  q.getItem('line_id').setValue('t');
+  q.getItem('line_id').setValue('typed');
+
+  var changes = [];
+  goog.events.listen(q, goog.events.EventType.CHANGE, function(e) {
+    changes.push(e.changedValues);
+  });
+  assertTrue(q.undo());
+  assertEquals('loaded', getValue('line_id'));
+  assertObjectEquals([{'line_id': 'loaded'}], changes);
+  assertTrue(q.undo());
+  assertEquals('', getValue('yesno_id'));
+  assertTrue(q.undo());
+  assertEquals('', getValue('line_id'));
+  assertEquals('', getValue('box_id'));
+  assertFalse(q.undo());
+
+  assertTrue(q.redo());
+  assertEquals('loaded too', getValue('box_id'));
+  assertTrue(q.redo());
+  assertEquals('yes', getValue('yesno_id'));
+
+  // Answers can't be changed in read-only mode.
+  q.setReadOnlyMode(true);
+  assertFalse(q.redo());
+  q.setReadOnlyMode(false);
+  assertTrue(q.redo());
+  assertEquals('typed', getValue('line_id'));
+
+  q.clearHistory();
+  assertFalse(q.undo());
+
+  // Undoing the first change of an item restores its default value.
+  LINE['default'] = 'preset';
+  q.setTemplate(QUESTIONNAIRE);
+  q.render();
+  q.getItem('line_id').setValue('changed');
+  assertTrue(q.undo());
+  assertEquals('preset', getValue('line_id'));
+}
+
+
+/**
+ * Tests that unfilled required items come before other unanswered items.
+ */
+function testGetUnansweredItems() {
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  var getIds = function() {
+    return goog.array.map(q.getUnansweredItems(), function(item) {
+      return item.id;
+    });
+  };
+
+  assertArrayEquals(['box_id', 'yesno_id', 'line_id'], getIds());
+  q.setValues({'line_id': 'blah', 'box_id': 'blah2'});
+  assertArrayEquals(['yesno_id'], getIds());
+}
+
+
 /**
  * Tests notification behavior for required items.
  */
@@ -577,3 +1033,62 @@ function testChangeRequiredItemWarning() {
   }, this);
 }
 
+
+/**
+ * Tests showing one top-level block at a time in paginated mode.
+ */
+function testPaginatedMode() {
+  var PAGE1 = {type: 'block', id: 'page1', text: 'Page 1', items: [YESNO]};
+  var PAGE2 = {type: 'block', id: 'page2', text: 'Page 2', cond: 'yesno_id/yes',
+    items: [LINE]};
+  var PAGE3 = {type: 'block', id: 'page3', text: 'Page 3', items: [CHECK]};
+  BLOCK1.items = [PAGE1, PAGE2, PAGE3];
+
+  var q = new vsaq.Questionnaire(root);
+  q.setTemplate(QUESTIONNAIRE);
+  q.setPaginatedMode(true);
+  q.render();
+  var isShown = function(id) {
+    return !goog.dom.classlist.contains(q.getItem(id).container,
+        'vsaq-page-hidden');
+  };
+
+  assertEquals('page1', q.getCurrentPage().id);
+  assertArrayEquals(['page1', 'page3'], goog.array.map(q.getPages(),
+      function(page) {
+        return page.id;
+      }));
+  assertTrue(isShown('page1'));
+  assertFalse(isShown('page3'));
+  assertNull(goog.dom.getElement('vsaq_page_previous'));
+
+  // The required yes/no question needs to be answered first.
+  assertFalse(q.nextPage());
+  assertEquals('page1', q.getCurrentPage().id);
+  assertEquals(1, q.getUnfilledRequiredItems(q.getItem('page1')).length);
+  assertEquals(0, q.getUnfilledRequiredItems(q.getItem('page3')).length);
+
+  var pages = [];
+  goog.events.listen(q, vsaq.Questionnaire.PAGE_CHANGED, function(e) {
+    pages.push(e.page.id);
+  });
+  q.getItem('yesno_id').setValue('yes');
+  assertTrue(q.nextPage());
+  assertTrue(q.nextPage());
+  assertFalse(q.nextPage());
+  assertTrue(q.previousPage());
+  assertArrayEquals(['page2', 'page3', 'page2'], pages);
+  assertTrue(isShown('page2'));
+  assertFalse(isShown('page1'));
+
+  // If the shown page is hidden by its conditions, the next page is shown.
+  q.getItem('yesno_id').setValue('no');
+  assertEquals('page3', q.getCurrentPage().id);
+  assertTrue(isShown('page3'));
+
+  q.setPaginatedMode(false);
+  q.render();
+  assertNull(q.getCurrentPage());
+  assertTrue(isShown('page1'));
+  assertTrue(isShown('page3'));
+}
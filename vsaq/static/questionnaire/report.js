@@ -0,0 +1,313 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Generates a report of the warnings shown in a questionnaire,
+ * for reviewers who would otherwise have to look for them on the page. The
+ * report lists, grouped by block, each visible warning with its name,
+ * severity, text, the clarification given in it and the answers that caused
+ * it to be shown. It can be exported as standalone HTML or as Markdown.
+ */
+
+goog.provide('vsaq.questionnaire.report');
+goog.provide('vsaq.questionnaire.report.Finding');
+goog.provide('vsaq.questionnaire.report.Section');
+goog.provide('vsaq.questionnaire.report.Trigger');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.html.utils');
+goog.require('goog.object');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.items.BlockItem');
+goog.require('vsaq.questionnaire.items.GroupItem');
+goog.require('vsaq.questionnaire.items.MatrixItem');
+goog.require('vsaq.questionnaire.items.TipItem');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.items.YesNoItem');
+goog.require('vsaq.questionnaire.templates');
+
+
+/**
+ * An answer that caused a warning to be shown. `question` is the text of the
+ * question (without HTML) and `answer` the given answer as shown to the user.
+ * @typedef {{
+ *   id: string,
+ *   question: string,
+ *   answer: string
+ * }}
+ */
+vsaq.questionnaire.report.Trigger;
+
+
+/**
+ * A visible warning. `text` is the HTML text of the warning as defined in the
+ * template, `clarification` the text the user entered into the warning.
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   severity: string,
+ *   text: string,
+ *   clarification: string,
+ *   triggers: !Array.<!vsaq.questionnaire.report.Trigger>
+ * }}
+ */
+vsaq.questionnaire.report.Finding;
+
+
+/**
+ * The warnings within a block. `caption` is the HTML caption of the block.
+ * @typedef {{
+ *   id: string,
+ *   caption: string,
+ *   findings: !Array.<!vsaq.questionnaire.report.Finding>
+ * }}
+ */
+vsaq.questionnaire.report.Section;
+
+
+/**
+ * Title of reports, unless another one is passed.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.report.DEFAULT_TITLE = 'Findings Report';
+
+
+/**
+ * Styles of standalone HTML reports.
+ * @type {string}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.report.STYLE_ =
+    'body{font-family:arial,sans-serif;margin:2em;}' +
+    '.vsaq-report-finding{border-left:4px solid #f4b400;margin:1em 0;' +
+    'padding:0 1em;}' +
+    '.vsaq-report-high{border-color:#ff7f00;}' +
+    '.vsaq-report-critical{border-color:#db4437;}' +
+    '.vsaq-report-clarification{white-space:pre-wrap;}';
+
+
+/**
+ * Returns the visible warnings of a questionnaire, grouped by the block they
+ * are in. Blocks and warnings are listed in the order they appear in.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @return {!Array.<!vsaq.questionnaire.report.Section>} The blocks with
+ *     visible warnings.
+ */
+vsaq.questionnaire.report.getFindings = function(questionnaire) {
+  var items = questionnaire.getItems();
+  var sections = [];
+  var sectionsById = {};
+  goog.object.forEach(items, function(item) {
+    if (!(item instanceof vsaq.questionnaire.items.TipItem) || !item.warn ||
+        !item.isVisible())
+      return;
+
+    var block = item.parentItem;
+    while (block && !(block instanceof vsaq.questionnaire.items.BlockItem))
+      block = block.parentItem;
+    var blockId = block ? block.id : '';
+    if (!sectionsById[blockId]) {
+      sectionsById[blockId] = {
+        id: blockId,
+        caption: block ? block.text : '',
+        findings: []
+      };
+      sections.push(sectionsById[blockId]);
+    }
+
+    sectionsById[blockId].findings.push({
+      id: item.id,
+      name: item.name,
+      severity: item.severity || '',
+      text: item.text,
+      clarification: goog.string.makeSafe(item.getValue()),
+      triggers: vsaq.questionnaire.report.getTriggers_(item, items)
+    });
+  });
+  return sections;
+};
+
+
+/**
+ * Returns the answers that a warning depends on, i.e. the answers referenced
+ * in the conditions of the warning and the blocks it is in.
+ * @param {!vsaq.questionnaire.items.Item} tip The warning.
+ * @param {!Object.<string, !vsaq.questionnaire.items.Item>} items All items
+ *     of the questionnaire.
+ * @return {!Array.<!vsaq.questionnaire.report.Trigger>} The answers.
+ * @private
+ */
+vsaq.questionnaire.report.getTriggers_ = function(tip, items) {
+  var ids = [];
+  for (var item = tip; item; item = item.parentItem) {
+    goog.array.forEach(item.getConditionVariables(), function(variable) {
+      goog.array.insert(ids, vsaq.Questionnaire.getReferencedId(variable));
+    });
+  }
+
+  var triggers = [];
+  goog.array.forEach(ids, function(id) {
+    var referenced = items[id];
+    // Conditions on whether other tips are shown refer to no answer.
+    if (!referenced || referenced instanceof vsaq.questionnaire.items.TipItem)
+      return;
+    var question = referenced;
+    if (referenced.parentItem instanceof vsaq.questionnaire.items.GroupItem ||
+        referenced.parentItem instanceof vsaq.questionnaire.items.MatrixItem)
+      question = referenced.parentItem;
+    if (!(question instanceof vsaq.questionnaire.items.ValueItem ||
+          question instanceof vsaq.questionnaire.items.GroupItem ||
+          question instanceof vsaq.questionnaire.items.MatrixItem))
+      return;
+    triggers.push({
+      id: id,
+      question: goog.html.utils.stripHtmlTags(question.text),
+      answer: vsaq.questionnaire.report.getAnswerText_(referenced)
+    });
+  });
+  return triggers;
+};
+
+
+/**
+ * Returns the answer to a question as shown to the user.
+ * @param {!vsaq.questionnaire.items.Item} item The question, or a choice of
+ *     a group or a cell of a matrix.
+ * @return {string} The answer, without HTML.
+ * @private
+ */
+vsaq.questionnaire.report.getAnswerText_ = function(item) {
+  var answer;
+  if (item instanceof vsaq.questionnaire.items.YesNoItem) {
+    var value = item.getValue();
+    answer = value == vsaq.questionnaire.items.YesNoItem.YES_VALUE ? item.yes :
+        value == vsaq.questionnaire.items.YesNoItem.NO_VALUE ? item.no : '';
+  } else if (item instanceof vsaq.questionnaire.items.GroupItem) {
+    answer = goog.array.map(item.getCheckedChoices(), function(choice) {
+      return choice.text;
+    }).join(', ');
+  } else if (item.parentItem instanceof vsaq.questionnaire.items.GroupItem ||
+             item.parentItem instanceof vsaq.questionnaire.items.MatrixItem) {
+    answer = item.isChecked() ? item.text : 'Not ' + item.text;
+  } else {
+    var itemValue = item.getValue();
+    answer = itemValue == null ? '' : String(itemValue);
+  }
+  answer = goog.html.utils.stripHtmlTags(answer);
+  return answer || 'Not answered';
+};
+
+
+/**
+ * Returns a report of the visible warnings of a questionnaire as standalone
+ * HTML document.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {string=} opt_title The title of the report.
+ * @return {string} The HTML document.
+ */
+vsaq.questionnaire.report.toHtml = function(questionnaire, opt_title) {
+  var title = opt_title || vsaq.questionnaire.report.DEFAULT_TITLE;
+  var sections = goog.array.map(
+      vsaq.questionnaire.report.getFindings(questionnaire), function(section) {
+        return {
+          captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(section.caption),
+          findings: goog.array.map(section.findings, function(finding) {
+            return {
+              id: finding.id,
+              name: finding.name,
+              severity: finding.severity,
+              textHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(finding.text),
+              clarification: finding.clarification,
+              triggers: finding.triggers
+            };
+          })
+        };
+      });
+  var report = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.findingsReport,
+      {title: title, sections: sections});
+
+  return '<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>' +
+      goog.string.htmlEscape(title) + '</title><style>' +
+      vsaq.questionnaire.report.STYLE_ + '</style></head><body>' +
+      goog.dom.getOuterHtml(report) + '</body></html>\n';
+};
+
+
+/**
+ * Returns a report of the visible warnings of a questionnaire in Markdown.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {string=} opt_title The title of the report.
+ * @return {string} The Markdown text.
+ */
+vsaq.questionnaire.report.toMarkdown = function(questionnaire, opt_title) {
+  var escape = vsaq.questionnaire.report.escapeMarkdown_;
+  var lines = [
+    '# ' + escape(opt_title || vsaq.questionnaire.report.DEFAULT_TITLE), ''];
+  var sections = vsaq.questionnaire.report.getFindings(questionnaire);
+  if (!sections.length)
+    lines.push('No warnings are shown for the current answers.', '');
+
+  goog.array.forEach(sections, function(section) {
+    lines.push('## ' + escape(goog.html.utils.stripHtmlTags(section.caption)),
+        '');
+    goog.array.forEach(section.findings, function(finding) {
+      lines.push('### ' + escape(finding.name || finding.id) +
+          (finding.severity ? ' (' + escape(finding.severity) + ')' : ''), '');
+      lines.push(escape(goog.html.utils.stripHtmlTags(finding.text)), '');
+      if (finding.triggers.length) {
+        lines.push('Triggered by:', '');
+        goog.array.forEach(finding.triggers, function(trigger) {
+          lines.push('- ' + escape(trigger.question) + ': **' +
+              escape(trigger.answer) + '**');
+        });
+        lines.push('');
+      }
+      if (finding.clarification) {
+        lines.push('Clarification:', '');
+        goog.array.forEach(finding.clarification.split(/\r?\n/),
+            function(line) {
+              lines.push('> ' + escape(line));
+            });
+      } else {
+        lines.push('Clarification: *None provided.*');
+      }
+      lines.push('');
+    });
+  });
+  return lines.join('\n');
+};
+
+
+/**
+ * Escapes characters with a special meaning in Markdown.
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ * @private
+ */
+vsaq.questionnaire.report.escapeMarkdown_ = function(text) {
+  text = goog.string.collapseWhitespace(text).replace(
+      /[\\`*_\[\]<>|#]/g, '\\$&');
+  // Keep the text from being read as a list item.
+  return text.replace(/^([-+])(?=\s)/, '\\$1').replace(
+      /^(\d+)\.(?=\s)/, '$1\\.');
+};
@@ -0,0 +1,176 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.report.
+ */
+
+goog.provide('vsaq.questionnaire.ReportTests');
+goog.setTestOnly('vsaq.questionnaire.ReportTests');
+
+goog.require('goog.dom');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.report');
+
+var QUESTIONNAIRE;
+var questionnaire;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  QUESTIONNAIRE = [{
+    type: 'block',
+    id: 'root',
+    text: 'Root',
+    items: [{
+      type: 'block',
+      id: 'network',
+      text: 'Network <b>security</b>',
+      items: [{
+        type: 'yesno',
+        id: 'tls',
+        text: 'Do you use <i>TLS</i>?',
+        yes: 'Yes',
+        no: 'No'
+      }, {
+        type: 'tip',
+        id: 'no_tls',
+        cond: 'tls/no',
+        warn: 'yes',
+        severity: 'critical',
+        name: 'Missing TLS',
+        text: 'All traffic must be encrypted.',
+        why: 'Please explain.'
+      }, {
+        type: 'tip',
+        id: 'info',
+        text: 'Not a warning.'
+      }]
+    }, {
+      type: 'block',
+      id: 'data',
+      text: 'Data',
+      cond: 'tls/no',
+      items: [{
+        type: 'radiogroup',
+        id: 'storage',
+        text: 'Where is data stored?',
+        defaultChoice: false,
+        choices: [{'cloud': 'In the cloud'}, {'onprem': 'On premise'}]
+      }, {
+        type: 'tip',
+        id: 'cloud_tip',
+        cond: 'cloud',
+        warn: 'yes',
+        text: 'Check the provider.'
+      }]
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(goog.dom.getElement('root'));
+  questionnaire.setTemplate(QUESTIONNAIRE);
+  questionnaire.render();
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  goog.dom.removeChildren(goog.dom.getElement('root'));
+}
+
+
+/**
+ * Tests that only visible warnings are listed, grouped by block.
+ */
+function testGetFindings() {
+  assertArrayEquals([], vsaq.questionnaire.report.getFindings(questionnaire));
+
+  questionnaire.getItem('tls').setValue('no');
+  questionnaire.getItem('no_tls').setValue('We are on it.');
+  questionnaire.getItem('cloud').setValue('checked');
+  var sections = vsaq.questionnaire.report.getFindings(questionnaire);
+  assertEquals(2, sections.length);
+  assertEquals('network', sections[0].id);
+  assertEquals('Network <b>security</b>', sections[0].caption);
+  assertObjectEquals([{
+    id: 'no_tls',
+    name: 'Missing TLS',
+    severity: 'critical',
+    text: 'All traffic must be encrypted.',
+    clarification: 'We are on it.',
+    triggers: [{id: 'tls', question: 'Do you use TLS?', answer: 'No'}]
+  }], sections[0].findings);
+
+  // Conditions of the block a warning is in are triggers as well.
+  assertEquals('data', sections[1].id);
+  assertObjectEquals([
+    {id: 'cloud', question: 'Where is data stored?', answer: 'In the cloud'},
+    {id: 'tls', question: 'Do you use TLS?', answer: 'No'}
+  ], sections[1].findings[0].triggers);
+}
+
+
+/**
+ * Tests the export as standalone HTML document.
+ */
+function testToHtml() {
+  var html = vsaq.questionnaire.report.toHtml(questionnaire, 'A & B');
+  assertContains('<title>A &amp; B</title>', html);
+  assertContains('No warnings are shown', html);
+
+  questionnaire.getItem('tls').setValue('no');
+  questionnaire.getItem('no_tls').setValue('<script>');
+  html = vsaq.questionnaire.report.toHtml(questionnaire);
+  assertContains('<title>Findings Report</title>', html);
+  assertContains('Network <b>security</b>', html);
+  assertContains('Missing TLS', html);
+  assertContains('&lt;script&gt;', html);
+  assertNotContains('<script>', html);
+}
+
+
+/**
+ * Tests the export as Markdown.
+ */
+function testToMarkdown() {
+  questionnaire.getItem('tls').setValue('no');
+  questionnaire.getItem('no_tls').setValue('- first\nsecond_line');
+  assertEquals([
+    '# Findings Report',
+    '',
+    '## Network security',
+    '',
+    '### Missing TLS (critical)',
+    '',
+    'All traffic must be encrypted.',
+    '',
+    'Triggered by:',
+    '',
+    '- Do you use TLS?: **No**',
+    '',
+    'Clarification:',
+    '',
+    '> \\- first',
+    '> second\\_line',
+    ''
+  ].join('\n'), vsaq.questionnaire.report.toMarkdown(questionnaire));
+}
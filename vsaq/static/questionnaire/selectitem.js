@@ -0,0 +1,431 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Questionnaire items that let the user choose from a dropdown
+ *     list, for choices that are too many to be shown as radio buttons or
+ *     checkboxes (e.g. countries).
+ */
+
+goog.provide('vsaq.questionnaire.items.MultiselectItem');
+goog.provide('vsaq.questionnaire.items.OptionItem');
+goog.provide('vsaq.questionnaire.items.SelectItem');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.html.utils');
+goog.require('goog.soy');
+goog.require('goog.string');
+goog.require('vsaq.questionnaire.items.GroupItem');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.ParseError');
+goog.require('vsaq.questionnaire.items.ValueItem');
+goog.require('vsaq.questionnaire.templates');
+goog.require('vsaq.questionnaire.utils');
+
+
+
+/**
+ * A dropdown list of choices, of which one can be selected. The choices are
+ * defined like those of a `vsaq.questionnaire.items.RadiogroupItem`, and
+ * their values are stored the same way, so a radiogroup can be turned into a
+ * select without changing its choice ids or answers.
+ * @param {?string} id An ID uniquely identifying the item.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the item to be visible to the user.
+ * @param {?string} caption A string with a title for the select.
+ * @param {boolean} defaultChoice If true, a default choice will be appended.
+ * @param {!Array.<!Object.<string, string>>} choices An array that contains all
+ *     choices in form of dictionaries.
+ * @param {?Array.<!Object.<string, string>>} choicesConds An array that
+ *     contains all possible conditions in form of dictionaries.
+ * @param {string=} opt_auth If "readonly", the select cannot be modified.
+ * @param {boolean=} opt_isRequired Iff true, the item value is required.
+ * @param {boolean=} opt_typeahead If true, a text field is shown that filters
+ *     the choices by their text.
+ * @extends {vsaq.questionnaire.items.GroupItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.SelectItem = function(id, conditions, caption,
+    defaultChoice, choices, choicesConds, opt_auth, opt_isRequired,
+    opt_typeahead) {
+  // The following properties are needed by render(), which is called from the
+  // GroupItem constructor.
+
+  /**
+   * Whether multiple choices can be selected.
+   * @type {boolean}
+   * @protected
+   */
+  this.multiple = this.multiple || false;
+
+  /**
+   * Whether a text field filtering the choices is shown.
+   * @type {boolean}
+   */
+  this.typeahead = Boolean(opt_typeahead);
+
+  /**
+   * The select element.
+   * @type {Element}
+   * @private
+   */
+  this.select_ = null;
+
+  /**
+   * The text field filtering the choices, if typeahead is set.
+   * @type {Element}
+   * @private
+   */
+  this.filterBox_ = null;
+
+  goog.base(this, id, conditions, caption, defaultChoice, choices,
+            choicesConds, opt_auth, opt_isRequired);
+
+  var propertyInformation = {
+    nameInClass: 'typeahead',
+    defaultValues: {
+      'true' : true,
+      'false': false
+    }
+  };
+  this.addPropertyInformation('typeahead', propertyInformation);
+
+  /** @inheritDoc */
+  this.groupItemType = vsaq.questionnaire.items.OptionItem.TYPE;
+};
+goog.inherits(vsaq.questionnaire.items.SelectItem,
+              vsaq.questionnaire.items.GroupItem);
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.SelectItem.TYPE = 'select';
+
+
+/**
+ * Text of the entry shown while no choice is selected.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.SelectItem.NO_SELECTION = 'Please choose...';
+
+
+/**
+ * Render the HTML for this item.
+ * @override
+ */
+vsaq.questionnaire.items.SelectItem.prototype.render = function() {
+  var oldNode = this.container;
+  this.container = goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.select, {
+        id: this.id,
+        captionHtml: soydata.VERY_UNSAFE.ordainSanitizedHtml(this.text),
+        multiple: this.multiple,
+        typeahead: this.typeahead,
+        noSelection: vsaq.questionnaire.items.SelectItem.NO_SELECTION
+      });
+  // Set (append) a default choice if necessary.
+  this.setDefaultChoice();
+  goog.dom.replaceNode(this.container, oldNode);
+
+  this.select_ = vsaq.questionnaire.utils.findById(this.container, this.id);
+  goog.events.listen(this.select_, goog.events.EventType.CHANGE,
+      this.selectionChanged_, false, this);
+
+  this.filterBox_ = vsaq.questionnaire.utils.findById(this.container,
+      this.id + '-filter');
+  if (this.filterBox_) {
+    goog.events.listen(this.filterBox_,
+        [goog.events.EventType.KEYUP, goog.events.EventType.CHANGE],
+        this.updateOptions, false, this);
+  }
+  this.updateOptions();
+};
+
+
+/**
+ * Handles the user changing the selection.
+ * @private
+ */
+vsaq.questionnaire.items.SelectItem.prototype.selectionChanged_ = function() {
+  var changes = {};
+  goog.array.forEach(this.containerItems, function(item) {
+    changes[item.id] = item.getValue();
+  });
+  this.eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.Item.CHANGED,
+    source: this,
+    changes: changes
+  });
+};
+
+
+/**
+ * Updates which choices are listed. Choices are left out if their conditions
+ * are not met, or if typeahead is set and their text does not contain the
+ * filter text. Selected choices are always listed, so the selection doesn't
+ * change while filtering.
+ */
+vsaq.questionnaire.items.SelectItem.prototype.updateOptions = function() {
+  if (!this.select_) return;
+  var filter = this.filterBox_ ?
+      goog.string.trim(this.filterBox_.value).toLowerCase() : '';
+
+  // The first option is the one shown while nothing is selected.
+  var options = this.select_.options;
+  while (options.length > (this.multiple ? 0 : 1))
+    goog.dom.removeNode(options[options.length - 1]);
+  goog.array.forEach(this.containerItems, function(item) {
+    var option = item.option;
+    var matches = !filter ||
+        goog.dom.getTextContent(option).toLowerCase().indexOf(filter) != -1;
+    if (option.selected || (item.isVisible() && matches))
+      this.select_.appendChild(option);
+  }, this);
+};
+
+
+/**
+ * Sets or unsets readonly-mode for the select.
+ * @param {boolean} readOnly If true, the selection can't be changed.
+ */
+vsaq.questionnaire.items.SelectItem.prototype.setReadOnly = function(
+    readOnly) {
+  if (this.auth == 'readonly')
+    readOnly = true;
+  this.select_.disabled = readOnly;
+  if (this.filterBox_)
+    this.filterBox_.disabled = readOnly;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.SelectItem.prototype.createSingleItem = function(
+    choiceId, choiceCondition, choiceText, opt_auth) {
+  var newOptionItem = new vsaq.questionnaire.items.OptionItem(choiceId,
+      choiceCondition, choiceText, opt_auth);
+  newOptionItem.type = vsaq.questionnaire.items.OptionItem.TYPE;
+  return newOptionItem;
+};
+
+
+/**
+ * Parses SelectItems. If the topmost item in the passed Array is a
+ * SelectItem, it is consumed and a SelectItem instance is returned.
+ * If the topmost item is not a SelectItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.SelectItem} The parsed SelectItem.
+ */
+vsaq.questionnaire.items.SelectItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.SelectItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  var group = new vsaq.questionnaire.items.SelectItem(
+      item.id, item.cond, item.text, item.defaultChoice, item.choices,
+      item.choicesConds, item.auth, item.required, item.typeahead);
+  group.setChoiceScores(item.choicesScores);
+  return group;
+};
+
+
+
+/**
+ * A list of choices, of which several can be selected. The choices are
+ * defined and their values stored like those of a
+ * `vsaq.questionnaire.items.CheckgroupItem`.
+ * @inheritDoc
+ * @extends {vsaq.questionnaire.items.SelectItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.MultiselectItem = function(id, conditions, caption,
+    defaultChoice, choices, choicesConds, opt_auth, opt_isRequired,
+    opt_typeahead) {
+  /** @inheritDoc */
+  this.multiple = true;
+
+  goog.base(this, id, conditions, caption, defaultChoice, choices,
+            choicesConds, opt_auth, opt_isRequired, opt_typeahead);
+};
+goog.inherits(vsaq.questionnaire.items.MultiselectItem,
+              vsaq.questionnaire.items.SelectItem);
+
+
+/**
+ * Type of the question. This is used to distinguish questions in serialized
+ * format.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.MultiselectItem.TYPE = 'multiselect';
+
+
+/**
+ * Parses MultiselectItems. If the topmost item in the passed Array is a
+ * MultiselectItem, it is consumed and a MultiselectItem instance is returned.
+ * If the topmost item is not a MultiselectItem, an exception is thrown.
+ * @param {!Array.<qjson.QuestionnaireItem>} questionStack Array of serialized
+ *     questionnaire Items.
+ * @return {!vsaq.questionnaire.items.MultiselectItem} The parsed
+ *     MultiselectItem.
+ */
+vsaq.questionnaire.items.MultiselectItem.parse = function(questionStack) {
+  var item = questionStack.shift();
+  if (item.type != vsaq.questionnaire.items.MultiselectItem.TYPE)
+    throw new vsaq.questionnaire.items.ParseError('Wrong parser chosen.');
+
+  var group = new vsaq.questionnaire.items.MultiselectItem(
+      item.id, item.cond, item.text, item.defaultChoice, item.choices,
+      item.choicesConds, item.auth, item.required, item.typeahead);
+  group.setChoiceScores(item.choicesScores);
+  return group;
+};
+
+
+
+/**
+ * A choice of a `vsaq.questionnaire.items.SelectItem`, shown as an entry
+ * of the dropdown list.
+ * @param {string} id An ID uniquely identifying the choice.
+ * @param {?string} conditions A string containing conditions which must be met
+ *     for the choice to be listed.
+ * @param {string} caption The text of the choice. HTML tags are removed.
+ * @param {string=} opt_auth If "readonly", this ValueItem cannot be modified.
+ * @extends {vsaq.questionnaire.items.ValueItem}
+ * @constructor
+ */
+vsaq.questionnaire.items.OptionItem = function(id, conditions, caption,
+    opt_auth) {
+  goog.base(this, id, conditions, caption, undefined, undefined, undefined,
+            undefined, undefined, opt_auth);
+
+  /**
+   * The option element within the select.
+   * @type {!Element}
+   */
+  this.option;
+
+  this.render();
+};
+goog.inherits(vsaq.questionnaire.items.OptionItem,
+              vsaq.questionnaire.items.ValueItem);
+
+
+/**
+ * Type of the choices of a select. Choices are not parsed on their own, but
+ * created by the select they are part of.
+ * @type {string}
+ * @const
+ */
+vsaq.questionnaire.items.OptionItem.TYPE = 'option';
+
+
+/**
+ * Constant indicating the string value of the option item when selected.
+ * @type {string}
+ */
+vsaq.questionnaire.items.OptionItem.CHECKED_VALUE = 'checked';
+
+
+/**
+ * Render the HTML for this item. The option is listed in the select element of
+ * the parent item (see `vsaq.questionnaire.items.SelectItem.updateOptions`),
+ * the container of the item is not shown.
+ */
+vsaq.questionnaire.items.OptionItem.prototype.render = function() {
+  this.option = goog.dom.createDom(goog.dom.TagName.OPTION, {'value': this.id},
+      goog.html.utils.stripHtmlTags(this.text));
+};
+
+
+/**
+ * Sets whether the choice is listed.
+ * @param {boolean} visible True if the choice should be listed.
+ * @override
+ */
+vsaq.questionnaire.items.OptionItem.prototype.setVisibility = function(
+    visible) {
+  goog.base(this, 'setVisibility', visible);
+  if (this.parentItem instanceof vsaq.questionnaire.items.SelectItem)
+    this.parentItem.updateOptions();
+};
+
+
+/**
+ * The choices of a select are updated together, so the changes of all choices
+ * are reported.
+ * @protected
+ * @override
+ */
+vsaq.questionnaire.items.OptionItem.prototype.answerChanged = function() {
+  var changes = {};
+  goog.array.forEach(this.parentItem.getContainerItems(), function(item) {
+    changes[item.id] = item.getValue();
+  });
+  this.eventDispatcher.dispatchEvent({
+    type: vsaq.questionnaire.items.Item.CHANGED,
+    source: this,
+    changes: changes
+  });
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.OptionItem.prototype.getValue = function() {
+  return this.option.selected ?
+      vsaq.questionnaire.items.OptionItem.CHECKED_VALUE : '';
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.OptionItem.prototype.setInternalValue = function(
+    value) {
+  this.option.selected = value === true ||
+      value == vsaq.questionnaire.items.OptionItem.CHECKED_VALUE;
+  if (this.parentItem instanceof vsaq.questionnaire.items.SelectItem)
+    this.parentItem.updateOptions();
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.OptionItem.prototype.isChecked = function(opt_value) {
+  return this.option.selected;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.OptionItem.prototype.isAnswered = function() {
+  return this.option.selected;
+};
+
+
+/** @inheritDoc */
+vsaq.questionnaire.items.OptionItem.prototype.setReadOnly = function(
+    readOnly) {
+  // The select as a whole is read-only or not.
+  if (this.parentItem instanceof vsaq.questionnaire.items.SelectItem)
+    this.parentItem.setReadOnly(readOnly);
+};
@@ -0,0 +1,188 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.items.SelectItem and
+ * vsaq.questionnaire.items.MultiselectItem.
+ */
+
+goog.provide('vsaq.questionnaire.items.SelectItemTests');
+goog.setTestOnly('vsaq.questionnaire.items.SelectItemTests');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.testing.asserts');
+goog.require('goog.testing.events');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.questionnaire.items.Item');
+goog.require('vsaq.questionnaire.items.MultiselectItem');
+goog.require('vsaq.questionnaire.items.OptionItem');
+goog.require('vsaq.questionnaire.items.SelectItem');
+goog.require('vsaq.questionnaire.utils');
+
+var CAPTION = 'selectitem_caption';
+var ID = 'selectitem_id';
+var CHOICES = [
+  {'de': 'Germany'},
+  {'fr': '<b>France</b>'},
+  {'us': 'United States'}
+];
+
+var select, multiselect;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  select = new vsaq.questionnaire.items.SelectItem(ID, null, CAPTION, false,
+      CHOICES, [], undefined, false, true);
+  multiselect = new vsaq.questionnaire.items.MultiselectItem(ID + '_multi',
+      null, CAPTION, true, CHOICES, []);
+}
+
+
+/**
+ * Returns the values of the options listed in a select.
+ * @param {!vsaq.questionnaire.items.SelectItem} item The select item.
+ * @return {!Array.<string>} The values.
+ */
+function getListedValues(item) {
+  var el = vsaq.questionnaire.utils.findById(item.container, item.id);
+  return goog.array.map(el.options, function(option) {
+    return option.value;
+  });
+}
+
+
+/**
+ * Tests whether select items are rendered correctly.
+ */
+function testSelectItem() {
+  var el = vsaq.questionnaire.utils.findById(select.container, ID);
+  assertFalse(el.multiple);
+  assertArrayEquals(['', 'de', 'fr', 'us'], getListedValues(select));
+  assertEquals('France', goog.dom.getTextContent(el.options[2]));
+  assertNotNull(
+      vsaq.questionnaire.utils.findById(select.container, ID + '-filter'));
+
+  el = vsaq.questionnaire.utils.findById(multiselect.container,
+      multiselect.id);
+  assertTrue(el.multiple);
+  // Includes the default choice.
+  assertEquals(4, el.options.length);
+  assertNull(vsaq.questionnaire.utils.findById(multiselect.container,
+      multiselect.id + '-filter'));
+}
+
+
+/**
+ * Tests that the choices are stored like the choices of radio groups.
+ */
+function testSelectValues() {
+  var choices = select.getContainerItems();
+  assert(choices[0] instanceof vsaq.questionnaire.items.OptionItem);
+  assertEquals('de', choices[0].id);
+  assertFalse(select.getValue());
+
+  var changes = [];
+  goog.events.listen(select.eventDispatcher,
+      vsaq.questionnaire.items.Item.CHANGED, function(e) {
+        changes.push(e.changes);
+      });
+  var el = vsaq.questionnaire.utils.findById(select.container, ID);
+  el.value = 'fr';
+  goog.testing.events.fireBrowserEvent(
+      new goog.testing.events.Event(goog.events.EventType.CHANGE, el));
+  assertEquals(1, changes.length);
+  assertObjectEquals({'de': '', 'fr': 'checked', 'us': ''}, changes[0]);
+  assertTrue(choices[1].isChecked());
+  assertTrue(select.getValue());
+
+  choices[2].setValue('checked');
+  assertEquals('', choices[1].getValue());
+  assertEquals('us', el.value);
+  assertEquals('checked', changes[1]['us']);
+}
+
+
+/**
+ * Tests selecting several choices in a multiselect.
+ */
+function testMultiselectValues() {
+  var choices = multiselect.getChoices();
+  choices[0].setValue('checked');
+  choices[2].setValue('checked');
+  assertArrayEquals(['de', 'us'], goog.array.map(
+      multiselect.getCheckedChoices(), function(choice) {
+        return choice.id;
+      }));
+}
+
+
+/**
+ * Tests that choices can be filtered and hidden by conditions, unless they
+ * are selected.
+ */
+function testUpdateOptions() {
+  var filterBox = vsaq.questionnaire.utils.findById(select.container,
+      ID + '-filter');
+  filterBox.value = 'an';
+  select.updateOptions();
+  assertArrayEquals(['', 'de', 'fr'], getListedValues(select));
+
+  var choices = select.getContainerItems();
+  choices[2].setValue('checked');
+  assertArrayEquals(['', 'de', 'fr', 'us'], getListedValues(select));
+
+  filterBox.value = '';
+  choices[0].setVisibility(false);
+  assertArrayEquals(['', 'fr', 'us'], getListedValues(select));
+}
+
+
+/**
+ * Tests parsing of SelectItems and MultiselectItems.
+ */
+function testSelectItemParse() {
+  var testStack = [{
+    'type': 'select',
+    'text': CAPTION,
+    'id': ID,
+    'choices': CHOICES,
+    'typeahead': true,
+    'required': true
+  }, {
+    'type': 'multiselect',
+    'text': CAPTION,
+    'id': ID + '_multi',
+    'choices': CHOICES
+  }];
+  select = vsaq.questionnaire.items.SelectItem.parse(testStack);
+  assert(select instanceof vsaq.questionnaire.items.SelectItem);
+  assertTrue(select.typeahead);
+  assertTrue(select.required);
+  assertFalse(select.multiple);
+  assertEquals(3, select.getChoices().length);
+
+  multiselect = vsaq.questionnaire.items.MultiselectItem.parse(testStack);
+  assert(multiselect instanceof vsaq.questionnaire.items.MultiselectItem);
+  assertTrue(multiselect.multiple);
+  assertFalse(multiselect.typeahead);
+  assertEquals(0, testStack.length);
+}
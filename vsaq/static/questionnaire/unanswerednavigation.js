@@ -0,0 +1,234 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Navigation through the questions of a questionnaire that still
+ * need an answer, with buttons and keyboard shortcuts: Alt+N goes to the next
+ * question, Alt+Shift+N to the previous one. Required questions that are not
+ * filled come first, followed by all other unanswered questions.
+ */
+
+goog.provide('vsaq.questionnaire.UnansweredNavigation');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.events');
+goog.require('goog.events.EventType');
+goog.require('goog.events.KeyCodes');
+goog.require('goog.soy');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.templates');
+
+
+
+/**
+ * Navigation through the unanswered questions of a questionnaire.
+ * @param {!vsaq.Questionnaire} questionnaire The questionnaire.
+ * @param {!Element} element The element into which the buttons and the status
+ *     are rendered.
+ * @constructor
+ */
+vsaq.questionnaire.UnansweredNavigation = function(questionnaire, element) {
+  /**
+   * The questionnaire that is navigated.
+   * @type {!vsaq.Questionnaire}
+   * @private
+   */
+  this.questionnaire_ = questionnaire;
+
+  /**
+   * The element into which the buttons and the status are rendered.
+   * @type {!Element}
+   * @private
+   */
+  this.element_ = element;
+
+  /**
+   * The id of the question that was navigated to last.
+   * @type {string}
+   * @private
+   */
+  this.currentId_ = '';
+
+  /**
+   * The position of the question that was navigated to last among the
+   * unanswered questions. Once that question is answered, the question taking
+   * its place is the next one.
+   * @type {number}
+   * @private
+   */
+  this.position_ = -1;
+
+  /**
+   * The timer used to render the status.
+   * @type {?number}
+   * @private
+   */
+  this.renderTimer_ = null;
+
+  goog.events.listen(questionnaire, goog.events.EventType.CHANGE,
+      this.renderLater_, false, this);
+  goog.events.listen(element, goog.events.EventType.CLICK, this.clicked_,
+      false, this);
+  goog.events.listen(goog.dom.getOwnerDocument(element),
+      goog.events.EventType.KEYDOWN, this.keyDown_, false, this);
+
+  this.render();
+};
+
+
+/**
+ * Returns the position of the question that was navigated to last among the
+ * given unanswered questions.
+ * @param {!vsaq.questionnaire.items.ItemArray} items The unanswered questions.
+ * @return {number} The position, or -1 if the question was answered since.
+ * @private
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.getCurrentIndex_ = function(
+    items) {
+  return goog.array.findIndex(items, function(item) {
+    return item.id == this.currentId_;
+  }, this);
+};
+
+
+/**
+ * Renders the buttons and the status, e.g. "3 of 17".
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.render = function() {
+  if (goog.isDefAndNotNull(this.renderTimer_)) {
+    clearTimeout(this.renderTimer_);
+    this.renderTimer_ = null;
+  }
+  var items = this.questionnaire_.getUnansweredItems();
+  goog.dom.removeChildren(this.element_);
+  this.element_.appendChild(goog.soy.renderAsElement(
+      vsaq.questionnaire.templates.unansweredNavigation, {
+        position: this.getCurrentIndex_(items) + 1,
+        count: items.length
+      }));
+};
+
+
+/**
+ * Renders the status once the current changes to the questionnaire are done,
+ * as answers are only counted once conditions have been reevaluated.
+ * @private
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.renderLater_ = function() {
+  if (!goog.isDefAndNotNull(this.renderTimer_))
+    this.renderTimer_ = setTimeout(goog.bind(this.render, this), 0);
+};
+
+
+/**
+ * Goes to the unanswered question at the given position, wrapping around at
+ * either end.
+ * @param {!vsaq.questionnaire.items.ItemArray} items The unanswered questions.
+ * @param {number} index The position.
+ * @return {vsaq.questionnaire.items.Item} The question, or null if all
+ *     questions are answered.
+ * @private
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.goTo_ = function(items,
+    index) {
+  if (!items.length) {
+    this.currentId_ = '';
+    this.position_ = -1;
+    this.render();
+    return null;
+  }
+  this.position_ = (index + items.length) % items.length;
+  var item = items[this.position_];
+  this.currentId_ = item.id;
+  this.questionnaire_.focusItem(item);
+  this.render();
+  return item;
+};
+
+
+/**
+ * Goes to the first unanswered question.
+ * @return {vsaq.questionnaire.items.Item} The question, or null if all
+ *     questions are answered.
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.first = function() {
+  return this.goTo_(this.questionnaire_.getUnansweredItems(), 0);
+};
+
+
+/**
+ * Goes to the next unanswered question.
+ * @return {vsaq.questionnaire.items.Item} The question, or null if all
+ *     questions are answered.
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.next = function() {
+  var items = this.questionnaire_.getUnansweredItems();
+  var index = this.getCurrentIndex_(items);
+  // If the last question was answered, the question taking its place is next.
+  return this.goTo_(items,
+      index >= 0 ? index + 1 : Math.max(this.position_, 0));
+};
+
+
+/**
+ * Goes to the previous unanswered question.
+ * @return {vsaq.questionnaire.items.Item} The question, or null if all
+ *     questions are answered.
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.previous = function() {
+  var items = this.questionnaire_.getUnansweredItems();
+  var index = this.getCurrentIndex_(items);
+  if (index < 0)
+    index = Math.max(this.position_, 0);
+  return this.goTo_(items, index - 1);
+};
+
+
+/**
+ * Handles clicks on the buttons.
+ * @param {!goog.events.BrowserEvent} e The click event.
+ * @private
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.clicked_ = function(e) {
+  var id = /** @type {!Element} */ (e.target).id;
+  if (id == 'vsaq_unanswered_previous') {
+    e.preventDefault();
+    this.previous();
+  } else if (id == 'vsaq_unanswered_next') {
+    e.preventDefault();
+    this.next();
+  }
+};
+
+
+/**
+ * Handles the keyboard shortcuts.
+ * @param {!goog.events.BrowserEvent} e The keydown event.
+ * @private
+ */
+vsaq.questionnaire.UnansweredNavigation.prototype.keyDown_ = function(e) {
+  if (e.keyCode != goog.events.KeyCodes.N || !e.altKey || e.ctrlKey ||
+      e.metaKey)
+    return;
+  e.preventDefault();
+  if (e.shiftKey) {
+    this.previous();
+  } else {
+    this.next();
+  }
+};
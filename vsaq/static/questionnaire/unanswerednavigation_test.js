@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All rights reserved.
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * @fileoverview Tests for vsaq.questionnaire.UnansweredNavigation.
+ */
+
+goog.provide('vsaq.questionnaire.UnansweredNavigationTests');
+goog.setTestOnly('vsaq.questionnaire.UnansweredNavigationTests');
+
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.events.KeyCodes');
+goog.require('goog.string');
+goog.require('goog.testing.MockClock');
+goog.require('goog.testing.events');
+goog.require('goog.testing.jsunit');
+goog.require('vsaq.Questionnaire');
+goog.require('vsaq.questionnaire.UnansweredNavigation');
+
+var QUESTIONNAIRE;
+var clock;
+var element;
+var navigation;
+var questionnaire;
+var root;
+
+
+/**
+ * Initializes variables used by all tests.
+ */
+function setUp() {
+  clock = new goog.testing.MockClock(true);
+  root = goog.dom.getElement('root');
+  element = goog.dom.createDom(goog.dom.TagName.DIV);
+  document.body.appendChild(element);
+  QUESTIONNAIRE = [{
+    type: 'block',
+    text: 'Questionnaire',
+    items: [{
+      type: 'line',
+      id: 'name',
+      text: 'Name',
+      required: true
+    }, {
+      type: 'yesno',
+      id: 'has_data',
+      text: 'Do you store data?',
+      yes: 'Yes',
+      no: 'No'
+    }, {
+      type: 'box',
+      id: 'retention',
+      text: 'How long do you keep data?',
+      cond: 'has_data/yes',
+      required: true
+    }, {
+      type: 'line',
+      id: 'city',
+      text: 'City'
+    }]
+  }];
+  questionnaire = new vsaq.Questionnaire(root);
+  questionnaire.setTemplate(QUESTIONNAIRE);
+  questionnaire.render();
+  navigation = new vsaq.questionnaire.UnansweredNavigation(questionnaire,
+      element);
+}
+
+
+/**
+ * Cleans up after each test.
+ */
+function tearDown() {
+  clock.uninstall();
+  goog.dom.removeChildren(root);
+  goog.dom.removeNode(element);
+}
+
+
+/**
+ * Returns the shown status.
+ * @return {string} The status.
+ */
+function getStatus() {
+  return goog.string.collapseWhitespace(goog.dom.getTextContent(
+      goog.dom.getElement('vsaq_unanswered_status')));
+}
+
+
+/**
+ * Tests going through the unanswered questions.
+ */
+function testNavigation() {
+  assertEquals('3 unanswered', getStatus());
+
+  assertEquals('name', navigation.next().id);
+  assertEquals('1 of 3', getStatus());
+  assertEquals(goog.dom.getElement('name'), document.activeElement);
+  assertEquals('has_data', navigation.next().id);
+  assertEquals('2 of 3', getStatus());
+
+  // The required question shown by the answer comes before other questions.
+  questionnaire.getItem('has_data').setValue('yes');
+  clock.tick(1);
+  assertEquals('3 unanswered', getStatus());
+  assertEquals('retention', navigation.next().id);
+  assertEquals('2 of 3', getStatus());
+
+  assertEquals('name', navigation.previous().id);
+  assertEquals('city', navigation.previous().id);
+  assertEquals('3 of 3', getStatus());
+  assertEquals('name', navigation.next().id);
+
+  questionnaire.setValues({
+    'name': 'Acme',
+    'has_data': 'no',
+    'city': 'Zurich'
+  });
+  assertNull(navigation.next());
+  assertEquals('All questions answered', getStatus());
+}
+
+
+/**
+ * Tests the buttons and keyboard shortcuts.
+ */
+function testButtonsAndShortcuts() {
+  goog.testing.events.fireClickSequence(
+      goog.dom.getElement('vsaq_unanswered_next'));
+  assertEquals('1 of 3', getStatus());
+  goog.testing.events.fireKeySequence(document.body, goog.events.KeyCodes.N,
+      {altKey: true});
+  assertEquals('2 of 3', getStatus());
+  goog.testing.events.fireKeySequence(document.body, goog.events.KeyCodes.N,
+      {altKey: true, shiftKey: true});
+  assertEquals('1 of 3', getStatus());
+  goog.testing.events.fireClickSequence(
+      goog.dom.getElement('vsaq_unanswered_previous'));
+  assertEquals('3 of 3', getStatus());
+}
@@ -16,15 +16,21 @@
 
 /**
  * @fileoverview Utility functions for the questionnaire.
+ * <p>Functions that can be called in conditions are registered with
+ * `vsaq.questionnaire.utils.registerFunction`. Adding functions to
+ * `vsaq.questionnaire.utils.globals` is deprecated, but still supported.</p>
  */
 
 goog.provide('vsaq.questionnaire.utils');
 goog.provide('vsaq.questionnaire.utils.InvalidExpressionError');
+goog.provide('vsaq.questionnaire.utils.FunctionInfo');
 goog.provide('vsaq.questionnaire.utils.globals');
 
 goog.require('goog.array');
 goog.require('goog.debug.Error');
 goog.require('goog.dom');
+goog.require('goog.object');
+goog.require('goog.string');
 
 
 /**
@@ -45,162 +51,934 @@ vsaq.questionnaire.utils.findById = function(element, id) {
 /**
  * Exception used when an invalid expression is parsed.
  * @param {string=} opt_message The message with the error details.
+ * @param {string=} opt_expression The expression that could not be parsed.
+ * @param {number=} opt_position The offset of the character in the expression
+ *     at which the error was detected.
  * @constructor
  * @extends {goog.debug.Error}
 */
-vsaq.questionnaire.utils.InvalidExpressionError = function(opt_message) {
-  opt_message = 'Invalid expression' || opt_message;
-  goog.base(this, opt_message);
+vsaq.questionnaire.utils.InvalidExpressionError = function(opt_message,
+    opt_expression, opt_position) {
+  goog.base(this, opt_message || 'Invalid expression');
+
+  /**
+   * The expression that could not be parsed.
+   * @type {string|undefined}
+   */
+  this.expression = opt_expression;
+
+  /**
+   * The offset of the character at which the error was detected.
+   * @type {number|undefined}
+   */
+  this.position = opt_position;
 };
 goog.inherits(vsaq.questionnaire.utils.InvalidExpressionError,
     goog.debug.Error);
 
 
 /**
- * Returns true if the character passed to the function is a boolean operator.
- * Valid operators are '&', '|' and '!'.
- * @param {string} character The character tested for being an operator.
- * @return {boolean} true if the character is an operator.
+ * Creates an error for a problem found at a specific position of an
+ * expression. The message names the column (starting at 1) and contains the
+ * full expression, e.g.: unexpected `)` at col 14 of "a && (b || c))".
+ * @param {string} expression The expression that could not be parsed.
+ * @param {number} position The offset of the offending character.
+ * @param {string} description What went wrong, e.g. "unexpected `)`".
+ * @return {!vsaq.questionnaire.utils.InvalidExpressionError} The error.
+ * @private
+ */
+vsaq.questionnaire.utils.createExpressionError_ = function(expression,
+    position, description) {
+  return new vsaq.questionnaire.utils.InvalidExpressionError(
+      description + ' at col ' + (position + 1) + ' of "' + expression + '"',
+      expression, position);
+};
+
+
+/**
+ * List of all operators that may appear in a tokenized expression. The boolean
+ * operators AND ('&&') and OR ('||') are stored as '&' and '|' respectively.
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.utils.OPERATORS_ =
+    ['&', '|', '!', ',', '==', '!=', '<', '<=', '>', '>='];
+
+
+/**
+ * List of all comparison operators.
+ * @type {!Array.<string>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.utils.COMPARISON_OPERATORS_ =
+    ['==', '!=', '<', '<=', '>', '>='];
+
+
+/**
+ * Returns true if the token passed to the function is an operator. Valid
+ * operators are '&', '|', '!', ',' and the comparison operators '==', '!=',
+ * '<', '<=', '>' and '>='.
+ * @param {*} token The token tested for being an operator.
+ * @return {boolean} true if the token is an operator.
+ * @private
+ */
+vsaq.questionnaire.utils.isOperator_ = function(token) {
+  return goog.isString(token) &&
+      goog.array.contains(vsaq.questionnaire.utils.OPERATORS_, token);
+};
+
+
+/**
+ * Returns true if the token passed to the function is a comparison operator.
+ * @param {*} token The token tested for being a comparison operator.
+ * @return {boolean} true if the token is a comparison operator.
+ * @private
+ */
+vsaq.questionnaire.utils.isComparisonOperator_ = function(token) {
+  return goog.isString(token) && goog.array.contains(
+      vsaq.questionnaire.utils.COMPARISON_OPERATORS_, token);
+};
+
+
+/**
+ * Returns true if the token is a numeric literal, e.g. 500, -3 or 2.5.
+ * @param {string} token The token to test.
+ * @return {boolean} true if the token is a numeric literal.
+ * @private
+ */
+vsaq.questionnaire.utils.isNumberLiteral_ = function(token) {
+  return /^-?\d+(\.\d+)?$/.test(token);
+};
+
+
+/**
+ * Converts a quoted string literal as it appears in an expression (e.g.
+ * "a\"b") into the string it represents (e.g. a"b).
+ * @param {string} literal The quoted string literal.
+ * @return {string} The unquoted and unescaped string.
  * @private
  */
-vsaq.questionnaire.utils.isOperator_ = function(character) {
-  if (!character || character.length > 1)
+vsaq.questionnaire.utils.unquoteString_ = function(literal) {
+  return literal.replace(/\\(.)|^"|"$/g, '$1');
+};
+
+
+/**
+ * Returns true if the value can be compared numerically, i.e. it is a number or
+ * a non-empty string that represents a number.
+ * @param {*} value The value to test.
+ * @return {boolean} Whether the value is numeric.
+ * @private
+ */
+vsaq.questionnaire.utils.isNumeric_ = function(value) {
+  if (goog.isNumber(value))
+    return !isNaN(value);
+  if (!goog.isString(value) || goog.string.isEmptyOrWhitespace(value))
     return false;
-  return ('&|!,'.indexOf(character) > -1);
+  return isFinite(Number(value));
+};
+
+
+/**
+ * Compares two values using one of the comparison operators. If both values
+ * are numeric (see `isNumeric_`), they are compared as numbers. Otherwise they
+ * are compared as strings, where null and undefined are treated as the empty
+ * string. NaN is unequal to every value.
+ * @param {string} operator The comparison operator, e.g. '==' or '<='.
+ * @param {*} left The left operand.
+ * @param {*} right The right operand.
+ * @return {boolean} The result of the comparison.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ * @private
+ */
+vsaq.questionnaire.utils.compare_ = function(operator, left, right) {
+  // Like in JavaScript, NaN (e.g. the result of daysSince for an invalid date)
+  // is unequal to everything.
+  if ((goog.isNumber(left) && isNaN(left)) ||
+      (goog.isNumber(right) && isNaN(right)))
+    return operator == '!=';
+  if (vsaq.questionnaire.utils.isNumeric_(left) &&
+      vsaq.questionnaire.utils.isNumeric_(right)) {
+    left = Number(left);
+    right = Number(right);
+  } else {
+    left = goog.isDefAndNotNull(left) ? String(left) : '';
+    right = goog.isDefAndNotNull(right) ? String(right) : '';
+  }
+  switch (operator) {
+    case '==':
+      return left == right;
+    case '!=':
+      return left != right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+  }
+  throw new vsaq.questionnaire.utils.InvalidExpressionError(
+      'Unknown operator: ' + operator);
 };
 
 
 /**
  * Evaluates a string that is a boolean expression. The boolean expression can
- * contain the operators AND ('&&'), OR ('||') and NOT ('!'). Variables may be
- * used in the expression. These variables will be resolved by passing them to
- * the resolver function.
+ * contain the operators AND ('&&'), OR ('||') and NOT ('!'), as well as the
+ * comparison operators '==', '!=', '<', '<=', '>' and '>='. Operands may be
+ * string literals ("aws"), numeric literals (500) or variables. Variables will
+ * be resolved by passing them to the resolver function. Operators have the same
+ * precedence as in JavaScript.
  * @param {string} expression The boolean expression.
  * @param {function(string): *} resolver A function that resolves variables
  *     used in the expression.
  * @return {boolean} The result of evaluating the expression.
  */
 vsaq.questionnaire.utils.evalExpression = function(expression, resolver) {
-  var token = vsaq.questionnaire.utils.tokenizeExpression(expression);
-  return !!vsaq.questionnaire.utils.evalTokenizedExpression_(token, resolver);
+  var ast = vsaq.questionnaire.utils.parseExpression(expression);
+  return !!vsaq.questionnaire.utils.evalParsedExpression(ast, resolver);
 };
 
 
 /**
- * Evaluates a tokenized boolean expression. Variables may be used in the
- * expression. These variables will be resolved by passing them to the resolver
- * function.
- * @param {Array} expression The boolean expression.
- * @param {function(string): *} resolver A function that resolves variables
- *     used in the expression.
- * @return {*} The result of evaluating the expression.
+ * Types of nodes in the abstract syntax tree of a parsed expression.
+ * @enum {string}
+ */
+vsaq.questionnaire.utils.NodeType = {
+  LITERAL: 'literal',
+  VARIABLE: 'variable',
+  CALL: 'call',
+  NOT: 'not',
+  BINARY: 'binary'
+};
+
+
+/**
+ * A node in the abstract syntax tree of a parsed expression. Which properties
+ * are set depends on the type of the node:
+ * - LITERAL: `value` holds the string, number or boolean.
+ * - VARIABLE: `name` holds the variable passed to the resolver.
+ * - CALL: `name` holds the global function, `args` the argument nodes.
+ * - NOT: `operand` holds the negated node.
+ * - BINARY: `operator` holds one of '&&', '||', '==', '!=', '<', '<=', '>' or
+ *   '>=', `left` and `right` the operand nodes.
+ * @typedef {{
+ *   type: vsaq.questionnaire.utils.NodeType,
+ *   value: (string|number|boolean|undefined),
+ *   name: (string|undefined),
+ *   args: (Array.<!Object>|undefined),
+ *   operand: (Object|undefined),
+ *   operator: (string|undefined),
+ *   left: (Object|undefined),
+ *   right: (Object|undefined)
+ * }}
+ */
+vsaq.questionnaire.utils.ExpressionNode;
+
+
+/**
+ * The offsets of the tokens of a group (see `tokenizeExpression_`) in the
+ * expression. `tokens` holds the offset of each token, or the positions of the
+ * nested group for group tokens. `start` is the offset of the opening
+ * parenthesis (-1 for the whole expression), `end` the offset where the group
+ * ends.
+ * @typedef {{start: number, end: number, tokens: !Array}}
+ * @private
+ */
+vsaq.questionnaire.utils.TokenPositions_;
+
+
+/**
+ * The state of the parser while it walks through the tokens of a group.
+ * @typedef {{
+ *   tokens: !Array,
+ *   positions: vsaq.questionnaire.utils.TokenPositions_,
+ *   expression: string,
+ *   position: number
+ * }}
+ * @private
+ */
+vsaq.questionnaire.utils.ParserState_;
+
+
+/**
+ * Binary operators ordered by precedence, from the loosest to the tightest
+ * binding. Operators on the same level are evaluated from left to right.
+ * @type {!Array.<!Array.<string>>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.utils.BINARY_OPERATOR_PRECEDENCE_ = [
+  ['|'],
+  ['&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>=']
+];
+
+
+/**
+ * Maps operators as they appear in tokenized expressions to the operators
+ * stored in the syntax tree.
+ * @type {!Object.<string, string>}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.utils.AST_OPERATORS_ = {
+  '&': '&&',
+  '|': '||'
+};
+
+
+/**
+ * Parses a string with a boolean expression into an abstract syntax tree. An
+ * empty expression is parsed into a literal that is always true.
+ * If an invalid expression string is passed to the function, an exception is
+ * thrown.
+ * @param {string} expression The string containing the expression.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The root node of the
+ *     syntax tree.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ */
+vsaq.questionnaire.utils.parseExpression = function(expression) {
+  var utils = vsaq.questionnaire.utils;
+  var tokenized = utils.tokenizeExpression_(expression, 0);
+  if (goog.array.isEmpty(tokenized[0])) {
+    return {type: utils.NodeType.LITERAL, value: true};
+  }
+  return utils.parseGroup_(tokenized[0], tokenized[2], expression);
+};
+
+
+/**
+ * Parses a group of tokens (see `tokenizeExpression`) that must form exactly
+ * one expression.
+ * @param {!Array} tokens The tokens of the group.
+ * @param {vsaq.questionnaire.utils.TokenPositions_} positions The offsets of
+ *     the tokens in the expression.
+ * @param {string} expression The expression the tokens were read from.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed expression.
  * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
  * @private
  */
-vsaq.questionnaire.utils.evalTokenizedExpression_ = function(
-    expression, resolver) {
+vsaq.questionnaire.utils.parseGroup_ = function(tokens, positions,
+    expression) {
+  var utils = vsaq.questionnaire.utils;
+  var state = {
+    tokens: tokens,
+    positions: positions,
+    expression: expression,
+    position: 0
+  };
+  var node = utils.parseBinary_(state, 0);
+  if (state.position < tokens.length)
+    throw utils.createParseError_(state,
+        'unexpected `' + utils.tokenToString_(tokens[state.position]) + '`');
+  return node;
+};
 
-  // an empty expression always evaluates to true
-  if (!expression.length) return true;
 
-  var results = [];
-  // Resolve variables and flatten the expression into a 1-dimensional array.
-  goog.array.forEach(expression, function(item) {
-    if (goog.isArray(item)) {
-      results.push(
-          vsaq.questionnaire.utils.evalTokenizedExpression_(item, resolver));
-    } else {
-      if (item[0] == '"') {
-        results.push(item);
-      } else if (vsaq.questionnaire.utils.isOperator_(item)) {
-        results.push(item);
-      } else {
-        if (vsaq.questionnaire.utils.globals.hasOwnProperty(item)) {
-          results.push(vsaq.questionnaire.utils.globals[item]);
-        } else {
-          results.push(resolver(item));
-        }
-      }
-    }
-  });
+/**
+ * Creates an error pointing at the token at the current parser position, or at
+ * the end of the group if all tokens were consumed.
+ * @param {vsaq.questionnaire.utils.ParserState_} state The parser state.
+ * @param {string} description What went wrong.
+ * @return {!vsaq.questionnaire.utils.InvalidExpressionError} The error.
+ * @private
+ */
+vsaq.questionnaire.utils.createParseError_ = function(state, description) {
+  var offset = state.positions.end;
+  if (state.position < state.tokens.length) {
+    var tokenPosition = state.positions.tokens[state.position];
+    offset = goog.isNumber(tokenPosition) ? tokenPosition : tokenPosition.start;
+  }
+  return vsaq.questionnaire.utils.createExpressionError_(
+      state.expression, offset, description);
+};
+
+
+/**
+ * Returns a token the way it appears in the expression, for error messages.
+ * @param {string|!Array} token The token.
+ * @return {string} The token as written in the expression.
+ * @private
+ */
+vsaq.questionnaire.utils.tokenToString_ = function(token) {
+  var utils = vsaq.questionnaire.utils;
+  if (goog.isArray(token))
+    return '(';
+  if (utils.isOperator_(token))
+    return utils.AST_OPERATORS_[token] || token;
+  return token;
+};
+
+
+/**
+ * Parses binary operations with the given or a higher precedence.
+ * @param {vsaq.questionnaire.utils.ParserState_} state The parser state.
+ * @param {number} level Index into BINARY_OPERATOR_PRECEDENCE_.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed expression.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ * @private
+ */
+vsaq.questionnaire.utils.parseBinary_ = function(state, level) {
+  var utils = vsaq.questionnaire.utils;
+  if (level >= utils.BINARY_OPERATOR_PRECEDENCE_.length)
+    return utils.parseUnary_(state);
+
+  var operators = utils.BINARY_OPERATOR_PRECEDENCE_[level];
+  var node = utils.parseBinary_(state, level + 1);
+  while (state.position < state.tokens.length &&
+         goog.array.contains(operators, state.tokens[state.position])) {
+    var operator = state.tokens[state.position++];
+    node = {
+      type: utils.NodeType.BINARY,
+      operator: utils.AST_OPERATORS_[operator] || operator,
+      left: node,
+      right: utils.parseBinary_(state, level + 1)
+    };
+  }
+  return node;
+};
+
+
+/**
+ * Parses an operand that is optionally negated by one or more NOT operators.
+ * @param {vsaq.questionnaire.utils.ParserState_} state The parser state.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed expression.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ * @private
+ */
+vsaq.questionnaire.utils.parseUnary_ = function(state) {
+  var utils = vsaq.questionnaire.utils;
+  if (state.tokens[state.position] == '!') {
+    state.position++;
+    return {type: utils.NodeType.NOT, operand: utils.parseUnary_(state)};
+  }
+  return utils.parseOperand_(state);
+};
+
+
+/**
+ * Parses a single operand: a parenthesized group, a literal, a variable or a
+ * function call.
+ * @param {vsaq.questionnaire.utils.ParserState_} state The parser state.
+ * @return {!vsaq.questionnaire.utils.ExpressionNode} The parsed expression.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ * @private
+ */
+vsaq.questionnaire.utils.parseOperand_ = function(state) {
+  var utils = vsaq.questionnaire.utils;
+  if (state.position >= state.tokens.length)
+    throw utils.createParseError_(state, 'missing operand');
+
+  var token = state.tokens[state.position];
+  if (goog.isArray(token)) {
+    return utils.parseGroup_(token, state.positions.tokens[state.position++],
+        state.expression);
+  }
+  if (utils.isOperator_(token)) {
+    throw utils.createParseError_(state, 'unexpected `' +
+        utils.tokenToString_(token) + '`, expected an operand');
+  }
+  state.position++;
+  if (token[0] == '"')
+    return {type: utils.NodeType.LITERAL, value: utils.unquoteString_(token)};
+  if (utils.isNumberLiteral_(token))
+    return {type: utils.NodeType.LITERAL, value: Number(token)};
+
+  // An identifier directly followed by a group is a function call.
+  if (goog.isArray(state.tokens[state.position])) {
+    var args = state.tokens[state.position];
+    var argPositions = state.positions.tokens[state.position++];
+    return {
+      type: utils.NodeType.CALL,
+      name: token,
+      args: utils.parseArguments_(args, argPositions, state.expression)
+    };
+  }
+  return {type: utils.NodeType.VARIABLE, name: token};
+};
 
-  // Resolve not (!) operator.
-  var results2 = [];
-  for (var i = 0; i < results.length; i++) {
-    if (results[i] == '!') {
-      results2.push(!results[++i]);
+
+/**
+ * Parses the comma separated arguments of a function call.
+ * @param {!Array} tokens The tokens within the parenthesis of the call.
+ * @param {vsaq.questionnaire.utils.TokenPositions_} positions The offsets of
+ *     the tokens in the expression.
+ * @param {string} expression The expression the tokens were read from.
+ * @return {!Array.<!vsaq.questionnaire.utils.ExpressionNode>} The arguments.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ * @private
+ */
+vsaq.questionnaire.utils.parseArguments_ = function(tokens, positions,
+    expression) {
+  var utils = vsaq.questionnaire.utils;
+  var args = [];
+  if (goog.array.isEmpty(tokens))
+    return args;
+  var argument = [];
+  var argumentPositions = {start: positions.start, end: -1, tokens: []};
+  for (var i = 0; i <= tokens.length; i++) {
+    if (i == tokens.length || tokens[i] == ',') {
+      argumentPositions.end =
+          i == tokens.length ? positions.end : positions.tokens[i];
+      if (goog.array.isEmpty(argument))
+        throw utils.createExpressionError_(expression, argumentPositions.end,
+            'missing function argument');
+      args.push(utils.parseGroup_(argument, argumentPositions, expression));
+      argument = [];
+      argumentPositions = {
+        start: argumentPositions.end,
+        end: -1,
+        tokens: []
+      };
     } else {
-      results2.push(results[i]);
+      argument.push(tokens[i]);
+      argumentPositions.tokens.push(positions.tokens[i]);
     }
   }
+  return args;
+};
 
-  // Resolve functions
-  var results3 = [];
-  for (var i = 0; i < results2.length; i++) {
-    var item = results2[i];
-    if (typeof item == 'function') {
-      var args = results2[++i];
-      if (!goog.isArray(args)) {
-        args = [args];
-      }
-      args = goog.array.map(args, function(arg) {
-        if (typeof arg == 'string') {
-          return arg.replace(/\\(.)|^"|"$/g, '$1');
-        }
-        return arg;
+
+/**
+ * Evaluates an expression that was parsed with `parseExpression`. Variables
+ * used in the expression will be resolved by passing them to the resolver
+ * function. Like in JavaScript, && and || only evaluate their right operand if
+ * necessary.
+ * @param {!vsaq.questionnaire.utils.ExpressionNode} node The root node of the
+ *     syntax tree.
+ * @param {function(string): *} resolver A function that resolves variables
+ *     used in the expression.
+ * @param {Object=} opt_context The object functions called in the expression
+ *     are invoked on (i.e. `this` within the functions).
+ * @return {*} The result of evaluating the expression.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
+ */
+vsaq.questionnaire.utils.evalParsedExpression = function(node, resolver,
+    opt_context) {
+  var utils = vsaq.questionnaire.utils;
+  var evaluate = function(child) {
+    return utils.evalParsedExpression(
+        /** @type {!vsaq.questionnaire.utils.ExpressionNode} */ (child),
+        resolver, opt_context);
+  };
+
+  switch (node.type) {
+    case utils.NodeType.LITERAL:
+      return node.value;
+    case utils.NodeType.VARIABLE:
+      return resolver(/** @type {string} */ (node.name));
+    case utils.NodeType.NOT:
+      return !evaluate(node.operand);
+    case utils.NodeType.CALL:
+      var callError = utils.checkFunctionCall(
+          /** @type {string} */ (node.name), node.args.length);
+      if (callError)
+        throw new utils.InvalidExpressionError(callError);
+      var info = utils.getFunction(/** @type {string} */ (node.name));
+      var args = goog.array.map(node.args, function(arg) {
+        // Functions taking arguments by reference get the names of variables.
+        if (info.byReference && arg.type == utils.NodeType.VARIABLE)
+          return arg.name;
+        return evaluate(arg);
       });
-      results3.push(item.apply(null, args));
-    } else {
-      results3.push(results2[i]);
-    }
+      return info.fn.apply(opt_context || null, args);
+    case utils.NodeType.BINARY:
+      var left = evaluate(node.left);
+      if (node.operator == '&&')
+        return left && evaluate(node.right);
+      if (node.operator == '||')
+        return left || evaluate(node.right);
+      return utils.compare_(/** @type {string} */ (node.operator), left,
+          evaluate(node.right));
   }
+  throw new utils.InvalidExpressionError('Unknown node type: ' + node.type);
+};
 
-  // Get final result
-  var result = results3[0];
-  var collection = [result];
-  var returnValue;
-  for (var i = 0; i < results3.length; i++) {
-    var item = results3[i];
-    if (vsaq.questionnaire.utils.isOperator_(item)) {
-      var arg = results3[++i];
-      switch (item) {
-        case '&':
-          result = result && arg;
-          break;
-        case '|':
-          result = result || arg;
-          break;
-        case ',':
-          returnValue = collection;
-          break;
-      }
-      collection.push(arg);
-    } else if (i) {
-      throw new vsaq.questionnaire.utils.InvalidExpressionError();
+
+/**
+ * Calls the callback for the node and all of its descendants, parents before
+ * their children and operands from left to right.
+ * @param {!vsaq.questionnaire.utils.ExpressionNode} node The root node of the
+ *     syntax tree.
+ * @param {function(!vsaq.questionnaire.utils.ExpressionNode)} callback The
+ *     function called for every node.
+ */
+vsaq.questionnaire.utils.forEachNode = function(node, callback) {
+  var utils = vsaq.questionnaire.utils;
+  callback(node);
+  var children = [];
+  switch (node.type) {
+    case utils.NodeType.CALL:
+      children = node.args || [];
+      break;
+    case utils.NodeType.NOT:
+      children = [node.operand];
+      break;
+    case utils.NodeType.BINARY:
+      children = [node.left, node.right];
+      break;
+  }
+  goog.array.forEach(children, function(child) {
+    utils.forEachNode(
+        /** @type {!vsaq.questionnaire.utils.ExpressionNode} */ (child),
+        callback);
+  });
+};
+
+
+/**
+ * Returns the names of all variables referenced in a parsed expression, e.g.
+ * ['a/yes', '^b'] for `a/yes && (^b || a/yes)`. Every name is only returned
+ * once.
+ * @param {!vsaq.questionnaire.utils.ExpressionNode} node The root node of the
+ *     syntax tree.
+ * @return {!Array.<string>} The referenced variables in order of appearance.
+ */
+vsaq.questionnaire.utils.getVariables = function(node) {
+  var variables = [];
+  vsaq.questionnaire.utils.forEachNode(node, function(child) {
+    if (child.type == vsaq.questionnaire.utils.NodeType.VARIABLE)
+      goog.array.insert(variables, child.name);
+  });
+  return variables;
+};
+
+
+/**
+ * Returns the names of all functions called in a parsed expression. Every name
+ * is only returned once.
+ * @param {!vsaq.questionnaire.utils.ExpressionNode} node The root node of the
+ *     syntax tree.
+ * @return {!Array.<string>} The called functions in order of appearance.
+ */
+vsaq.questionnaire.utils.getFunctionNames = function(node) {
+  var names = [];
+  vsaq.questionnaire.utils.forEachNode(node, function(child) {
+    if (child.type == vsaq.questionnaire.utils.NodeType.CALL)
+      goog.array.insert(names, child.name);
+  });
+  return names;
+};
+
+
+/**
+ * Replaces the variables in an expression, e.g. to move the items an
+ * expression refers to into a namespace. String and number literals and the
+ * names of called functions are kept as they are.
+ * @param {string} expression The expression.
+ * @param {function(string): string} rename Called with every variable in the
+ *     expression (e.g. "^a" or "a/yes"), returns the variable to use instead.
+ * @return {string} The expression with the variables replaced.
+ * @throws {vsaq.questionnaire.utils.InvalidExpressionError} If the expression
+ *     contains an unterminated string.
+ */
+vsaq.questionnaire.utils.renameVariables = function(expression, rename) {
+  var utils = vsaq.questionnaire.utils;
+  var result = '';
+  var i = 0;
+  while (i < expression.length) {
+    var character = expression[i];
+    if (character == '"') {
+      var string = utils.consumeString_(expression, i);
+      result += string;
+      i += string.length;
+    } else if (utils.SPECIAL_CHARS_.indexOf(character) != -1) {
+      result += character;
+      i++;
+    } else {
+      var end = i;
+      while (end < expression.length &&
+             utils.SPECIAL_CHARS_.indexOf(expression[end]) == -1)
+        end++;
+      var token = expression.substring(i, end);
+      var isCall = /^ *\(/.test(expression.substring(end));
+      result += isCall || !utils.isIdentifier_(token) ? token : rename(token);
+      i = end;
     }
   }
-  if (returnValue)
-    return returnValue;
   return result;
 };
 
 
 /**
- * List of global symbols.
- * @type {Object.<function(...*):boolean>}
+ * Information about a function that can be called in conditions.
+ * `minArgs` and `maxArgs` are the number of arguments the function accepts
+ * (`maxArgs` is Infinity for functions taking any number of arguments),
+ * `byReference` whether variables are passed by name instead of their value,
+ * `signature` and `description` document the function for template authors.
+ * @typedef {{
+ *   name: string,
+ *   fn: function(...*): *,
+ *   minArgs: number,
+ *   maxArgs: number,
+ *   byReference: boolean,
+ *   signature: string,
+ *   description: string
+ * }}
+ */
+vsaq.questionnaire.utils.FunctionInfo;
+
+
+/**
+ * The functions that can be called in conditions, by name.
+ * @type {!Object.<string, !vsaq.questionnaire.utils.FunctionInfo>}
+ * @private
+ */
+vsaq.questionnaire.utils.functions_ = {};
+
+
+/**
+ * List of global symbols. Functions added here can be called in conditions
+ * with any number of arguments, and take precedence over registered functions
+ * with the same name.
+ * @type {Object.<function(...*):*>}
+ * @deprecated Use vsaq.questionnaire.utils.registerFunction instead.
+ */
+vsaq.questionnaire.utils.globals = {};
+
+
+/**
+ * Registers a function that can be called in conditions, e.g.
+ * `lower(line_id/value) == "aws"`. Registering a function with the name of an
+ * existing function replaces it.
+ * <p>When the conditions of an item are evaluated, functions are called on the
+ * dictionary of all items in the questionnaire, i.e. `this` is the dictionary
+ * passed to `vsaq.questionnaire.items.Item.prototype.evaluateConditions`.</p>
+ * @param {string} name The name of the function in conditions.
+ * @param {function(...*): *} fn The function. It is called with the evaluated
+ *     arguments.
+ * @param {{minArgs: (number|undefined), maxArgs: (number|undefined),
+ *     byReference: (boolean|undefined), signature: (string|undefined),
+ *     description: (string|undefined)}=} opt_info The number of arguments the
+ *     function accepts (both default to the number of declared parameters of
+ *     fn), whether arguments that are variables are passed by name instead of
+ *     being resolved (e.g. to pass item ids), and documentation shown in the
+ *     editor.
+ * @throws {goog.debug.Error} If the name is not a valid identifier.
+ */
+vsaq.questionnaire.utils.registerFunction = function(name, fn, opt_info) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name))
+    throw new goog.debug.Error('Invalid function name: ' + name);
+  var info = opt_info || {};
+  var minArgs = goog.isDef(info.minArgs) ? info.minArgs : fn.length;
+  var maxArgs = goog.isDef(info.maxArgs) ? info.maxArgs : fn.length;
+  vsaq.questionnaire.utils.functions_[name] = {
+    name: name,
+    fn: fn,
+    minArgs: minArgs,
+    maxArgs: Math.max(minArgs, maxArgs),
+    byReference: !!info.byReference,
+    signature: info.signature || name + '()',
+    description: info.description || ''
+  };
+};
+
+
+/**
+ * Removes a function registered with `registerFunction`.
+ * @param {string} name The name of the function.
+ */
+vsaq.questionnaire.utils.unregisterFunction = function(name) {
+  delete vsaq.questionnaire.utils.functions_[name];
+};
+
+
+/**
+ * Returns a registered function.
+ * @param {string} name The name of the function.
+ * @return {?vsaq.questionnaire.utils.FunctionInfo} The function, or null if
+ *     no function with that name is registered.
+ */
+vsaq.questionnaire.utils.getFunction = function(name) {
+  var globals = vsaq.questionnaire.utils.globals;
+  if (globals.hasOwnProperty(name) && goog.isFunction(globals[name]))
+    return vsaq.questionnaire.utils.getGlobalFunction_(name);
+  var functions = vsaq.questionnaire.utils.functions_;
+  return functions.hasOwnProperty(name) ? functions[name] : null;
+};
+
+
+/**
+ * Returns the information about a function in the deprecated
+ * `vsaq.questionnaire.utils.globals`. As before the registry existed, the
+ * number of arguments passed to it is not checked.
+ * @param {string} name The name of the function.
+ * @return {!vsaq.questionnaire.utils.FunctionInfo} The function.
+ * @private
+ */
+vsaq.questionnaire.utils.getGlobalFunction_ = function(name) {
+  return {
+    name: name,
+    fn: vsaq.questionnaire.utils.globals[name],
+    minArgs: 0,
+    maxArgs: Infinity,
+    byReference: false,
+    signature: name + '()',
+    description: ''
+  };
+};
+
+
+/**
+ * Returns all registered functions, sorted by name. This includes functions
+ * in the deprecated `vsaq.questionnaire.utils.globals`.
+ * @return {!Array.<!vsaq.questionnaire.utils.FunctionInfo>} The functions.
  */
-vsaq.questionnaire.utils.globals = {
-  /** @return {boolean} */
-  'matches': function(string, regexp, flags) {
-    return !!string.match(new RegExp(regexp, flags));
-  },
-  /** @return {boolean} */
-  'contains': function(string, needle) {
-    return string.indexOf(needle) != -1;
+vsaq.questionnaire.utils.getFunctions = function() {
+  var functions = goog.object.getValues(vsaq.questionnaire.utils.functions_);
+  goog.object.forEach(vsaq.questionnaire.utils.globals, function(fn, name) {
+    if (!goog.isFunction(fn)) return;
+    goog.array.removeIf(functions, function(info) {
+      return info.name == name;
+    });
+    functions.push(vsaq.questionnaire.utils.getGlobalFunction_(name));
+  });
+  goog.array.sort(functions, function(a, b) {
+    return goog.array.defaultCompare(a.name, b.name);
+  });
+  return functions;
+};
+
+
+/**
+ * Checks whether a function with the given name can be called with the given
+ * number of arguments.
+ * @param {string} name The name of the function.
+ * @param {number} argCount The number of arguments passed.
+ * @return {?string} A description of the problem, or null if the call is
+ *     valid.
+ */
+vsaq.questionnaire.utils.checkFunctionCall = function(name, argCount) {
+  var info = vsaq.questionnaire.utils.getFunction(name);
+  if (!info)
+    return 'unknown function `' + name + '`';
+  if (argCount < info.minArgs || argCount > info.maxArgs) {
+    // The number the noun follows, e.g. 1 in "at least 1 argument".
+    var count = info.minArgs;
+    var expected = String(count);
+    if (info.maxArgs == Infinity) {
+      expected = 'at least ' + count;
+    } else if (info.maxArgs != info.minArgs) {
+      count = info.maxArgs;
+      expected = info.minArgs + ' to ' + count;
+    }
+    return 'function `' + name + '` expects ' + expected + ' argument' +
+        (count == 1 ? '' : 's') + ', got ' + argCount;
   }
+  return null;
 };
 
 
+/**
+ * Converts a value used in a condition to a string. Unset values (null or
+ * undefined) become the empty string.
+ * @param {*} value The value.
+ * @return {string} The value as string.
+ * @private
+ */
+vsaq.questionnaire.utils.toString_ = function(value) {
+  return goog.isDefAndNotNull(value) ? String(value) : '';
+};
+
+
+vsaq.questionnaire.utils.registerFunction('matches',
+    function(string, regexp, flags) {
+      var toString = vsaq.questionnaire.utils.toString_;
+      return !!toString(string).match(new RegExp(toString(regexp), flags));
+    }, {
+      minArgs: 2,
+      signature: 'matches(string, regexp, flags?)',
+      description: 'Whether the string matches the regular expression.'
+    });
+
+
+vsaq.questionnaire.utils.registerFunction('contains',
+    function(string, needle) {
+      var toString = vsaq.questionnaire.utils.toString_;
+      return toString(string).indexOf(toString(needle)) != -1;
+    }, {
+      signature: 'contains(string, needle)',
+      description: 'Whether the string contains needle.'
+    });
+
+
+vsaq.questionnaire.utils.registerFunction('count', function(var_args) {
+  return goog.array.count(arguments, function(value) {
+    return !!value;
+  });
+}, {
+  minArgs: 1,
+  maxArgs: Infinity,
+  signature: 'count(value, ...)',
+  description: 'The number of arguments that are set, e.g. checked items.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('anyOf',
+    function(value, var_args) {
+      var candidates = goog.array.slice(arguments, 1);
+      return goog.array.some(candidates, function(candidate) {
+        return vsaq.questionnaire.utils.toString_(candidate) ==
+            vsaq.questionnaire.utils.toString_(value);
+      });
+    }, {
+      minArgs: 2,
+      maxArgs: Infinity,
+      signature: 'anyOf(value, candidate, ...)',
+      description: 'Whether the value equals any of the candidates.'
+    });
+
+
+vsaq.questionnaire.utils.registerFunction('len', function(value) {
+  return vsaq.questionnaire.utils.toString_(value).length;
+}, {
+  signature: 'len(string)',
+  description: 'The length of the string.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('lower', function(value) {
+  return vsaq.questionnaire.utils.toString_(value).toLowerCase();
+}, {
+  signature: 'lower(string)',
+  description: 'The string in lower case.'
+});
+
+
+vsaq.questionnaire.utils.registerFunction('isEmpty', function(value) {
+  var string = vsaq.questionnaire.utils.toString_(value);
+  return value === false || goog.string.isEmptyOrWhitespace(string);
+}, {
+  signature: 'isEmpty(value)',
+  description: 'Whether the value is unset or only contains whitespace.'
+});
+
+
+/**
+ * Returns the number of full days that passed since the given date.
+ * @param {*} date The date, in ISO 8601 format (YYYY-MM-DD).
+ * @return {number} The number of days, or NaN if the date is not valid.
+ */
+vsaq.questionnaire.utils.daysSince = function(date) {
+  var time = Date.parse(vsaq.questionnaire.utils.toString_(date));
+  if (isNaN(time)) return NaN;
+  return Math.floor((goog.now() - time) / (24 * 60 * 60 * 1000));
+};
+
+
+vsaq.questionnaire.utils.registerFunction('daysSince',
+    vsaq.questionnaire.utils.daysSince, {
+      signature: 'daysSince(date)',
+      description: 'The number of full days since the date (YYYY-MM-DD).'
+    });
+
+
 /**
  * Parses a string with a boolean expression and converts it into an
  * array, grouping expressions by parenthesis. For example, passing
@@ -213,75 +991,169 @@ vsaq.questionnaire.utils.globals = {
  * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
  */
 vsaq.questionnaire.utils.tokenizeExpression = function(expression) {
-  var token = vsaq.questionnaire.utils.tokenizeExpression_(expression, 0);
-  return token[0];
+  return vsaq.questionnaire.utils.tokenizeExpression_(expression, 0)[0];
 };
 
 
+/**
+ * The characters that end a variable or number in an expression.
+ * @type {string}
+ * @const
+ * @private
+ */
+vsaq.questionnaire.utils.SPECIAL_CHARS_ = ' ()!&|,=<>';
+
+
 /**
  * Recursively parses a string with a boolean expression and converts it into an
- * array, grouping expressions by parenthesis. It returns an array with two
- * items: An array of tokens, and the position where parsing should continue.
+ * array, grouping expressions by parenthesis. It returns an array with three
+ * items: An array of tokens, the position where parsing should continue (-1 if
+ * the group was not closed), and the offsets of the tokens
+ * (see `TokenPositions_`).
  * @param {string} expression The string containing the expression.
  * @param {number} position The position where to start parsing the expression.
+ * @param {boolean=} opt_isCall Whether the group holds the arguments of a
+ *     function call, in which case it may be empty or contain commas.
  * @return {Array} An array with the parsed expression.
  * @throws {vsaq.questionnaire.utils.InvalidExpressionError}
  * @private
  */
-vsaq.questionnaire.utils.tokenizeExpression_ = function(expression, position) {
-  var specialChars = ' ()!&|,';
+vsaq.questionnaire.utils.tokenizeExpression_ = function(expression, position,
+    opt_isCall) {
+  var utils = vsaq.questionnaire.utils;
   var group = [];
+  var positions = {start: position - 1, end: expression.length, tokens: []};
   var currentVar = '';
+  var currentVarStart = position;
+
+  var error = function(offset, description) {
+    return utils.createExpressionError_(expression, offset, description);
+  };
+  // Whether the last token in the group is an operand (and not an operator).
+  var followsOperand = function() {
+    return !goog.array.isEmpty(group) &&
+        !utils.isOperator_(group[group.length - 1]);
+  };
+  // Binary operators need an operand on their left side.
+  var checkLeftOperand = function(operator, offset) {
+    if (!followsOperand())
+      throw error(offset, 'unexpected `' + operator + '`, expected an operand');
+  };
+  // A group must not end with an operator.
+  var checkGroupEnd = function(offset, description) {
+    if (!goog.array.isEmpty(group) && !followsOperand())
+      throw error(offset,
+          'unexpected ' + description + ', expected an operand');
+  };
+  var pushCurrentVar = function() {
+    if (followsOperand())
+      throw error(currentVarStart,
+          'unexpected `' + currentVar + '`, expected an operator');
+    group.push(currentVar);
+    positions.tokens.push(currentVarStart);
+    currentVar = '';
+  };
 
   for (var i = position; i < expression.length; i++) {
-    if (expression[i] == '"' && !currentVar) {
-      currentVar += vsaq.questionnaire.utils.consumeString_(expression, i);
+    var character = expression[i];
+    if (character == '"' && !currentVar) {
+      currentVarStart = i;
+      currentVar += utils.consumeString_(expression, i);
       i += currentVar.length - 1;
-    } else if (specialChars.indexOf(expression[i]) == -1) {
-      currentVar += expression[i];
+    } else if (utils.SPECIAL_CHARS_.indexOf(character) == -1) {
+      // Strings end at their closing quote, and quotes only start strings.
+      if (currentVar[0] == '"' || character == '"')
+        throw error(i, 'unexpected `' + character + '`, expected an operator');
+      if (!currentVar)
+        currentVarStart = i;
+      currentVar += character;
     } else {
-      if (currentVar) {
-        if (!goog.array.isEmpty(group) &&
-            !vsaq.questionnaire.utils.isOperator_(group[group.length - 1]))
-          throw new vsaq.questionnaire.utils.InvalidExpressionError();
-        group.push(currentVar);
-        currentVar = '';
-      }
-      switch (expression[i]) {
+      if (currentVar)
+        pushCurrentVar();
+      switch (character) {
         case '(':
-          if (!goog.array.isEmpty(group) &&
-              !vsaq.questionnaire.utils.isOperator_(group[group.length - 1]) &&
-              !group[group.length - 1]) {
-            throw new vsaq.questionnaire.utils.InvalidExpressionError();
-          }
-          var newGroup = vsaq.questionnaire.utils.tokenizeExpression_(
-              expression, i + 1);
+          // Parenthesis directly following an identifier start a function call.
+          var isCall = followsOperand() &&
+              utils.isIdentifier_(group[group.length - 1]);
+          if (followsOperand() && !isCall)
+            throw error(i, 'unexpected `(`, expected an operator');
+          var newGroup = utils.tokenizeExpression_(expression, i + 1, isCall);
+          if (newGroup[1] == -1)
+            throw error(i, 'expected `)` to close `(`');
           group.push(newGroup[0]);
+          positions.tokens.push(newGroup[2]);
           i = newGroup[1];
-          if (i == -1)
-            throw new vsaq.questionnaire.utils.InvalidExpressionError();
           break;
         case ')':
-          if (expression[position - 1] != '(')
-            throw new vsaq.questionnaire.utils.InvalidExpressionError();
-          if (position)
-            return [group, i];
-          break;
+          if (!position)
+            throw error(i, 'unexpected `)`');
+          if (goog.array.isEmpty(group) && !opt_isCall)
+            throw error(i, 'unexpected `)`, expected an operand');
+          checkGroupEnd(i, '`)`');
+          positions.end = i;
+          return [group, i, positions];
         case '&':
         case '|':
-          if (expression[i] != expression[++i])
-            throw new vsaq.questionnaire.utils.InvalidExpressionError();
+          if (expression[i + 1] != character)
+            throw error(i, 'expected `' + character + character + '`');
+          checkLeftOperand(character + character, i);
+          group.push(character);
+          positions.tokens.push(i);
+          i++;
+          break;
         case ',':
-          if (vsaq.questionnaire.utils.isOperator_(group[group.length - 1]))
-            throw new vsaq.questionnaire.utils.InvalidExpressionError();
+          if (!opt_isCall)
+            throw error(i, 'unexpected `,` outside of function arguments');
+          checkLeftOperand(character, i);
+          group.push(character);
+          positions.tokens.push(i);
+          break;
         case '!':
-          group.push(expression[i]);
+          if (expression[i + 1] != '=') {
+            if (followsOperand())
+              throw error(i, 'unexpected `!`, expected an operator');
+            group.push(character);
+            positions.tokens.push(i);
+            break;
+          }
+          // '!=' is a comparison operator and handled below.
+        case '=':
+        case '<':
+        case '>':
+          var operator = character;
+          if (expression[i + 1] == '=')
+            operator += expression[i + 1];
+          if (operator == '=')
+            throw error(i, 'expected `==`');
+          checkLeftOperand(operator, i);
+          group.push(operator);
+          positions.tokens.push(i);
+          i += operator.length - 1;
+          break;
       }
     }
   }
 
-  currentVar && group.push(currentVar);
-  return [group, -1];
+  if (currentVar)
+    pushCurrentVar();
+  // Nested groups that reach the end of the expression are reported by the
+  // caller, which knows where the group was opened.
+  if (!position)
+    checkGroupEnd(expression.length, 'end of expression');
+  return [group, -1, positions];
+};
+
+
+/**
+ * Returns true if the token is an identifier, i.e. a variable or the name of a
+ * function (and not an operator or a literal).
+ * @param {*} token The token to test.
+ * @return {boolean} Whether the token is an identifier.
+ * @private
+ */
+vsaq.questionnaire.utils.isIdentifier_ = function(token) {
+  return goog.isString(token) && !vsaq.questionnaire.utils.isOperator_(token) &&
+      token[0] != '"' && !vsaq.questionnaire.utils.isNumberLiteral_(token);
 };
 
 
@@ -295,7 +1167,8 @@ vsaq.questionnaire.utils.tokenizeExpression_ = function(expression, position) {
  */
 vsaq.questionnaire.utils.consumeString_ = function(expression, position) {
   if (expression[position] != '"') {
-    throw new vsaq.questionnaire.utils.InvalidExpressionError();
+    throw vsaq.questionnaire.utils.createExpressionError_(
+        expression, position, 'expected `"`');
   }
   var string = '"';
   for (var i = position + 1; i < expression.length; i++) {
@@ -309,5 +1182,6 @@ vsaq.questionnaire.utils.consumeString_ = function(expression, position) {
         string += expression[i] + expression[++i];
     }
   }
-  throw new vsaq.questionnaire.utils.InvalidExpressionError();
+  throw vsaq.questionnaire.utils.createExpressionError_(
+      expression, position, 'unterminated string');
 };
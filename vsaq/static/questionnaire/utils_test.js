@@ -21,6 +21,7 @@
 goog.provide('vsaq.questionnaire.items.UtilsTests');
 goog.setTestOnly('vsaq.questionnaire.items.UtilsTests');
 
+goog.require('goog.array');
 goog.require('goog.testing.asserts');
 goog.require('goog.testing.jsunit');
 goog.require('vsaq.questionnaire.utils');
@@ -155,3 +156,382 @@ function testEvalExpression() {
   assertEquals(true, evalExp(texp9, resolver));
   assertEquals(true, evalExp(texp10, resolver));
 }
+
+
+/**
+ * Tests tokenizing expressions with comparison operators.
+ */
+function testTokenizeComparisonExpression() {
+  var tokenize = vsaq.questionnaire.utils.tokenizeExpression;
+
+  assertArrayEquals(['a', '==', 'b'], tokenize('a==b'));
+  assertArrayEquals(['a', '!=', '"b"'], tokenize('a != "b"'));
+  assertArrayEquals(['a/value', '>', '500'], tokenize('a/value > 500'));
+  assertArrayEquals(['a', '>=', '-1.5'], tokenize('a>=-1.5'));
+  assertArrayEquals(['a', '<', 'b', '&', 'c', '<=', 'd'],
+      tokenize('a<b && c<=d'));
+  assertArrayEquals(['!', 'a', '==', '!', 'b'], tokenize('!a == !b'));
+  assertArrayEquals(['"a<b"', '==', 'c'], tokenize('"a<b" == c'));
+
+  assertThrows(function() { tokenize('a = b') });
+  assertThrows(function() { tokenize('== b') });
+  assertThrows(function() { tokenize('a == == b') });
+  assertThrows(function() { tokenize('a && < b') });
+  assertThrows(function() { tokenize('a == b c') });
+}
+
+
+/**
+ * Tests evaluating expressions with comparison operators.
+ */
+function testEvalComparisonExpression() {
+  var values = {
+    'count/value': '600',
+    'small/value': '9',
+    'provider/value': 'aws',
+    'empty/value': '',
+    'true': true
+  };
+  var resolver = function(variable) {
+    return values[variable];
+  };
+  var evalExp = vsaq.questionnaire.utils.evalExpression;
+
+  assertTrue(evalExp('count/value > 500', resolver));
+  assertFalse(evalExp('count/value <= 500', resolver));
+  // Numeric strings are compared as numbers, not lexicographically.
+  assertTrue(evalExp('small/value < count/value', resolver));
+  assertTrue(evalExp('count/value == 600.0', resolver));
+  assertTrue(evalExp('count/value >= -1', resolver));
+  assertTrue(evalExp('provider/value == "aws"', resolver));
+  assertFalse(evalExp('provider/value != "aws"', resolver));
+  assertTrue(evalExp('provider/value != "gcp"', resolver));
+  assertTrue(evalExp('empty/value == ""', resolver));
+  assertFalse(evalExp('empty/value > 0', resolver));
+  assertTrue(evalExp('"&&" == "&&"', resolver));
+  assertTrue(evalExp('!(provider/value == "gcp")', resolver));
+  assertTrue(evalExp('true && count/value > 500 && provider/value == "aws"',
+      resolver));
+  assertTrue(evalExp('!contains("abc", "d")', resolver));
+}
+
+
+/**
+ * Tests parsing expressions into a syntax tree.
+ */
+function testParseExpression() {
+  var parse = vsaq.questionnaire.utils.parseExpression;
+
+  assertObjectEquals({type: 'literal', value: true}, parse(''));
+  assertObjectEquals({type: 'variable', name: 'a'}, parse('((a))'));
+  assertObjectEquals({
+    type: 'binary',
+    operator: '||',
+    left: {type: 'variable', name: 'a'},
+    right: {
+      type: 'binary',
+      operator: '&&',
+      left: {type: 'variable', name: 'b'},
+      right: {type: 'not', operand: {type: 'variable', name: 'c'}}
+    }
+  }, parse('a || b && !c'));
+  assertObjectEquals({
+    type: 'binary',
+    operator: '==',
+    left: {
+      type: 'binary',
+      operator: '<',
+      left: {type: 'variable', name: 'a'},
+      right: {type: 'literal', value: 5}
+    },
+    right: {type: 'literal', value: 'x'}
+  }, parse('a < 5 == "x"'));
+  assertObjectEquals({
+    type: 'call',
+    name: 'contains',
+    args: [
+      {type: 'variable', name: 'a/value'},
+      {type: 'literal', value: 'b'}
+    ]
+  }, parse('contains(a/value, "b")'));
+
+  assertThrows(function() { parse('a &&') });
+  assertThrows(function() { parse('()') });
+  assertThrows(function() { parse('(a, b)') });
+  assertThrows(function() { parse('f(a,,b)') });
+}
+
+
+/**
+ * Tests that operators are evaluated with JavaScript precedence.
+ */
+function testEvalExpressionPrecedence() {
+  var resolver = function(variable) {
+    return variable == 'true';
+  };
+  var evalExp = vsaq.questionnaire.utils.evalExpression;
+
+  assertTrue(evalExp('true || false && false', resolver));
+  assertTrue(evalExp('false && false || true', resolver));
+  assertFalse(evalExp('(true || false) && false', resolver));
+  assertTrue(evalExp('!false && !false', resolver));
+  assertTrue(evalExp('1 < 2 == 3 < 4', resolver));
+  assertTrue(evalExp('false || 2 > 1 && true', resolver));
+}
+
+
+/**
+ * Tests that && and || only evaluate their right operand if necessary.
+ */
+function testEvalExpressionShortCircuit() {
+  var resolved = [];
+  var resolver = function(variable) {
+    resolved.push(variable);
+    return variable == 'true';
+  };
+  var evalExp = vsaq.questionnaire.utils.evalExpression;
+
+  assertFalse(evalExp('false && true', resolver));
+  assertTrue(evalExp('true || false', resolver));
+  assertArrayEquals(['false', 'true'], resolved);
+}
+
+
+/**
+ * Tests evaluating an expression that was parsed beforehand.
+ */
+function testEvalParsedExpression() {
+  var ast = vsaq.questionnaire.utils.parseExpression('a/value > 3');
+  var value = 5;
+  var resolver = function(variable) {
+    return value;
+  };
+
+  assertTrue(vsaq.questionnaire.utils.evalParsedExpression(ast, resolver));
+  value = 1;
+  assertFalse(vsaq.questionnaire.utils.evalParsedExpression(ast, resolver));
+}
+
+
+/**
+ * Asserts that tokenizing the expression fails at the given position.
+ * @param {string} expression The invalid expression.
+ * @param {number} position The expected offset of the error.
+ * @param {string} message A substring of the expected error message.
+ */
+function assertTokenizeError(expression, position, message) {
+  var e = assertThrows(function() {
+    vsaq.questionnaire.utils.tokenizeExpression(expression);
+  });
+  assertTrue(e instanceof vsaq.questionnaire.utils.InvalidExpressionError);
+  assertEquals(expression, e.expression);
+  assertEquals(position, e.position);
+  assertContains(message, e.message);
+  assertContains('"' + expression + '"', e.message);
+}
+
+
+/**
+ * Tests that errors name the position and cause of the problem.
+ */
+function testTokenizeErrorPosition() {
+  assertTokenizeError('a && (b || c))', 13, 'unexpected `)` at col 14');
+  assertTokenizeError('a & b', 2, 'expected `&&` at col 3');
+  assertTokenizeError('a &&', 4, 'unexpected end of expression');
+  assertTokenizeError('a && (b', 5, 'expected `)` to close `(` at col 6 of');
+  assertTokenizeError('a b', 2, 'unexpected `b`, expected an operator');
+  assertTokenizeError('a || && b', 5, 'unexpected `&&`, expected an operand');
+  assertTokenizeError('a = 1', 2, 'expected `==` at col 3');
+  assertTokenizeError('a, b', 1, 'unexpected `,` outside of function');
+  assertTokenizeError('a == "b', 5, 'unterminated string at col 6');
+  assertTokenizeError('f(a,)', 4, 'unexpected `)`, expected an operand');
+  assertTokenizeError('"x"y', 3, 'unexpected `y`, expected an operator');
+  assertTokenizeError('"x""y"', 3, 'unexpected `"`, expected an operator');
+  assertTokenizeError('a"b"', 1, 'unexpected `"`, expected an operator');
+}
+
+
+/**
+ * Tests that errors found while parsing the tokens name their position.
+ */
+function testParseErrorPosition() {
+  var utils = vsaq.questionnaire.utils;
+  var parseError = function(tokens, positions, expression) {
+    var e = assertThrows(function() {
+      utils.parseGroup_(tokens, positions, expression);
+    });
+    assertTrue(e instanceof utils.InvalidExpressionError);
+    return e;
+  };
+
+  var e = parseError(['a', 'b'], {start: -1, end: 3, tokens: [0, 2]}, 'a b');
+  assertEquals(2, e.position);
+  assertContains('unexpected `b` at col 3', e.message);
+
+  e = parseError(['a', '&'], {start: -1, end: 4, tokens: [0, 2]}, 'a &&');
+  assertEquals(4, e.position);
+  assertContains('missing operand at col 5', e.message);
+
+  e = parseError(['a', '&', '|'], {start: -1, end: 9, tokens: [0, 2, 5]},
+      'a && || b');
+  assertEquals(5, e.position);
+  assertContains('unexpected `||`, expected an operand at col 6', e.message);
+
+  e = parseError(['f', [',', 'a']],
+      {start: -1, end: 6, tokens: [0, {start: 1, end: 5, tokens: [2, 4]}]},
+      'f(, a)');
+  assertEquals(2, e.position);
+  assertContains('missing function argument at col 3', e.message);
+}
+
+
+/**
+ * Tests that messages passed to InvalidExpressionError are kept.
+ */
+function testInvalidExpressionErrorMessage() {
+  var InvalidExpressionError = vsaq.questionnaire.utils.InvalidExpressionError;
+  assertEquals('Invalid expression', new InvalidExpressionError().message);
+  assertEquals('Foo', new InvalidExpressionError('Foo').message);
+}
+
+
+/**
+ * Tests collecting the variables and functions used in an expression.
+ */
+function testGetVariablesAndFunctionNames() {
+  var ast = vsaq.questionnaire.utils.parseExpression(
+      'a/yes && (^b || contains(c/value, "x")) && !a/yes');
+
+  assertArrayEquals(['a/yes', '^b', 'c/value'],
+      vsaq.questionnaire.utils.getVariables(ast));
+  assertArrayEquals(['contains'],
+      vsaq.questionnaire.utils.getFunctionNames(ast));
+  assertArrayEquals([], vsaq.questionnaire.utils.getVariables(
+      vsaq.questionnaire.utils.parseExpression('')));
+}
+
+
+/**
+ * Tests replacing the variables in expressions.
+ */
+function testRenameVariables() {
+  var rename = function(variable) {
+    return variable.replace(/^(\^?)/, '$1row.');
+  };
+  assertEquals('row.a/yes && (^row.b || contains(row.c/value, "x y"))',
+      vsaq.questionnaire.utils.renameVariables(
+          'a/yes && (^b || contains(c/value, "x y"))', rename));
+  assertEquals('len (row.a/value) >= 10 || row.b/value == "b"',
+      vsaq.questionnaire.utils.renameVariables(
+          'len (a/value) >= 10 || b/value == "b"', rename));
+  assertEquals('', vsaq.questionnaire.utils.renameVariables('', rename));
+}
+
+
+/**
+ * Tests registering functions that can be called in expressions.
+ */
+function testRegisterFunction() {
+  var utils = vsaq.questionnaire.utils;
+  var resolver = function(variable) {
+    return variable == 'a' ? 'AWS' : '';
+  };
+
+  utils.registerFunction('twice', function(value) {
+    return value + value;
+  }, {signature: 'twice(string)', description: 'Doubles the string.'});
+  try {
+    assertTrue(utils.evalExpression('twice(a) == "AWSAWS"', resolver));
+    assertEquals('twice(string)', utils.getFunction('twice').signature);
+    assertContains(utils.getFunction('twice'), utils.getFunctions());
+
+    var e = assertThrows(function() {
+      utils.evalExpression('twice(a, a)', resolver);
+    });
+    assertContains('expects 1 argument, got 2', e.message);
+  } finally {
+    utils.unregisterFunction('twice');
+  }
+  assertNull(utils.getFunction('twice'));
+  assertThrows(function() { utils.evalExpression('twice(a)', resolver); });
+  assertThrows(function() {
+    utils.registerFunction('not a name', goog.nullFunction);
+  });
+}
+
+
+/**
+ * Tests that functions in the deprecated globals can still be called.
+ */
+function testGlobals() {
+  var utils = vsaq.questionnaire.utils;
+  var resolver = function(variable) {
+    return variable == 'a' ? 'AWS' : '';
+  };
+
+  utils.globals['isAws'] = function(value) {
+    return value == 'AWS';
+  };
+  utils.globals['contains'] = function(string, needle) {
+    return string == needle;
+  };
+  try {
+    assertTrue(utils.evalExpression('isAws(a)', resolver));
+    assertTrue(utils.evalExpression('isAws(a, "ignored")', resolver));
+    assertFalse(utils.evalExpression('contains(a, "AW")', resolver));
+    assertEquals('isAws', utils.getFunction('isAws').name);
+    assertEquals(1, goog.array.count(utils.getFunctions(), function(info) {
+      return info.name == 'contains';
+    }));
+  } finally {
+    delete utils.globals['isAws'];
+    delete utils.globals['contains'];
+  }
+  assertNull(utils.getFunction('isAws'));
+  assertTrue(utils.evalExpression('contains(a, "AW")', resolver));
+}
+
+
+/**
+ * Tests the arity checks of registered functions.
+ */
+function testCheckFunctionCall() {
+  var check = vsaq.questionnaire.utils.checkFunctionCall;
+  assertNull(check('matches', 2));
+  assertNull(check('matches', 3));
+  assertContains('expects 2 to 3 arguments, got 1', check('matches', 1));
+  assertContains('expects at least 2 arguments', check('anyOf', 1));
+  assertContains('expects at least 1 argument, got 0', check('count', 0));
+  assertContains('expects 1 argument, got 2', check('len', 2));
+  assertContains('unknown function `foo`', check('foo', 0));
+}
+
+
+/**
+ * Tests the built-in functions.
+ */
+function testBuiltInFunctions() {
+  var values = {a: 'AWS', b: '', c: 'checked', d: '2000-01-01', n: 15,
+    u: null};
+  var resolver = function(variable) {
+    return values[variable];
+  };
+  var evalExpression = function(expression) {
+    return vsaq.questionnaire.utils.evalExpression(expression, resolver);
+  };
+
+  assertTrue(evalExpression('count(a, b, c) == 2'));
+  assertTrue(evalExpression('anyOf(a, "GCP", "AWS")'));
+  assertFalse(evalExpression('anyOf(b, "GCP", "AWS")'));
+  assertTrue(evalExpression('len(a) == 3 && len(b) == 0'));
+  assertTrue(evalExpression('lower(a) == "aws"'));
+  assertTrue(evalExpression('isEmpty(b) && !isEmpty(a)'));
+  assertTrue(evalExpression('daysSince(d) > 365'));
+  assertFalse(evalExpression('daysSince(b) > 0'));
+
+  // Numbers and unset values, e.g. of number items, are used as strings.
+  assertTrue(evalExpression('matches(n, "^1[0-9]$")'));
+  assertTrue(evalExpression('contains(n, 5)'));
+  assertFalse(evalExpression('matches(u, ".")'));
+  assertFalse(evalExpression('contains(u, "x")'));
+}